@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "news_stocks" (
+    "id" TEXT NOT NULL,
+    "newsId" TEXT NOT NULL,
+    "stockId" TEXT NOT NULL,
+    "relevance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "news_stocks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_stocks_newsId_stockId_key" ON "news_stocks"("newsId", "stockId");
+
+-- CreateIndex
+CREATE INDEX "news_stocks_stockId_createdAt_idx" ON "news_stocks"("stockId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "news_stocks" ADD CONSTRAINT "news_stocks_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "news"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "news_stocks" ADD CONSTRAINT "news_stocks_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill links from the existing single stock reference
+INSERT INTO "news_stocks" ("id", "newsId", "stockId", "relevance", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, "id", "stockId", 1, "createdAt", CURRENT_TIMESTAMP
+FROM "news";
+
+-- DropForeignKey
+ALTER TABLE "news" DROP CONSTRAINT "news_stockId_fkey";
+
+-- DropIndex
+DROP INDEX "news_stockId_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "news" DROP COLUMN "stockId";
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "provider" TEXT NOT NULL DEFAULT 'finnhub',
+ADD COLUMN "externalId" TEXT;
+
+-- Carry existing Finnhub IDs over to the provider-neutral column
+UPDATE "news" SET "externalId" = "finnhubId"::text;
+
+-- AlterTable
+ALTER TABLE "news" ALTER COLUMN "externalId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "news_finnhubId_key";
+
+-- AlterTable
+ALTER TABLE "news" DROP COLUMN "finnhubId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_provider_externalId_key" ON "news"("provider", "externalId");
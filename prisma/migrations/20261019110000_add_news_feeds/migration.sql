@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "feedId" TEXT;
+
+-- CreateTable
+CREATE TABLE "news_feeds" (
+    "id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "title" TEXT,
+    "stockId" TEXT,
+    "lastFetchedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "news_feeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_feeds_url_key" ON "news_feeds"("url");
+
+-- AddForeignKey
+ALTER TABLE "news" ADD CONSTRAINT "news_feedId_fkey" FOREIGN KEY ("feedId") REFERENCES "news_feeds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "news_feeds" ADD CONSTRAINT "news_feeds_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
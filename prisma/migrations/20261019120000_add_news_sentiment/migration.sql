@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "sentimentLabel" TEXT,
+ADD COLUMN "sentimentScore" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "news_datetime_idx" ON "news"("datetime");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "clusterId" TEXT,
+ADD COLUMN "isDuplicate" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "minhash" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
+
+-- Existing articles each start their own cluster
+UPDATE "news" SET "clusterId" = "id";
+
+-- CreateIndex
+CREATE INDEX "news_clusterId_idx" ON "news"("clusterId");
@@ -0,0 +1,9 @@
+-- AlterTable
+-- Headline matches are weighted above summary matches when ranking
+ALTER TABLE "news" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("headline", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("summary", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "news_searchVector_idx" ON "news" USING GIN ("searchVector");
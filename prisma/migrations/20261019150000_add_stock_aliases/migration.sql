@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "stock_aliases" (
+    "id" TEXT NOT NULL,
+    "stockId" TEXT NOT NULL,
+    "alias" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stock_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_aliases_stockId_alias_key" ON "stock_aliases"("stockId", "alias");
+
+-- AddForeignKey
+ALTER TABLE "stock_aliases" ADD CONSTRAINT "stock_aliases_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "news_reads" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "newsId" TEXT NOT NULL,
+    "readAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "news_reads_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_reads_userId_newsId_key" ON "news_reads"("userId", "newsId");
+
+-- CreateIndex
+CREATE INDEX "news_reads_newsId_idx" ON "news_reads"("newsId");
+
+-- AddForeignKey
+ALTER TABLE "news_reads" ADD CONSTRAINT "news_reads_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "news_reads" ADD CONSTRAINT "news_reads_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "news"("id") ON DELETE CASCADE ON UPDATE CASCADE;
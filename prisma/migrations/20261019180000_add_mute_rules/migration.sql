@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "domain" TEXT;
+
+-- Backfill domains from existing article URLs
+UPDATE "news"
+SET "domain" = lower(substring("url" from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:www\.)?([^/:?#]+)'));
+
+-- CreateTable
+CREATE TABLE "mute_rules" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mute_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mute_rules_userId_kind_value_key" ON "mute_rules"("userId", "kind", "value");
+
+-- AddForeignKey
+ALTER TABLE "mute_rules" ADD CONSTRAINT "mute_rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
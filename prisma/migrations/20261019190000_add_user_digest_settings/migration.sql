@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "digestEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "digestHour" INTEGER NOT NULL DEFAULT 7,
+ADD COLUMN "lastDigestSentAt" TIMESTAMP(3),
+ADD COLUMN "timezone" TEXT;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "lastPushAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "device_tokens" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "environment" TEXT NOT NULL DEFAULT 'production',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "device_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "device_tokens_token_key" ON "device_tokens"("token");
+
+-- CreateIndex
+CREATE INDEX "device_tokens_userId_idx" ON "device_tokens"("userId");
+
+-- AddForeignKey
+ALTER TABLE "device_tokens" ADD CONSTRAINT "device_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
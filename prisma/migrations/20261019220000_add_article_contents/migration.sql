@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "article_contents" (
+    "id" TEXT NOT NULL,
+    "newsId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "finalUrl" TEXT,
+    "title" TEXT,
+    "byline" TEXT,
+    "leadImage" TEXT,
+    "html" TEXT,
+    "text" TEXT,
+    "wordCount" INTEGER,
+    "error" TEXT,
+    "fetchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "article_contents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "article_contents_newsId_key" ON "article_contents"("newsId");
+
+-- AddForeignKey
+ALTER TABLE "article_contents" ADD CONSTRAINT "article_contents_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "news"("id") ON DELETE CASCADE ON UPDATE CASCADE;
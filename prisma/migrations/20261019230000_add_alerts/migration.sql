@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "alert_rules" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "expression" TEXT NOT NULL,
+    "stockIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "sources" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "alert_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "alert_matches" (
+    "id" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "newsId" TEXT NOT NULL,
+    "stockId" TEXT,
+    "matchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acknowledgedAt" TIMESTAMP(3),
+
+    CONSTRAINT "alert_matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "alert_rules_userId_idx" ON "alert_rules"("userId");
+
+-- CreateIndex
+CREATE INDEX "alert_matches_userId_matchedAt_idx" ON "alert_matches"("userId", "matchedAt");
+
+-- CreateIndex
+CREATE INDEX "alert_matches_newsId_idx" ON "alert_matches"("newsId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "alert_matches_ruleId_newsId_key" ON "alert_matches"("ruleId", "newsId");
+
+-- AddForeignKey
+ALTER TABLE "alert_rules" ADD CONSTRAINT "alert_rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_matches" ADD CONSTRAINT "alert_matches_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "alert_rules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_matches" ADD CONSTRAINT "alert_matches_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_matches" ADD CONSTRAINT "alert_matches_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "news"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "marketCategory" TEXT;
+
+-- CreateIndex
+CREATE INDEX "news_marketCategory_datetime_idx" ON "news"("marketCategory", "datetime");
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "contentHash" TEXT;
+
+-- CreateTable
+CREATE TABLE "news_sync_cursors" (
+    "id" TEXT NOT NULL,
+    "stockId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "lastFetchedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "lastErrorAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "news_sync_cursors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_sync_cursors_stockId_provider_key" ON "news_sync_cursors"("stockId", "provider");
+
+-- AddForeignKey
+ALTER TABLE "news_sync_cursors" ADD CONSTRAINT "news_sync_cursors_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "news" ADD COLUMN "minhashBands" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- Band keys for existing cluster representatives (same keys as computeBandKeys in src/helpers/minhash.js)
+UPDATE "news" SET "minhashBands" = ARRAY(
+  SELECT (band - 1) || ':' || left(md5(array_to_string("minhash"[(band - 1) * 4 + 1 : band * 4], ',')), 12)
+  FROM generate_series(1, 16) AS band
+  ORDER BY band
+)
+WHERE "isDuplicate" = false AND array_length("minhash", 1) = 64;
+
+-- CreateIndex
+CREATE INDEX "news_minhashBands_idx" ON "news" USING GIN ("minhashBands");
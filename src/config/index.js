@@ -1,12 +1,76 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Read an integer setting, falling back only when it is unset or not a number (so 0 stays 0)
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
 
 const config = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+  adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
   databaseUrl: process.env.DATABASE_URL,
   finnhubApiKey: process.env.FINNHUB_API_KEY,
+  finnhubRequestsPerMinute: intFromEnv('FINNHUB_REQUESTS_PER_MINUTE', 55),
+  finnhubBurst: intFromEnv('FINNHUB_BURST', 5),
+  finnhubTimeoutMs: intFromEnv('FINNHUB_TIMEOUT_MS', 10000),
+  finnhubMaxRetries: intFromEnv('FINNHUB_MAX_RETRIES', 3),
+  finnhubCircuitFailureThreshold: intFromEnv('FINNHUB_CIRCUIT_FAILURE_THRESHOLD', 5),
+  finnhubCircuitCooldownSeconds: intFromEnv('FINNHUB_CIRCUIT_COOLDOWN_SECONDS', 60),
+  newsProviders: (process.env.NEWS_PROVIDERS || 'finnhub').split(',').map(name => name.trim()).filter(Boolean),
+  newsFixturesDir: process.env.NEWS_FIXTURES_DIR || path.join(__dirname, '../../fixtures/news'),
+  marketNewsCategories: (process.env.MARKET_NEWS_CATEGORIES || 'general,forex,crypto,merger').split(',').map(category => category.trim().toLowerCase()).filter(Boolean),
+  newsSyncRequestsPerMinute: parseInt(process.env.NEWS_SYNC_REQUESTS_PER_MINUTE, 10) || 45,
+  newsSyncMinIntervalMinutes: parseInt(process.env.NEWS_SYNC_MIN_INTERVAL_MINUTES, 10) || 5,
+  newsSyncMaxIntervalMinutes: parseInt(process.env.NEWS_SYNC_MAX_INTERVAL_MINUTES, 10) || 240,
+  newsBackfillDays: parseInt(process.env.NEWS_BACKFILL_DAYS, 10) || 7,
+  newsRelevanceThreshold: parseFloat(process.env.NEWS_RELEVANCE_THRESHOLD) || 0.3,
+  newsFeedRelevanceThreshold: parseFloat(process.env.NEWS_FEED_RELEVANCE_THRESHOLD) || 0.5,
+  newsClusterThreshold: parseFloat(process.env.NEWS_CLUSTER_THRESHOLD) || 0.6,
+  newsClusterWindowHours: parseInt(process.env.NEWS_CLUSTER_WINDOW_HOURS, 10) || 72,
+  newsRetentionDays: parseInt(process.env.NEWS_RETENTION_DAYS, 10) || 90,
+  newsRetentionCategoryDays: Object.fromEntries((process.env.NEWS_RETENTION_CATEGORY_DAYS || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([category, days]) => category && parseInt(days, 10) > 0)
+    .map(([category, days]) => [category, parseInt(days, 10)])),
+  newsRetentionDryRun: process.env.NEWS_RETENTION_DRY_RUN === 'true',
+  newsArchiveDir: process.env.NEWS_ARCHIVE_DIR || null,
+  feedQueryTimeoutMs: parseInt(process.env.FEED_QUERY_TIMEOUT_MS, 10) || 5000,
+  readerPaywallDomains: (process.env.READER_PAYWALL_DOMAINS || 'wsj.com,ft.com,barrons.com,bloomberg.com,economist.com,nytimes.com,washingtonpost.com,seekingalpha.com,investors.com,thetimes.co.uk')
+    .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+  readerTimeoutMs: parseInt(process.env.READER_TIMEOUT_MS, 10) || 10000,
+  readerAllowPrivateHosts: process.env.READER_ALLOW_PRIVATE_HOSTS === 'true',
+  newsStreamWebSocket: process.env.NEWS_STREAM_WEBSOCKET === 'true',
+  digestTransport: process.env.DIGEST_TRANSPORT || 'console',
+  digestFrom: process.env.DIGEST_FROM || 'Stock News <digest@localhost>',
+  digestOutputDir: process.env.DIGEST_OUTPUT_DIR || path.join(__dirname, '../../tmp/digests'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  alertHooks: (process.env.ALERT_HOOKS ?? 'console').split(',').map(name => name.trim()).filter(Boolean),
+  pushClient: process.env.PUSH_CLIENT || 'memory',
+  pushMinIntervalMinutes: parseInt(process.env.PUSH_MIN_INTERVAL_MINUTES, 10) || 15,
+  apns: {
+    keyId: process.env.APNS_KEY_ID,
+    teamId: process.env.APNS_TEAM_ID,
+    keyPath: process.env.APNS_KEY_PATH,
+    key: process.env.APNS_KEY,
+    bundleId: process.env.APNS_BUNDLE_ID,
+  },
 };
 
 module.exports = config;
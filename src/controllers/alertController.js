@@ -0,0 +1,202 @@
+const alertService = require('../services/alertService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Alert Controller
+ * Handles HTTP requests and responses for keyword alert rules and the alert inbox
+ * Delegates business logic to services
+ */
+
+/**
+ * Map alert service errors to HTTP status codes
+ * @param {Error} error - Error thrown by the alert service
+ * @returns {number|null} - Status code, or null for unexpected errors
+ */
+const statusForError = (error) => {
+  if (error.message.startsWith('Invalid expression')) {
+    return 400;
+  }
+
+  switch (error.message) {
+    case 'Alert rule not found':
+    case 'Alert not found':
+    case 'Stock not found':
+      return 404;
+    case 'Too many alert rules':
+    case 'Too many stocks':
+    case 'Too many sources':
+    case 'Invalid status':
+    case 'Invalid cursor':
+      return 400;
+    default:
+      return null;
+  }
+};
+
+/**
+ * List the user's alert rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await alertService.listRules(req.userId);
+    sendSuccess(res, { rules }, 'Alert rules retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an alert rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { name, expression, stockIds, sources, enabled } = req.body;
+    const rule = await alertService.createRule(req.userId, { name, expression, stockIds, sources, enabled });
+
+    sendSuccess(res, rule, 'Alert rule created successfully', 201);
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update an alert rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { name, expression, stockIds, sources, enabled } = req.body;
+    const rule = await alertService.updateRule(req.userId, req.params.id, { name, expression, stockIds, sources, enabled });
+
+    sendSuccess(res, rule, 'Alert rule updated successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete an alert rule and its alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    const rule = await alertService.deleteRule(req.userId, req.params.id);
+    sendSuccess(res, rule, 'Alert rule deleted successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * List the user's alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getAlerts = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { status, ruleId, limit, before } = req.query;
+    const data = await alertService.listAlerts(req.userId, { status, ruleId, limit, before });
+
+    sendSuccess(res, data, 'Alerts retrieved successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Acknowledge several alerts (all unacknowledged ones when no IDs are given)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const acknowledgeAlerts = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { alertIds, ruleId } = req.body;
+    const result = await alertService.acknowledgeAlerts(req.userId, { alertIds, ruleId });
+
+    sendSuccess(res, result, 'Alerts acknowledged successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Acknowledge one alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const acknowledgeAlert = async (req, res, next) => {
+  try {
+    const alert = await alertService.acknowledgeAlert(req.userId, req.params.id);
+    sendSuccess(res, alert, 'Alert acknowledged successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getAlerts,
+  acknowledgeAlerts,
+  acknowledgeAlert,
+};
@@ -0,0 +1,198 @@
+const bookmarkService = require('../services/bookmarkService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Bookmark Controller
+ * Handles HTTP requests and responses for saved articles and collections
+ * Delegates business logic to services
+ */
+
+/**
+ * Map bookmark service errors to HTTP status codes
+ * @param {Error} error - Error thrown by the bookmark service
+ * @returns {number|null} - Status code, or null for unexpected errors
+ */
+const statusForError = (error) => {
+  switch (error.message) {
+    case 'News not found':
+    case 'Bookmark not found':
+    case 'Collection not found':
+      return 404;
+    case 'Collection already exists':
+      return 409;
+    case 'Invalid cursor':
+      return 400;
+    default:
+      return null;
+  }
+};
+
+/**
+ * List saved articles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getBookmarks = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const userId = req.userId; // From authenticate middleware
+    const { collectionId, limit, before } = req.query;
+
+    const data = await bookmarkService.listBookmarks(userId, { collectionId, limit, before });
+    sendSuccess(res, data, 'Bookmarks retrieved successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Save an article, optionally into a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const saveArticle = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const userId = req.userId; // From authenticate middleware
+    const { newsId, collectionId } = req.body;
+
+    const { bookmark, created } = await bookmarkService.saveArticle(userId, newsId, collectionId || null);
+
+    if (created) {
+      return sendSuccess(res, bookmark, 'Article saved successfully', 201);
+    }
+    sendSuccess(res, bookmark, 'Bookmark updated successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Remove a saved article
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const removeBookmark = async (req, res, next) => {
+  try {
+    const bookmark = await bookmarkService.removeBookmark(req.userId, req.params.newsId);
+    sendSuccess(res, bookmark, 'Bookmark removed successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * List the user's collections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getCollections = async (req, res, next) => {
+  try {
+    const collections = await bookmarkService.listCollections(req.userId);
+    sendSuccess(res, { collections }, 'Collections retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const createCollection = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const collection = await bookmarkService.createCollection(req.userId, req.body.name);
+    sendSuccess(res, collection, 'Collection created successfully', 201);
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Rename a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const renameCollection = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const collection = await bookmarkService.renameCollection(req.userId, req.params.id, req.body.name);
+    sendSuccess(res, collection, 'Collection renamed successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a collection (its bookmarks become unfiled)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const deleteCollection = async (req, res, next) => {
+  try {
+    const collection = await bookmarkService.deleteCollection(req.userId, req.params.id);
+    sendSuccess(res, collection, 'Collection deleted successfully');
+  } catch (error) {
+    const status = statusForError(error);
+    if (status) {
+      return sendError(res, error.message, status);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getBookmarks,
+  saveArticle,
+  removeBookmark,
+  getCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+};
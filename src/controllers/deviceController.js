@@ -0,0 +1,78 @@
+const notificationService = require('../services/notificationService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Device Controller
+ * Handles HTTP requests and responses for push notification devices
+ * Delegates business logic to services
+ */
+
+/**
+ * List the user's registered devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getDevices = async (req, res, next) => {
+  try {
+    const devices = await notificationService.listDevices(req.userId);
+    sendSuccess(res, { devices }, 'Devices retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a device for push notifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const registerDevice = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { token, environment } = req.body;
+    const { device, created } = await notificationService.registerDevice(req.userId, token, environment);
+
+    sendSuccess(res, device, created ? 'Device registered successfully' : 'Device already registered', created ? 201 : 200);
+  } catch (error) {
+    if (['Invalid environment', 'Device limit reached'].includes(error.message)) {
+      return sendError(res, error.message, 400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Unregister a device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const unregisterDevice = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const device = await notificationService.unregisterDevice(req.userId, req.params.token);
+    sendSuccess(res, device, 'Device unregistered successfully');
+  } catch (error) {
+    if (error.message === 'Device not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getDevices,
+  registerDevice,
+  unregisterDevice,
+};
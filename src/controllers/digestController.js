@@ -0,0 +1,76 @@
+const digestService = require('../services/digestService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Digest Controller
+ * Handles HTTP requests and responses for daily news digests
+ * Delegates business logic to services
+ */
+
+/**
+ * Get the user's digest settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const settings = await digestService.getSettings(req.userId);
+    sendSuccess(res, settings, 'Digest settings retrieved successfully');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update the user's digest settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { enabled, timezone, hour } = req.body;
+    const settings = await digestService.updateSettings(req.userId, { enabled, timezone, hour });
+
+    sendSuccess(res, settings, 'Digest settings updated successfully');
+  } catch (error) {
+    if (error.message === 'Invalid timezone') {
+      return sendError(res, error.message, 400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Render the user's digest for the last 24 hours without sending it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const previewDigest = async (req, res, next) => {
+  try {
+    const digest = await digestService.previewDigest(req.userId);
+    sendSuccess(res, { digest }, digest ? 'Digest rendered successfully' : 'No watchlist news in the last 24 hours');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  previewDigest,
+};
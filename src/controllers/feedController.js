@@ -0,0 +1,95 @@
+const feedService = require('../services/feedService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Feed Controller
+ * Handles HTTP requests and responses for RSS/Atom feed management
+ * Delegates business logic to services
+ */
+
+/**
+ * List all feeds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getFeeds = async (req, res, next) => {
+  try {
+    const feeds = await feedService.listFeeds();
+    sendSuccess(res, { feeds }, 'Feeds retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a feed, optionally attached to a stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const createFeed = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { url, title, stockId } = req.body;
+    const feed = await feedService.createFeed({ url, title, stockId });
+
+    sendSuccess(res, feed, 'Feed created successfully', 201);
+  } catch (error) {
+    if (error.message === 'Stock not found') {
+      return sendError(res, error.message, 404);
+    }
+    if (error.message === 'Feed already exists') {
+      return sendError(res, error.message, 409);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a feed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const deleteFeed = async (req, res, next) => {
+  try {
+    const feed = await feedService.deleteFeed(req.params.id);
+    sendSuccess(res, feed, 'Feed deleted successfully');
+  } catch (error) {
+    if (error.message === 'Feed not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Fetch all feeds now instead of waiting for the cron job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const syncFeeds = async (req, res, next) => {
+  try {
+    const result = await feedService.syncAllFeeds();
+    if (!result.success) {
+      return sendError(res, result.error, 500);
+    }
+    sendSuccess(res, result, 'Feeds synced successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeeds,
+  createFeed,
+  deleteFeed,
+  syncFeeds,
+};
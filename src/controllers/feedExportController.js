@@ -0,0 +1,126 @@
+const feedExportService = require('../services/feedExportService');
+const { FEED_FORMATS } = require('../helpers/feedRenderer');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Feed Export Controller
+ * Handles HTTP requests and responses for personal news feed URLs
+ * Delegates business logic to services
+ */
+
+/**
+ * Build the absolute feed URLs for a token
+ * @param {Object} req - Express request object
+ * @param {string} token - Raw feed token
+ * @returns {Object} - { rss, atom, json }
+ */
+const buildFeedUrls = (req, token) => {
+  const base = `${req.protocol}://${req.get('host')}/api/feeds/${encodeURIComponent(token)}`;
+  return Object.fromEntries(FEED_FORMATS.map(format => [format, `${base}/${format}`]));
+};
+
+/**
+ * Get the user's feed token details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getFeedToken = async (req, res, next) => {
+  try {
+    const feedToken = await feedExportService.getFeedToken(req.userId);
+    sendSuccess(res, { feedToken }, feedToken ? 'Feed token retrieved successfully' : 'Feeds are not enabled');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or regenerate the user's feed token
+ * The response is the only time the feed URLs are shown
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const regenerateFeedToken = async (req, res, next) => {
+  try {
+    const { token, createdAt, replaced } = await feedExportService.regenerateFeedToken(req.userId);
+
+    sendSuccess(
+      res,
+      { token, createdAt, urls: buildFeedUrls(req, token) },
+      replaced ? 'Feed token regenerated; previous feed URLs no longer work' : 'Feed token created successfully',
+      replaced ? 200 : 201
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke the user's feed token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const revokeFeedToken = async (req, res, next) => {
+  try {
+    await feedExportService.revokeFeedToken(req.userId);
+    sendSuccess(res, null, 'Feed token revoked successfully');
+  } catch (error) {
+    if (error.message === 'Feed token not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Serve a user's watchlist news feed
+ * Answers conditional requests (If-None-Match / If-Modified-Since) with 304
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { token, format } = req.params;
+    const feed = await feedExportService.buildFeed(token, format, {
+      homeUrl: `${req.protocol}://${req.get('host')}/`,
+      urls: buildFeedUrls(req, token),
+    });
+
+    res.set({
+      'Content-Type': feed.contentType,
+      ETag: feed.etag,
+      // Feed URLs are secrets: keep them out of shared caches
+      'Cache-Control': 'private, no-cache',
+    });
+    if (feed.lastModified) {
+      res.set('Last-Modified', feed.lastModified.toUTCString());
+    }
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.status(200).send(feed.body);
+  } catch (error) {
+    if (error.message === 'Feed not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeedToken,
+  regenerateFeedToken,
+  revokeFeedToken,
+  getFeed,
+};
@@ -0,0 +1,27 @@
+const finnhubClient = require('../services/finnhubClient');
+const { sendSuccess } = require('../helpers/responseHelper');
+
+/**
+ * Finnhub Controller
+ * Handles HTTP requests and responses for monitoring Finnhub API usage
+ * Delegates business logic to services
+ */
+
+/**
+ * Report Finnhub request counters, rate limiter and circuit breaker state
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getUsage = async (req, res, next) => {
+  try {
+    const usage = finnhubClient.getUsage();
+    sendSuccess(res, usage, 'Finnhub usage retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsage,
+};
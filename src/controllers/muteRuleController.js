@@ -0,0 +1,76 @@
+const muteRuleService = require('../services/muteRuleService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * Mute Rule Controller
+ * Handles HTTP requests and responses for news mute rules
+ * Delegates business logic to services
+ */
+
+/**
+ * List the user's mute rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await muteRuleService.listRules(req.userId);
+    sendSuccess(res, { rules }, 'Mute rules retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a mute rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { kind, value } = req.body;
+    const rule = await muteRuleService.createRule(req.userId, { kind, value });
+
+    sendSuccess(res, rule, 'Mute rule created successfully', 201);
+  } catch (error) {
+    if (['Invalid rule kind', 'Invalid domain', 'Invalid regular expression', 'Unsupported regular expression syntax', 'Regular expression is too complex', 'Too many mute rules'].includes(error.message)) {
+      return sendError(res, error.message, 400);
+    }
+    if (error.message === 'Mute rule already exists') {
+      return sendError(res, error.message, 409);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a mute rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    const rule = await muteRuleService.deleteRule(req.userId, req.params.id);
+    sendSuccess(res, rule, 'Mute rule deleted successfully');
+  } catch (error) {
+    if (error.message === 'Mute rule not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  deleteRule,
+};
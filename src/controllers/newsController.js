@@ -0,0 +1,291 @@
+const newsService = require('../services/newsService');
+const newsSearchService = require('../services/newsSearchService');
+const newsReadService = require('../services/newsReadService');
+const newsStreamService = require('../services/newsStreamService');
+const articleContentService = require('../services/articleContentService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * News Controller
+ * Handles HTTP requests and responses for news operations
+ * Delegates business logic to services
+ */
+
+// Comment lines sent on idle streams so proxies don't time the connection out
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Reconnect delay suggested to EventSource clients
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * Full-text search over stored news
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const searchNews = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const userId = req.userId; // From authenticate middleware
+    const { q, stockId, watchlist, source, from, to, expand, limit, cursor } = req.query;
+
+    const data = await newsSearchService.searchNews(userId, {
+      q,
+      stockId,
+      watchlist,
+      source,
+      from,
+      to,
+      expand,
+      limit,
+      cursor,
+    });
+
+    sendSuccess(res, data, 'News search completed successfully');
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return sendError(res, error.message, 400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get general market news (not tied to one stock)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getMarketNews = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const userId = req.userId; // From authenticate middleware
+    const { category, limit, before, after, expand } = req.query;
+
+    const data = await newsService.getMarketNews({
+      category,
+      limit,
+      before,
+      after,
+      expand,
+    }, userId);
+
+    sendSuccess(res, data, 'Market news retrieved successfully');
+  } catch (error) {
+    if (error.message === 'Invalid market news category' || error.message === 'Invalid cursor') {
+      return sendError(res, error.message, 400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Mark several articles as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const data = await newsReadService.markRead(req.userId, req.body.newsIds);
+    sendSuccess(res, data, 'News marked as read');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark several articles as unread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const markUnread = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const data = await newsReadService.markUnread(req.userId, req.body.newsIds);
+    sendSuccess(res, data, 'News marked as unread');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all watchlist articles up to a timestamp as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { before, stockId } = req.body;
+    const data = await newsReadService.markAllRead(req.userId, { before, stockId });
+
+    sendSuccess(res, data, 'News marked as read');
+  } catch (error) {
+    if (error.message === 'Stock not in watchlist') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Mark a single article as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const markArticleRead = async (req, res, next) => {
+  try {
+    const data = await newsReadService.markRead(req.userId, [req.params.id]);
+    sendSuccess(res, data, 'News marked as read');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a single article as unread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const markArticleUnread = async (req, res, next) => {
+  try {
+    const data = await newsReadService.markUnread(req.userId, [req.params.id]);
+    sendSuccess(res, data, 'News marked as unread');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an article's readable content (reader mode)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getArticleContent = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const content = await articleContentService.getArticleContent(req.params.id);
+    sendSuccess(res, content, 'Article content retrieved successfully');
+  } catch (error) {
+    if (error.message === 'News not found') {
+      return sendError(res, error.message, 404);
+    }
+    if (error.message === 'Article is behind a paywall') {
+      return sendError(res, error.message, 422);
+    }
+    if (error.message === 'Article content could not be extracted') {
+      return sendError(res, error.message, 502);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Stream new and updated watchlist news as Server-Sent Events
+ * Resumes from the Last-Event-ID header (or lastEventId query param) after a reconnect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const streamNews = async (req, res, next) => {
+  let closeStream = null;
+  let heartbeat = null;
+
+  // Listen before opening: a client that leaves while the stream is still being set up must release it too
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (closeStream) {
+      closeStream();
+    }
+  });
+
+  try {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    const send = ({ id, type, data }) => {
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Events replayed while opening are written after the headers below
+    const replayed = [];
+    let opened = false;
+    closeStream = await newsStreamService.openStream(req.userId, {
+      lastEventId,
+      send: (event) => (opened ? send(event) : replayed.push(event)),
+    });
+
+    // The client went away while the stream was opening
+    if (req.destroyed || res.writableEnded) {
+      closeStream();
+      return;
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    opened = true;
+    replayed.forEach(send);
+
+    heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, STREAM_HEARTBEAT_MS);
+  } catch (error) {
+    if (closeStream) {
+      closeStream();
+    }
+    if (error.message === 'Too many open streams') {
+      return sendError(res, error.message, 429);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  searchNews,
+  getMarketNews,
+  markRead,
+  markUnread,
+  markAllRead,
+  markArticleRead,
+  markArticleUnread,
+  streamNews,
+  getArticleContent,
+};
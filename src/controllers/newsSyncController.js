@@ -0,0 +1,57 @@
+const newsSyncScheduler = require('../services/newsSyncScheduler');
+const newsSyncCursorService = require('../services/newsSyncCursorService');
+const { sendSuccess, sendError } = require('../helpers/responseHelper');
+const { validateRequest } = require('../helpers/validationHelper');
+
+/**
+ * News Sync Controller
+ * Handles HTTP requests and responses for monitoring the news sync scheduler
+ * Delegates business logic to services
+ */
+
+/**
+ * Report the news sync scheduler's state and per-stock lag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getStatus = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const status = await newsSyncScheduler.getStatus({ limit: req.query.limit });
+    sendSuccess(res, status, 'News sync status retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List per-stock news sync cursors
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getCursors = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { stockId, failing, limit } = req.query;
+    const cursors = await newsSyncCursorService.listCursors({ stockId, failing, limit });
+
+    sendSuccess(res, { cursors }, 'News sync cursors retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStatus,
+  getCursors,
+};
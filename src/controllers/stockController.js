@@ -1,4 +1,6 @@
 const stockService = require('../services/stockService');
+const sentimentService = require('../services/sentimentService');
+const trendingService = require('../services/trendingService');
 const { sendSuccess, sendError } = require('../helpers/responseHelper');
 const { validateRequest } = require('../helpers/validationHelper');
 
@@ -32,7 +34,129 @@ const searchStocks = async (req, res, next) => {
   }
 };
 
+/**
+ * Get rolling news sentiment for a stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getStockSentiment = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { id } = req.params;
+    const { window } = req.query;
+
+    const data = await sentimentService.getStockSentiment(id, window ? [window] : undefined);
+    sendSuccess(res, data, 'Stock sentiment retrieved successfully');
+  } catch (error) {
+    if (error.message === 'Stock not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get stocks with abnormal news volume
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getTrendingStocks = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { scope, hours, baselineDays, limit } = req.query;
+
+    const data = await trendingService.getTrendingStocks({
+      hours,
+      baselineDays,
+      limit,
+      userId: scope === 'watchlist' ? req.userId : null, // From authenticate middleware
+    });
+    sendSuccess(res, data, 'Trending stocks retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the news-matching aliases of a stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const getAliases = async (req, res, next) => {
+  try {
+    const aliases = await stockService.listAliases(req.params.stockId);
+    sendSuccess(res, { aliases }, 'Aliases retrieved successfully');
+  } catch (error) {
+    if (error.message === 'Stock not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Add a news-matching alias to a stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const addAlias = async (req, res, next) => {
+  try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const { alias, kind, weight } = req.body;
+    const created = await stockService.addAlias(req.params.stockId, { alias, kind, weight });
+
+    sendSuccess(res, created, 'Alias added successfully', 201);
+  } catch (error) {
+    if (error.message === 'Stock not found') {
+      return sendError(res, error.message, 404);
+    }
+    if (error.message === 'Alias already exists') {
+      return sendError(res, error.message, 409);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Remove a news-matching alias from a stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const removeAlias = async (req, res, next) => {
+  try {
+    const alias = await stockService.removeAlias(req.params.stockId, req.params.id);
+    sendSuccess(res, alias, 'Alias removed successfully');
+  } catch (error) {
+    if (error.message === 'Alias not found') {
+      return sendError(res, error.message, 404);
+    }
+    next(error);
+  }
+};
+
 module.exports = {
   searchStocks,
+  getStockSentiment,
+  getTrendingStocks,
+  getAliases,
+  addAlias,
+  removeAlias,
 };
 
@@ -68,18 +68,34 @@ const getWatchlist = async (req, res, next) => {
  */
 const getNews = async (req, res, next) => {
   try {
-    const { stockId } = req.query;
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
+    const userId = req.userId; // From authenticate middleware
+    const { stockId, limit, before, after, expand, source, category, from, to, hasImage } = req.query;
     
     if (!stockId) {
       return sendError(res, 'stockId query parameter is required', 400);
     }
     
     const newsService = require('../services/newsService');
-    const articles = await newsService.getNewsForStock(stockId);
+    const data = await newsService.getNewsForStock(stockId, {
+      limit,
+      before,
+      after,
+      expand,
+      source,
+      category,
+      from,
+      to,
+      hasImage,
+    }, userId);
     
-    sendSuccess(res, { articles }, 'News retrieved successfully');
+    sendSuccess(res, data, 'News retrieved successfully');
   } catch (error) {
-    if (error.message === 'Stock not found') {
+    if (error.message === 'Stock not found' || error.message === 'Invalid cursor') {
       return sendError(res, error.message, 400);
     }
     next(error);
@@ -94,13 +110,34 @@ const getNews = async (req, res, next) => {
  */
 const getAllNews = async (req, res, next) => {
   try {
+    const validationError = validateRequest(req);
+    if (validationError) {
+      return sendError(res, validationError.message, 400);
+    }
+
     const userId = req.userId; // From authenticate middleware
+    const { limit, before, after, expand, source, category, from, to, stockIds, hasImage, facets } = req.query;
     
     const newsService = require('../services/newsService');
-    const articles = await newsService.getNewsForUserStocks(userId);
+    const data = await newsService.getNewsForUserStocks(userId, {
+      limit,
+      before,
+      after,
+      expand,
+      source,
+      category,
+      from,
+      to,
+      stockIds,
+      hasImage,
+      facets,
+    });
     
-    sendSuccess(res, { articles }, 'News retrieved successfully');
+    sendSuccess(res, data, 'News retrieved successfully');
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return sendError(res, error.message, 400);
+    }
     next(error);
   }
 };
@@ -0,0 +1,225 @@
+/**
+ * Alert Expression
+ * Parses and evaluates the boolean keyword expressions used by alert rules
+ *
+ * Syntax (case-insensitive matching on whole words):
+ * - buyback             a word
+ * - "FDA approval"      a phrase
+ * - acqui*              a word prefix
+ * - a b / a AND b       both
+ * - a OR b              either
+ * - NOT a / -a          not
+ * - ( ... )             grouping
+ * AND binds tighter than OR; AND, OR and NOT must be upper case (lower case "and" is a word)
+ */
+
+const MAX_TERMS = 20;
+const MAX_DEPTH = 10;
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression
+ * @returns {Array<Object>} - Tokens ({ type, value })
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index++;
+    } else if (char === '-' && (tokens.length === 0 || ['(', ')', 'AND', 'OR', 'NOT', 'term'].includes(tokens[tokens.length - 1].type)) && /[^\s)]/.test(source[index + 1] || ' ')) {
+      // A leading dash negates the next term or group ("-rumor", "-(a OR b)")
+      tokens.push({ type: 'NOT' });
+      index++;
+    } else if (char === '"') {
+      const end = source.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new Error('Invalid expression: unterminated quote');
+      }
+      const phrase = source.slice(index + 1, end).trim();
+      if (!phrase) {
+        throw new Error('Invalid expression: empty phrase');
+      }
+      tokens.push({ type: 'term', value: phrase });
+      index = end + 1;
+    } else {
+      let end = index;
+      while (end < source.length && !/[\s()"]/.test(source[end])) {
+        end++;
+      }
+      const word = source.slice(index, end);
+      tokens.push(['AND', 'OR', 'NOT'].includes(word) ? { type: word } : { type: 'term', value: word });
+      index = end;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Compile a word or phrase to a whole-word, case-insensitive pattern
+ * @param {string} value - Word, phrase or prefix ending in *
+ * @returns {RegExp}
+ */
+const compileTerm = (value) => {
+  const prefix = value.endsWith('*');
+  const text = prefix ? value.slice(0, -1) : value;
+
+  if (!/[\p{L}\p{N}]/u.test(text)) {
+    throw new Error(`Invalid expression: "${value}" has no letters or digits`);
+  }
+
+  const body = text
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${prefix ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+};
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression
+ * @returns {Object} - Tree of { type: 'term', value, pattern } | { type: 'and'|'or', children } | { type: 'not', child }
+ * @throws {Error} - "Invalid expression: ..." when the expression can't be parsed
+ */
+const parseExpression = (source) => {
+  const tokens = tokenize(source || '');
+  let position = 0;
+  let termCount = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      position++;
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseNot(depth)];
+    // Adjacent terms are ANDed implicitly
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+      }
+      children.push(parseNot(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = (depth) => {
+    if (peek() && peek().type === 'NOT') {
+      position++;
+      return { type: 'not', child: parseNot(depth) };
+    }
+    return parsePrimary(depth);
+  };
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Invalid expression: unexpected end');
+    }
+
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw new Error('Invalid expression: too deeply nested');
+      }
+      position++;
+      const node = parseOr(depth + 1);
+      if (!peek() || peek().type !== ')') {
+        throw new Error('Invalid expression: missing closing parenthesis');
+      }
+      position++;
+      return node;
+    }
+
+    if (token.type === 'term') {
+      position++;
+      termCount++;
+      if (termCount > MAX_TERMS) {
+        throw new Error(`Invalid expression: at most ${MAX_TERMS} terms are allowed`);
+      }
+      return { type: 'term', value: token.value, pattern: compileTerm(token.value) };
+    }
+
+    throw new Error(`Invalid expression: unexpected ${token.type}`);
+  };
+
+  const tree = parseOr(0);
+  if (position < tokens.length) {
+    throw new Error(`Invalid expression: unexpected ${tokens[position].type}`);
+  }
+
+  return tree;
+};
+
+/**
+ * Check whether an expression can match anything without matching every article
+ * ("NOT rumor" alone would alert on nearly every story)
+ * @param {Object} node - Syntax tree from parseExpression
+ * @param {boolean} negated - Whether the node sits under an odd number of NOTs
+ * @returns {boolean}
+ */
+const hasPositiveTerm = (node, negated = false) => {
+  if (node.type === 'term') {
+    return !negated;
+  }
+  if (node.type === 'not') {
+    return hasPositiveTerm(node.child, !negated);
+  }
+
+  // Under a NOT, AND behaves like OR and vice versa (De Morgan)
+  const requiresAll = (node.type === 'and') !== negated;
+  return requiresAll
+    ? node.children.some(child => hasPositiveTerm(child, negated))
+    : node.children.every(child => hasPositiveTerm(child, negated));
+};
+
+/**
+ * Evaluate a syntax tree against a text
+ * @param {Object} node - Syntax tree from parseExpression
+ * @param {string} text - Text to match (e.g., headline and summary)
+ * @returns {boolean}
+ */
+const evaluateExpression = (node, text) => {
+  switch (node.type) {
+    case 'term':
+      return node.pattern.test(text);
+    case 'not':
+      return !evaluateExpression(node.child, text);
+    case 'and':
+      return node.children.every(child => evaluateExpression(child, text));
+    default:
+      return node.children.some(child => evaluateExpression(child, text));
+  }
+};
+
+/**
+ * Parse an expression for an alert rule, rejecting ones that would match nearly everything
+ * @param {string} source - Expression
+ * @returns {Object} - Syntax tree
+ * @throws {Error} - "Invalid expression: ..." when the expression is unusable
+ */
+const compileAlertExpression = (source) => {
+  const tree = parseExpression(source);
+  if (!hasPositiveTerm(tree)) {
+    throw new Error('Invalid expression: it must require at least one word or phrase');
+  }
+  return tree;
+};
+
+module.exports = {
+  compileAlertExpression,
+  evaluateExpression,
+};
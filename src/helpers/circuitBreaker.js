@@ -0,0 +1,86 @@
+const { systemClock } = require('./clock');
+
+/**
+ * Circuit Breaker
+ * Stops calling an external API that keeps failing: after `failureThreshold`
+ * consecutive failures the circuit opens and calls are refused for `cooldownMs`,
+ * then a single trial call is let through (half-open) to decide whether to
+ * close the circuit again or keep it open for another cooldown
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - Milliseconds the circuit stays open before a trial call
+   * @param {Object} [options.clock] - Time source ({ now })
+   */
+  constructor({ failureThreshold, cooldownMs, clock = systemClock }) {
+    this.clock = clock;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.openCount = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a call may go ahead (and claim the trial call when half-open)
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.clock.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a call that succeeded (closes the circuit)
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a call that failed (opens the circuit at the threshold or after a failed trial)
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.clock.now();
+      this.openCount++;
+    }
+  }
+
+  /**
+   * Get the breaker's current state
+   * @returns {Object} - { state, consecutiveFailures, openedAt, retryAt, openCount }
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null,
+      openCount: this.openCount,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
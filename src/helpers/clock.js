@@ -0,0 +1,16 @@
+/**
+ * Clock
+ * The time source and timers used by the rate limiter, circuit breaker and
+ * Finnhub client. They take a clock instead of calling Date.now and setTimeout
+ * directly so tests can drive time themselves
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+module.exports = {
+  systemClock,
+};
@@ -0,0 +1,282 @@
+const cheerio = require('cheerio');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Content Extractor
+ * Pulls the main readable content out of an article page, readability style:
+ * paragraphs score their ancestors by length and punctuation, class and id names
+ * nudge the score, link-heavy blocks are penalized, and the best-scoring block
+ * plus its related siblings becomes the article body
+ */
+
+// Elements that never hold article text
+const STRIP_SELECTORS = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, svg, canvas, nav, footer, aside, header';
+
+const POSITIVE_NAMES = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_NAMES = /ad-|ads|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|header|legal|menu|modal|newsletter|outbrain|popup|promo|related|remark|rss|share|shopping|sidebar|signup|skyscraper|social|sponsor|subscribe|taboola|tags|tool|widget/i;
+const CANDIDATE_TAGS = ['div', 'article', 'section', 'main', 'td', 'blockquote', 'pre'];
+
+// Paragraphs shorter than this don't vote for their ancestors
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Articles whose best block has less text than this are treated as not extractable
+const MIN_CONTENT_LENGTH = 250;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ['p', 'br', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'em', 'strong', 'b', 'i', 'a', 'img', 'figure', 'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td'],
+  allowedAttributes: {
+    a: ['href', 'rel', 'target'],
+    img: ['src', 'alt'],
+  },
+  allowedSchemes: ['http', 'https'],
+  transformTags: {
+    // The page's h1 is the title; keep headings inside the body one level down
+    h1: 'h2',
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+  },
+  exclusiveFilter: (frame) => ['p', 'li', 'figure'].includes(frame.tag) && !frame.text.trim() && frame.mediaChildren.length === 0,
+};
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ * @param {string|undefined} value - URL from the page
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute http(s) URL or null
+ */
+const resolveUrl = (value, baseUrl) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Collapse whitespace
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const normalizeText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Read the first non-empty meta tag value among several selectors
+ * @param {Function} $ - Cheerio root
+ * @param {Array<string>} selectors - Meta tag selectors
+ * @returns {string|null}
+ */
+const readMeta = ($, selectors) => {
+  for (const selector of selectors) {
+    const value = normalizeText($(selector).first().attr('content'));
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Score an element's class and id names
+ * @param {Object} element - Cheerio element
+ * @returns {number}
+ */
+const classWeight = (element) => {
+  let weight = 0;
+  [element.attribs.class, element.attribs.id].forEach(name => {
+    if (!name) {
+      return;
+    }
+    if (NEGATIVE_NAMES.test(name)) {
+      weight -= 25;
+    }
+    if (POSITIVE_NAMES.test(name)) {
+      weight += 25;
+    }
+  });
+  return weight;
+};
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Function} $ - Cheerio root
+ * @param {Object} element - Cheerio element
+ * @returns {number} - 0 to 1
+ */
+const linkDensity = ($, element) => {
+  const textLength = normalizeText($(element).text()).length;
+  if (textLength === 0) {
+    return 0;
+  }
+  const linkLength = $(element).find('a').toArray()
+    .reduce((sum, link) => sum + normalizeText($(link).text()).length, 0);
+  return linkLength / textLength;
+};
+
+/**
+ * Find the element holding the article body
+ * @param {Function} $ - Cheerio root with clutter already removed
+ * @returns {Object|null} - { element, score }
+ */
+const findTopCandidate = ($) => {
+  const scores = new Map();
+
+  const addScore = (element, points) => {
+    if (!element || element.type !== 'tag' || !CANDIDATE_TAGS.includes(element.name)) {
+      return;
+    }
+    if (!scores.has(element)) {
+      scores.set(element, classWeight(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  $('p, pre, td').each((index, paragraph) => {
+    const text = normalizeText($(paragraph).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) {
+      return;
+    }
+
+    // One point per paragraph, one per comma, one per 100 characters (up to 3)
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, points);
+    addScore(paragraph.parent && paragraph.parent.parent, points / 2);
+  });
+
+  let best = null;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity($, element));
+    if (!best || adjusted > best.score) {
+      best = { element, score: adjusted };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Gather the top candidate and the siblings that look like part of the same article
+ * @param {Function} $ - Cheerio root
+ * @param {Object} candidate - Top candidate from findTopCandidate
+ * @returns {string} - Article body HTML
+ */
+const collectArticleHtml = ($, candidate) => {
+  const parent = candidate.element.parent;
+  if (!parent) {
+    return $.html(candidate.element);
+  }
+
+  const threshold = Math.max(10, candidate.score * 0.2);
+  return $(parent).children().toArray()
+    .filter(sibling => {
+      if (sibling === candidate.element) {
+        return true;
+      }
+      const text = normalizeText($(sibling).text());
+      const density = linkDensity($, sibling);
+      if (sibling.name === 'p') {
+        // Long paragraphs, or short ones that end like a sentence, next to the body belong to it
+        return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+      }
+      const siblingScore = classWeight(sibling) + (candidate.element.attribs.class && sibling.attribs.class === candidate.element.attribs.class ? candidate.score * 0.2 : 0);
+      return siblingScore >= threshold;
+    })
+    .map(sibling => $.html(sibling))
+    .join('');
+};
+
+/**
+ * Convert sanitized article HTML to plain text with blank lines between blocks
+ * @param {string} html - Sanitized HTML
+ * @returns {string}
+ */
+const htmlToText = (html) => {
+  const $ = cheerio.load(html, null, false);
+  $('br').replaceWith('\n');
+  $('p, li, h2, h3, h4, h5, h6, blockquote, pre, figcaption, tr').each((index, block) => {
+    $(block).append('\n\n');
+  });
+  return $.root().text()
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Extract the readable content of an article page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Final page URL (for resolving relative links)
+ * @returns {Object|null} - { title, byline, leadImage, html, text, wordCount }, or null when no article body is found
+ */
+const extractContent = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+
+  const title = readMeta($, ['meta[property="og:title"]', 'meta[name="twitter:title"]'])
+    || normalizeText($('h1').first().text())
+    || normalizeText($('title').first().text())
+    || null;
+  const byline = readMeta($, ['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="parsely-author"]'])
+    || normalizeText($('[rel="author"], [itemprop="author"], .byline, .author').first().text())
+    || null;
+  let leadImage = resolveUrl(readMeta($, ['meta[property="og:image"]', 'meta[name="twitter:image"]']), pageUrl);
+
+  $(STRIP_SELECTORS).remove();
+  $('[hidden], [aria-hidden="true"]').remove();
+  $('*').each((index, element) => {
+    // Drop obvious clutter, but never the page's main containers
+    if (element.type === 'tag' && !['html', 'body', 'main', 'article'].includes(element.name) && classWeight(element) < 0 && linkDensity($, element) > 0.2) {
+      $(element).remove();
+    }
+  });
+
+  const candidate = findTopCandidate($);
+  if (!candidate) {
+    return null;
+  }
+
+  const body = $(cheerio.load(collectArticleHtml($, candidate), null, false).root());
+  body.find('a[href]').each((index, link) => {
+    const href = resolveUrl(link.attribs.href, pageUrl);
+    if (href) {
+      link.attribs.href = href;
+    } else {
+      delete link.attribs.href;
+    }
+  });
+  body.find('img').each((index, image) => {
+    // Lazy-loaded images keep the real source in a data attribute
+    const src = resolveUrl(image.attribs['data-src'] || image.attribs.src, pageUrl);
+    if (src) {
+      image.attribs.src = src;
+    } else {
+      delete image.attribs.src;
+    }
+  });
+
+  const sanitized = sanitizeHtml(body.html(), SANITIZE_OPTIONS).trim();
+  const text = htmlToText(sanitized);
+  if (text.length < MIN_CONTENT_LENGTH) {
+    return null;
+  }
+
+  if (!leadImage) {
+    leadImage = cheerio.load(sanitized, null, false)('img[src]').first().attr('src') || null;
+  }
+
+  return {
+    title,
+    byline: byline && byline.length <= 200 ? byline : null,
+    leadImage,
+    html: sanitized,
+    text,
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+  };
+};
+
+module.exports = {
+  extractContent,
+};
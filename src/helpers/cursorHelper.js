@@ -0,0 +1,94 @@
+/**
+ * Cursor helper utilities
+ * Encodes and decodes opaque pagination cursors keyed on datetime + id,
+ * and offset cursors for result sets that are not ordered by time (e.g. search rank)
+ */
+
+/**
+ * Encode a cursor for a row
+ * @param {Object} row - Row with datetime and id properties
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (row) => {
+  const payload = JSON.stringify({
+    d: new Date(row.datetime).toISOString(),
+    i: row.id,
+  });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+};
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor - Cursor produced by encodeCursor
+ * @returns {{datetime: Date, id: string}} - Decoded cursor position
+ * @throws {Error} - If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const datetime = new Date(payload.d);
+
+    if (!payload.i || typeof payload.i !== 'string' || Number.isNaN(datetime.getTime())) {
+      throw new Error('Invalid cursor payload');
+    }
+
+    return { datetime, id: payload.i };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Build a Prisma where clause selecting rows strictly before (older than)
+ * or after (newer than) a cursor position in datetime desc, id desc order
+ * @param {{datetime: Date, id: string}} position - Decoded cursor position
+ * @param {string} direction - 'before' or 'after'
+ * @param {string} field - Timestamp column the rows are ordered by
+ * @returns {Object} - Prisma where clause
+ */
+const buildCursorWhere = (position, direction, field = 'datetime') => {
+  const op = direction === 'after' ? 'gt' : 'lt';
+  return {
+    OR: [
+      { [field]: { [op]: position.datetime } },
+      { [field]: position.datetime, id: { [op]: position.id } },
+    ],
+  };
+};
+
+/**
+ * Encode an offset cursor
+ * @param {number} offset - Number of rows to skip
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeOffsetCursor = (offset) => {
+  return Buffer.from(JSON.stringify({ o: offset }), 'utf8').toString('base64url');
+};
+
+/**
+ * Decode an offset cursor
+ * @param {string} cursor - Cursor produced by encodeOffsetCursor
+ * @returns {number} - Number of rows to skip
+ * @throws {Error} - If the cursor is malformed
+ */
+const decodeOffsetCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!Number.isInteger(payload.o) || payload.o < 0) {
+      throw new Error('Invalid cursor payload');
+    }
+
+    return payload.o;
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+};
@@ -0,0 +1,132 @@
+/**
+ * Digest Renderer
+ * Renders a watchlist news digest (from digestService.buildDigest) as HTML and plain text
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {string|null} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Describe a stock's sentiment for the digest
+ * @param {Object|null} sentiment - { averageScore, label } or null when no article was scored
+ * @returns {string} - e.g. "bullish (+0.42)"
+ */
+const formatSentiment = (sentiment) => {
+  if (!sentiment) {
+    return '';
+  }
+  const sign = sentiment.averageScore > 0 ? '+' : '';
+  return `${sentiment.label} (${sign}${sentiment.averageScore.toFixed(2)})`;
+};
+
+/**
+ * Format a publish time in the user's timezone
+ * @param {Date} datetime - Publish time
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "Oct 19, 9:30 AM"
+ */
+const formatTime = (datetime, timezone) => {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(datetime);
+};
+
+/**
+ * Build the subject line
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string}
+ */
+const renderSubject = (digest) => {
+  const symbols = digest.stocks.slice(0, 3).map(entry => entry.stock.symbol).join(', ');
+  const more = digest.stocks.length > 3 ? ` and ${digest.stocks.length - 3} more` : '';
+  return `Your watchlist news: ${digest.totalArticles} ${digest.totalArticles === 1 ? 'story' : 'stories'} for ${symbols}${more}`;
+};
+
+/**
+ * Render the plain text body
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string}
+ */
+const renderText = (digest) => {
+  const lines = [`Your watchlist news from the last ${digest.hours} hours`, ''];
+
+  digest.stocks.forEach(({ stock, articleCount, sentiment, articles }) => {
+    const mood = sentiment ? ` - ${formatSentiment(sentiment)}` : '';
+    lines.push(`${stock.symbol} (${stock.description || stock.symbol}): ${articleCount} ${articleCount === 1 ? 'story' : 'stories'}${mood}`);
+
+    articles.forEach(article => {
+      lines.push(`  * ${article.headline}`);
+      lines.push(`    ${article.source ? `${article.source}, ` : ''}${formatTime(article.datetime, digest.timezone)}`);
+      lines.push(`    ${article.url}`);
+    });
+
+    lines.push('');
+  });
+
+  lines.push('You are receiving this because digests are enabled for your account.');
+  return lines.join('\n');
+};
+
+/**
+ * Render the HTML body
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string}
+ */
+const renderHtml = (digest) => {
+  const sections = digest.stocks.map(({ stock, articleCount, sentiment, articles }) => {
+    const mood = sentiment
+      ? ` <span style="color:${sentiment.label === 'bullish' ? '#1a7f37' : sentiment.label === 'bearish' ? '#cf222e' : '#57606a'}">${escapeHtml(formatSentiment(sentiment))}</span>`
+      : '';
+
+    const items = articles.map(article => `
+        <li style="margin-bottom:12px">
+          <a href="${escapeHtml(article.url)}" style="color:#0969da;text-decoration:none;font-weight:600">${escapeHtml(article.headline)}</a><br>
+          <span style="color:#57606a;font-size:13px">${article.source ? `${escapeHtml(article.source)} &middot; ` : ''}${escapeHtml(formatTime(article.datetime, digest.timezone))}</span>
+        </li>`).join('');
+
+    return `
+      <h2 style="font-size:18px;margin:24px 0 4px">${escapeHtml(stock.symbol)} <span style="font-weight:normal;color:#57606a">${escapeHtml(stock.description || '')}</span></h2>
+      <p style="margin:0 0 8px;color:#57606a">${articleCount} ${articleCount === 1 ? 'story' : 'stories'}${mood}</p>
+      <ul style="padding-left:18px;margin:0">${items}
+      </ul>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:-apple-system,Helvetica,Arial,sans-serif;color:#1f2328;max-width:640px;margin:0 auto;padding:16px">
+    <h1 style="font-size:22px">Your watchlist news from the last ${digest.hours} hours</h1>${sections}
+    <p style="margin-top:32px;color:#57606a;font-size:12px">You are receiving this because digests are enabled for your account.</p>
+  </body>
+</html>
+`;
+};
+
+/**
+ * Render a digest
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {Object} - { subject, html, text }
+ */
+const renderDigest = (digest) => ({
+  subject: renderSubject(digest),
+  html: renderHtml(digest),
+  text: renderText(digest),
+});
+
+module.exports = {
+  renderDigest,
+};
@@ -0,0 +1,94 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe with a ring buffer of recent events, so a
+ * subscriber that reconnects can replay what it missed from its last event ID
+ *
+ * Event IDs are "<bus start time>-<sequence>": an ID from before a restart
+ * (or one that has already left the buffer) can't be resumed from
+ */
+class EventBus {
+  /**
+   * @param {number} capacity - Number of recent events kept for replay
+   */
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - Event type (e.g., 'news.created')
+   * @param {Object} data - Event payload
+   * @returns {Object} - Published event ({ id, type, data, publishedAt })
+   */
+  publish(type, data) {
+    this.sequence++;
+    const event = {
+      id: `${this.epoch}-${this.sequence}`,
+      sequence: this.sequence,
+      type,
+      data,
+      publishedAt: new Date(),
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.capacity) {
+      this.buffer.shift();
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        // One broken subscriber must not stop delivery to the others
+        console.error(`Event bus listener failed on ${type}:`, error.message);
+      }
+    });
+
+    return event;
+  }
+
+  /**
+   * Subscribe to new events
+   * @param {Function} listener - Called with each published event
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get the buffered events published after an event ID
+   * @param {string} lastEventId - ID of the last event the subscriber received
+   * @returns {Object} - { events, complete } where complete is false when events were missed
+   */
+  getEventsSince(lastEventId) {
+    const [epoch, sequence] = String(lastEventId || '').split('-');
+    const lastSequence = parseInt(sequence, 10);
+
+    if (epoch !== this.epoch || !Number.isInteger(lastSequence) || lastSequence > this.sequence) {
+      return { events: [], complete: false };
+    }
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+    return {
+      events: this.buffer.filter(event => event.sequence > lastSequence),
+      // Nothing between the last event seen and the oldest buffered one may be missing
+      complete: lastSequence >= oldest - 1,
+    };
+  }
+
+  /**
+   * Number of current subscribers
+   * @returns {number}
+   */
+  get subscriberCount() {
+    return this.listeners.size;
+  }
+}
+
+module.exports = EventBus;
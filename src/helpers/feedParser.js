@@ -0,0 +1,189 @@
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Feed Parser
+ * Parses RSS 2.0, RSS 1.0 (RDF) and Atom documents into plain feed items
+ */
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  trimValues: true,
+});
+
+/**
+ * Wrap a value in an array if it is not one already
+ * @param {*} value - Single value, array or undefined
+ * @returns {Array}
+ */
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Read the text content of a parsed XML node
+ * @param {*} node - String, number or object with a #text property
+ * @returns {string|null}
+ */
+const getText = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') {
+    return node['#text'] !== undefined ? String(node['#text']) : null;
+  }
+  return String(node);
+};
+
+// Named entities decoded in feed text (others are left as written)
+const NAMED_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Decode one HTML entity
+ * @param {string} entity - Entity as written (e.g., '&amp;', '&#8217;', '&#x2019;')
+ * @param {string} [decimal] - Decimal code point
+ * @param {string} [hex] - Hexadecimal code point
+ * @param {string} [name] - Entity name
+ * @returns {string} - Decoded character, or the entity itself when it isn't known
+ */
+const decodeEntity = (entity, decimal, hex, name) => {
+  if (name) {
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  }
+  const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+};
+
+/**
+ * Convert an HTML fragment to plain text
+ * @param {string|null} html - HTML fragment
+ * @returns {string|null}
+ */
+const stripHtml = (html) => {
+  if (!html) return null;
+
+  // Entities are decoded in one pass so "&amp;lt;" stays "&lt;"
+  const text = html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, decodeEntity)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text || null;
+};
+
+/**
+ * Parse a date string, returning null when it is missing or invalid
+ * @param {string|null} value - Date string (RFC 822 or ISO 8601)
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Pick the article link from an Atom entry's link elements
+ * @param {*} links - Parsed link element(s)
+ * @returns {string|null}
+ */
+const getAtomLink = (links) => {
+  const candidates = toArray(links);
+  const alternate = candidates.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+  const link = alternate || candidates[0];
+  if (!link) return null;
+  return typeof link === 'object' ? link['@_href'] || null : String(link);
+};
+
+/**
+ * Parse an RSS (2.0 or 1.0) item
+ * @param {Object} item - Parsed item element
+ * @returns {Object} - Feed item
+ */
+const parseRssItem = (item) => {
+  const link = getText(item.link);
+  const enclosure = toArray(item.enclosure).find(e => (e['@_type'] || '').startsWith('image/'));
+  const media = toArray(item['media:content'])[0] || toArray(item['media:thumbnail'])[0];
+
+  return {
+    id: getText(item.guid) || link,
+    title: stripHtml(getText(item.title)),
+    summary: stripHtml(getText(item.description) || getText(item['content:encoded'])),
+    link,
+    image: (enclosure && enclosure['@_url']) || (media && media['@_url']) || null,
+    source: getText(item.source),
+    publishedAt: parseDate(getText(item.pubDate) || getText(item['dc:date'])),
+  };
+};
+
+/**
+ * Parse an Atom entry
+ * @param {Object} entry - Parsed entry element
+ * @returns {Object} - Feed item
+ */
+const parseAtomEntry = (entry) => {
+  const link = getAtomLink(entry.link);
+
+  return {
+    id: getText(entry.id) || link,
+    title: stripHtml(getText(entry.title)),
+    summary: stripHtml(getText(entry.summary) || getText(entry.content)),
+    link,
+    image: null,
+    source: entry.source ? getText(entry.source.title) : null,
+    publishedAt: parseDate(getText(entry.published) || getText(entry.updated)),
+  };
+};
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Feed document
+ * @returns {{title: string|null, items: Array<Object>}} - Feed title and items
+ * @throws {Error} - If the document is not a recognised feed
+ */
+const parseFeed = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid feed XML: ${error.message}`);
+  }
+
+  if (document.rss && document.rss.channel) {
+    const channel = document.rss.channel;
+    return {
+      title: stripHtml(getText(channel.title)),
+      items: toArray(channel.item).map(parseRssItem),
+    };
+  }
+
+  if (document['rdf:RDF']) {
+    const rdf = document['rdf:RDF'];
+    return {
+      title: rdf.channel ? stripHtml(getText(rdf.channel.title)) : null,
+      items: toArray(rdf.item).map(parseRssItem),
+    };
+  }
+
+  if (document.feed) {
+    return {
+      title: stripHtml(getText(document.feed.title)),
+      items: toArray(document.feed.entry).map(parseAtomEntry),
+    };
+  }
+
+  throw new Error('Unrecognised feed format (expected RSS or Atom)');
+};
+
+module.exports = {
+  parseFeed,
+  stripHtml,
+};
@@ -0,0 +1,150 @@
+/**
+ * Feed Renderer
+ * Renders a list of news articles as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ *
+ * A feed has: title, description, homeUrl, urls ({ rss, atom, json } self links),
+ * updated (Date) and articles (public article shape from newsService)
+ */
+
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+/**
+ * Escape text for use in XML
+ * @param {string|null} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value ?? '')
+    // Control characters are not allowed anywhere in an XML 1.0 document
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Get the stock symbols an article is tagged with
+ * @param {Object} article - Article
+ * @returns {Array<string>}
+ */
+const getSymbols = (article) => (article.stocks || []).map(stock => stock.symbol);
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - Feed
+ * @returns {string}
+ */
+const renderRss = (feed) => {
+  const items = feed.articles.map(article => `
+    <item>
+      <title>${escapeXml(article.headline)}</title>
+      <link>${escapeXml(article.url)}</link>
+      <guid isPermaLink="false">${escapeXml(article.id)}</guid>
+      <pubDate>${new Date(article.datetime).toUTCString()}</pubDate>${article.summary ? `
+      <description>${escapeXml(article.summary)}</description>` : ''}${article.source ? `
+      <source url="${escapeXml(article.url)}">${escapeXml(article.source)}</source>` : ''}${getSymbols(article).map(symbol => `
+      <category>${escapeXml(symbol)}</category>`).join('')}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - Feed
+ * @returns {string}
+ */
+const renderAtom = (feed) => {
+  const entries = feed.articles.map(article => `
+  <entry>
+    <id>urn:uuid:${escapeXml(article.id)}</id>
+    <title>${escapeXml(article.headline)}</title>
+    <link href="${escapeXml(article.url)}"/>
+    <published>${new Date(article.datetime).toISOString()}</published>
+    <updated>${new Date(article.updatedAt || article.datetime).toISOString()}</updated>${article.summary ? `
+    <summary>${escapeXml(article.summary)}</summary>` : ''}${article.source ? `
+    <author><name>${escapeXml(article.source)}</name></author>` : ''}${getSymbols(article).map(symbol => `
+    <category term="${escapeXml(symbol)}"/>`).join('')}
+  </entry>`).join('');
+
+  // Atom requires an author on the feed when an entry has none
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.urls.atom)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>Stock News</name></author>${entries}
+</feed>
+`;
+};
+
+/**
+ * Render a JSON Feed 1.1
+ * @param {Object} feed - Feed
+ * @returns {string}
+ */
+const renderJsonFeed = (feed) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    items: feed.articles.map(article => ({
+      id: article.id,
+      url: article.url,
+      title: article.headline,
+      content_text: article.summary || article.headline,
+      ...(article.summary && { summary: article.summary }),
+      ...(article.image && { image: article.image }),
+      date_published: new Date(article.datetime).toISOString(),
+      ...(article.updatedAt && { date_modified: new Date(article.updatedAt).toISOString() }),
+      ...(article.source && { authors: [{ name: article.source }] }),
+      tags: getSymbols(article),
+    })),
+  }, null, 2);
+};
+
+const FEED_RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed,
+};
+
+/**
+ * Render a feed in a format
+ * @param {Object} feed - Feed
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @returns {Object} - { contentType, body }
+ */
+const renderFeed = (feed, format) => {
+  const renderer = FEED_RENDERERS[format];
+  if (!renderer) {
+    throw new Error('Unknown feed format');
+  }
+  return { contentType: FEED_CONTENT_TYPES[format], body: renderer(feed) };
+};
+
+module.exports = {
+  FEED_FORMATS: Object.keys(FEED_RENDERERS),
+  renderFeed,
+};
@@ -0,0 +1,172 @@
+/**
+ * Financial sentiment lexicon
+ * Word and phrase weights for scoring news text, from -3 (very bearish) to +3 (very bullish)
+ * Loosely based on the Loughran-McDonald finance word lists, tuned for headlines
+ */
+
+const TERMS = {
+  // Bullish
+  beat: 2,
+  beats: 2,
+  bullish: 3,
+  boost: 1.5,
+  boosts: 1.5,
+  breakthrough: 2,
+  buyback: 1.5,
+  buybacks: 1.5,
+  climb: 1.5,
+  climbs: 1.5,
+  expand: 1,
+  expands: 1,
+  expansion: 1,
+  gain: 1.5,
+  gains: 1.5,
+  growth: 1.5,
+  jump: 2,
+  jumps: 2,
+  outperform: 2,
+  outperforms: 2,
+  profit: 1,
+  profitable: 1.5,
+  rally: 2,
+  rallies: 2,
+  rebound: 1.5,
+  rebounds: 1.5,
+  record: 1,
+  rise: 1.5,
+  rises: 1.5,
+  soar: 2.5,
+  soars: 2.5,
+  strong: 1.5,
+  stronger: 1.5,
+  surge: 2.5,
+  surges: 2.5,
+  upgrade: 2,
+  upgraded: 2,
+  upgrades: 2,
+  upbeat: 1.5,
+  approval: 2,
+  approved: 2,
+  approves: 2,
+  dividend: 1,
+  exceeds: 2,
+  exceeded: 2,
+  optimistic: 1.5,
+  win: 1.5,
+  wins: 1.5,
+  partnership: 1,
+  acquire: 0.5,
+  raises: 1,
+
+  // Bearish
+  bearish: -3,
+  bankruptcy: -3,
+  bankrupt: -3,
+  crash: -3,
+  crashes: -3,
+  cut: -1.5,
+  cuts: -1.5,
+  decline: -1.5,
+  declines: -1.5,
+  default: -2.5,
+  delay: -1,
+  delayed: -1,
+  delays: -1,
+  dilution: -2,
+  downgrade: -2,
+  downgraded: -2,
+  downgrades: -2,
+  drop: -1.5,
+  drops: -1.5,
+  fall: -1.5,
+  falls: -1.5,
+  fraud: -3,
+  investigation: -2,
+  lawsuit: -2,
+  layoffs: -2,
+  loss: -1.5,
+  losses: -1.5,
+  miss: -2,
+  misses: -2,
+  missed: -2,
+  plunge: -2.5,
+  plunges: -2.5,
+  probe: -2,
+  recall: -2,
+  recalls: -2,
+  sank: -2,
+  selloff: -2,
+  sink: -2,
+  sinks: -2,
+  slump: -2,
+  slumps: -2,
+  slowdown: -1.5,
+  subpoena: -2,
+  tumble: -2,
+  tumbles: -2,
+  underperform: -2,
+  weak: -1.5,
+  weaker: -1.5,
+  warning: -1.5,
+  warns: -1.5,
+  halted: -2,
+  rejected: -2,
+  rejects: -2,
+  resigns: -1.5,
+  shortfall: -2,
+  volatile: -0.5,
+  concern: -1,
+  concerns: -1,
+  risk: -0.5,
+  risks: -0.5,
+};
+
+// Multi-word phrases take precedence over their individual words
+const PHRASES = {
+  'beat estimates': 2.5,
+  'beats estimates': 2.5,
+  'tops estimates': 2.5,
+  'raises guidance': 2.5,
+  'raised guidance': 2.5,
+  'price target raised': 2,
+  'raises price target': 2,
+  'all-time high': 2,
+  'record high': 2,
+  'share repurchase': 1.5,
+  'fda approval': 2.5,
+  'misses estimates': -2.5,
+  'missed estimates': -2.5,
+  'below estimates': -2,
+  'cuts guidance': -2.5,
+  'lowers guidance': -2.5,
+  'lowered guidance': -2.5,
+  'price target cut': -2,
+  'cuts price target': -2,
+  'going concern': -3,
+  'class action': -2,
+  'short seller': -1.5,
+  'chapter 11': -3,
+  '52-week low': -2,
+};
+
+// Words that flip the polarity of the next few words
+const NEGATORS = ['not', 'no', 'never', 'without', "isn't", "wasn't", "doesn't", "didn't", "won't", 'fails', 'failed'];
+
+// Words that strengthen the next sentiment word
+const INTENSIFIERS = {
+  sharply: 1.5,
+  significantly: 1.4,
+  substantially: 1.4,
+  strongly: 1.3,
+  massive: 1.5,
+  huge: 1.4,
+  slightly: 0.6,
+  modestly: 0.7,
+};
+
+module.exports = {
+  TERMS,
+  PHRASES,
+  NEGATORS,
+  INTENSIFIERS,
+};
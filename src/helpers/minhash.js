@@ -0,0 +1,163 @@
+const { createHash } = require('crypto');
+
+/**
+ * MinHash helper
+ * Builds compact signatures of article text so near-duplicate stories
+ * (the same press release from several syndicators) can be compared cheaply
+ *
+ * Signatures are also split into LSH bands: two texts share at least one band
+ * key with high probability when they are similar and rarely otherwise, so
+ * candidates can be looked up by band key instead of comparing every article
+ */
+
+// Number of hash functions in a signature (more = more accurate, larger rows)
+const SIGNATURE_SIZE = 64;
+
+// LSH bands: BANDS x ROWS_PER_BAND must equal SIGNATURE_SIZE. With 16 bands of 4 rows,
+// texts with similarity 0.6 share a band ~89% of the time, 0.7 ~99%, 0.3 only ~12%
+const BANDS = 16;
+const ROWS_PER_BAND = 4;
+
+// Words per shingle
+const SHINGLE_SIZE = 2;
+
+// Common words that carry no information about which story it is
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with',
+]);
+
+// Fixed seeds so signatures stay comparable across processes and restarts
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b1) | 0);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - String to hash
+ * @returns {number}
+ */
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+};
+
+/**
+ * Murmur3 finalizer, used to derive independent hash functions from one base hash
+ * @param {number} value - 32-bit integer
+ * @returns {number}
+ */
+const mix = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+};
+
+/**
+ * Normalize text into comparable word tokens
+ * @param {string} text - Headline and/or summary
+ * @returns {Array<string>}
+ */
+const normalizeTokens = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+};
+
+/**
+ * Build the set of word shingles for a text
+ * @param {string} text - Text to shingle
+ * @returns {Set<string>}
+ */
+const shingle = (text) => {
+  const tokens = normalizeTokens(text);
+  const shingles = new Set();
+
+  if (tokens.length < SHINGLE_SIZE) {
+    tokens.forEach(token => shingles.add(token));
+    return shingles;
+  }
+
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+    shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+};
+
+/**
+ * Compute the MinHash signature of a text
+ * @param {string} text - Text to sign
+ * @returns {Array<number>} - Signature (empty if the text has no usable words)
+ */
+const computeSignature = (text) => {
+  const shingles = shingle(text);
+  if (shingles.size === 0) {
+    return [];
+  }
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0x7fffffff);
+  for (const value of shingles) {
+    const base = fnv1a(value);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const hash = mix(base ^ SEEDS[i]);
+      if (hash < signature[i]) {
+        signature[i] = hash;
+      }
+    }
+  }
+  return signature;
+};
+
+/**
+ * Estimate the Jaccard similarity of two texts from their signatures
+ * @param {Array<number>} a - Signature
+ * @param {Array<number>} b - Signature
+ * @returns {number} - Similarity between 0 and 1
+ */
+const estimateSimilarity = (a, b) => {
+  if (!a || !b || a.length !== SIGNATURE_SIZE || b.length !== SIGNATURE_SIZE) {
+    return 0;
+  }
+
+  let matches = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) {
+      matches++;
+    }
+  }
+  return matches / SIGNATURE_SIZE;
+};
+
+/**
+ * Compute the LSH band keys of a signature
+ * Keys are "<band>:<hash of the band's values>"; the add_news_minhash_bands migration
+ * computes the same keys in SQL, so the two must change together
+ * @param {Array<number>} signature - Signature from computeSignature
+ * @returns {Array<string>} - Band keys (empty for an empty signature)
+ */
+const computeBandKeys = (signature) => {
+  if (!signature || signature.length !== SIGNATURE_SIZE) {
+    return [];
+  }
+
+  return Array.from({ length: BANDS }, (_, band) => {
+    const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND).join(',');
+    return `${band}:${createHash('md5').update(rows).digest('hex').slice(0, 12)}`;
+  });
+};
+
+module.exports = {
+  computeSignature,
+  estimateSimilarity,
+  computeBandKeys,
+};
@@ -0,0 +1,118 @@
+const { TERMS, PHRASES, NEGATORS, INTENSIFIERS } = require('./financialLexicon');
+
+/**
+ * Sentiment Scorer
+ * Scores news text against the local financial lexicon (no external API)
+ */
+
+// Labels are assigned when the normalized score passes these bounds
+const BULLISH_THRESHOLD = 0.15;
+const BEARISH_THRESHOLD = -0.15;
+
+// Normalization constant: higher values need more evidence to approach +/-1
+const NORMALIZATION_ALPHA = 15;
+
+// Negators affect sentiment words up to this many tokens later
+const NEGATION_WINDOW = 3;
+
+// Headlines carry more signal than summaries
+const HEADLINE_WEIGHT = 2;
+const SUMMARY_WEIGHT = 1;
+
+const MAX_PHRASE_WORDS = Math.max(...Object.keys(PHRASES).map(phrase => phrase.split(' ').length));
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’]/g, "'")
+    .match(/[a-z0-9][a-z0-9'-]*/g) || [];
+};
+
+/**
+ * Compute the raw (unnormalized) lexicon score of a text
+ * @param {string} text - Text to score
+ * @returns {number}
+ */
+const rawScore = (text) => {
+  const tokens = tokenize(text);
+  let total = 0;
+  let lastNegatorIndex = -Infinity;
+  let intensity = 1;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (NEGATORS.includes(token)) {
+      lastNegatorIndex = i;
+      continue;
+    }
+
+    if (INTENSIFIERS[token]) {
+      intensity = INTENSIFIERS[token];
+      continue;
+    }
+
+    // Prefer the longest phrase starting at this token
+    let weight = 0;
+    let length = 1;
+    for (let n = Math.min(MAX_PHRASE_WORDS, tokens.length - i); n >= 2; n--) {
+      const phrase = tokens.slice(i, i + n).join(' ');
+      if (PHRASES[phrase] !== undefined) {
+        weight = PHRASES[phrase];
+        length = n;
+        break;
+      }
+    }
+    if (!weight && TERMS[token] !== undefined) {
+      weight = TERMS[token];
+    }
+
+    if (weight) {
+      const negated = i - lastNegatorIndex <= NEGATION_WINDOW;
+      total += weight * intensity * (negated ? -0.75 : 1);
+      intensity = 1;
+    }
+
+    i += length - 1;
+  }
+
+  return total;
+};
+
+/**
+ * Map a normalized score to a label
+ * @param {number} score - Score between -1 and 1
+ * @returns {string} - 'bullish', 'bearish' or 'neutral'
+ */
+const labelForScore = (score) => {
+  if (score >= BULLISH_THRESHOLD) return 'bullish';
+  if (score <= BEARISH_THRESHOLD) return 'bearish';
+  return 'neutral';
+};
+
+/**
+ * Score the sentiment of an article
+ * @param {Object} article - Article with headline and summary
+ * @returns {{score: number, label: string}} - Score between -1 (bearish) and 1 (bullish) and its label
+ */
+const scoreArticleSentiment = (article) => {
+  const total = HEADLINE_WEIGHT * rawScore(article.headline) + SUMMARY_WEIGHT * rawScore(article.summary);
+
+  // Squash into [-1, 1] so long summaries don't dominate
+  const score = Math.round((total / Math.sqrt(total * total + NORMALIZATION_ALPHA)) * 1000) / 1000;
+
+  return {
+    score,
+    label: labelForScore(score),
+  };
+};
+
+module.exports = {
+  scoreArticleSentiment,
+  labelForScore,
+};
@@ -0,0 +1,101 @@
+const { systemClock } = require('./clock');
+
+/**
+ * Token Bucket
+ * Rate limits calls to an external API while allowing short bursts: the bucket
+ * holds up to `capacity` tokens, refills continuously at `refillPerMinute` and
+ * every call takes one token. Callers sharing an instance share the budget and
+ * are served in the order they asked
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum tokens (the largest burst allowed)
+   * @param {number} refillPerMinute - Tokens added per minute (the sustained rate)
+   * @param {Object} [clock] - Time source and timers ({ now, setTimeout, clearTimeout })
+   */
+  constructor(capacity, refillPerMinute, clock = systemClock) {
+    this.clock = clock;
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.lastRefillAt = this.clock.now();
+    this.pausedUntil = 0;
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = this.clock.now();
+    const elapsed = Math.max(now - this.lastRefillAt, 0);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.lastRefillAt = Math.max(now, this.lastRefillAt);
+  }
+
+  /**
+   * Hand out tokens to waiting callers and wake up again when the next one is earned
+   */
+  drain() {
+    this.refill();
+    const now = this.clock.now();
+
+    while (this.waiters.length > 0 && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+
+    if (this.waiters.length > 0 && !this.timer) {
+      const wait = Math.max(this.pausedUntil - now, Math.ceil((1 - this.tokens) / this.refillPerMs), 1);
+      this.timer = this.clock.setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} - Resolves once the caller may make its request
+   */
+  take() {
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop handing out tokens for a while (e.g., when the API says it is rate limited)
+   * The bucket is emptied so requests resume at the sustained rate, not in a burst
+   * @param {number} ms - Milliseconds to pause
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.clock.now() + ms);
+    this.tokens = 0;
+    this.lastRefillAt = this.pausedUntil;
+
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.drain();
+  }
+
+  /**
+   * Get the bucket's current state
+   * @returns {Object} - { capacity, tokens, waiting, pausedUntil }
+   */
+  getState() {
+    this.refill();
+    return {
+      capacity: this.capacity,
+      tokens: Math.floor(this.tokens),
+      waiting: this.waiters.length,
+      pausedUntil: this.pausedUntil > this.clock.now() ? new Date(this.pausedUntil) : null,
+    };
+  }
+}
+
+module.exports = TokenBucket;
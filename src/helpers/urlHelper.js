@@ -0,0 +1,93 @@
+const net = require('net');
+
+/**
+ * URL helper utilities
+ */
+
+/**
+ * Get the domain of a URL, lower-cased and without a leading "www."
+ * Values without a scheme ("example.com/path") are treated as http URLs
+ * @param {string|null} value - URL or bare domain
+ * @returns {string|null} - Domain, or null if the value is not a valid URL
+ */
+const getDomain = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a domain is one of a list of domains or a subdomain of one
+ * @param {string|null} domain - Domain (as returned by getDomain)
+ * @param {Array<string>} domains - Lower-cased domains
+ * @returns {boolean}
+ */
+const matchesDomain = (domain, domains) => {
+  return Boolean(domain) && domains.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+};
+
+// Address ranges that are not publicly routable. IPv6 forms that embed an IPv4
+// address (mapped, NAT64, 6to4) are refused outright, since the embedded
+// address could be anything, including loopback or cloud metadata. The families
+// are kept apart because a BlockList matches IPv4 addresses against mapped IPv6 rules
+const PRIVATE_RANGES = {
+  ipv4: new net.BlockList(),
+  ipv6: new net.BlockList(),
+};
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // Documentation
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // Benchmarking
+  ['198.51.100.0', 24], // Documentation
+  ['203.0.113.0', 24], // Documentation
+  ['224.0.0.0', 3], // Multicast, reserved and broadcast
+].forEach(([prefix, bits]) => PRIVATE_RANGES.ipv4.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['64:ff9b:1::', 48], // Local-use NAT64
+  ['100::', 64], // Discard
+  ['2001:db8::', 32], // Documentation
+  ['2002::', 16], // 6to4
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([prefix, bits]) => PRIVATE_RANGES.ipv6.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * Addresses are compared as bytes, so every spelling of an address (e.g., ::ffff:7f00:1) is caught
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for private addresses and for anything that isn't an IP address
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return PRIVATE_RANGES[type].check(address, type);
+};
+
+module.exports = {
+  getDomain,
+  matchesDomain,
+  isPrivateAddress,
+};
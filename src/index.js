@@ -8,6 +8,7 @@ const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 const logger = require('./middleware/logger');
 const cronJobs = require('./services/cronJobs');
+const { attachNewsSocket } = require('./services/newsSocketServer');
 
 /**
  * Initialize Express application
@@ -73,7 +74,7 @@ app.use(errorHandler);
  */
 const PORT = config.port;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${config.nodeEnv}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
@@ -82,5 +83,12 @@ app.listen(PORT, () => {
   cronJobs.initializeCronJobs();
 });
 
+/**
+ * Optional WebSocket transport for the news stream
+ */
+if (config.newsStreamWebSocket) {
+  attachNewsSocket(server);
+}
+
 module.exports = app;
 
@@ -0,0 +1,16 @@
+const config = require('../config');
+const { sendError } = require('../helpers/responseHelper');
+
+/**
+ * Admin authorization middleware
+ * Must run after authenticate; allows only users listed in ADMIN_USER_IDS
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.userId || !config.adminUserIds.includes(req.userId)) {
+    return sendError(res, 'Admin access required.', 403);
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
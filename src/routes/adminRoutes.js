@@ -0,0 +1,115 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const feedController = require('../controllers/feedController');
+const stockController = require('../controllers/stockController');
+const newsSyncController = require('../controllers/newsSyncController');
+const finnhubController = require('../controllers/finnhubController');
+const { ALIAS_KINDS } = require('../services/relevanceService');
+const authenticate = require('../middleware/authenticate');
+const requireAdmin = require('../middleware/requireAdmin');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * All admin routes require an authenticated admin user
+ */
+router.use(authenticate, requireAdmin);
+
+/**
+ * Validation rules
+ */
+const createFeedValidation = [
+  body('url')
+    .notEmpty()
+    .withMessage('Feed URL is required')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Feed URL must be a valid http(s) URL'),
+  body('title')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Title must be a string'),
+  body('stockId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Stock ID must be a string'),
+];
+
+const createAliasValidation = [
+  body('alias')
+    .isString()
+    .withMessage('Alias must be a string')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Alias must be between 2 and 100 characters'),
+  body('kind')
+    .isIn(ALIAS_KINDS)
+    .withMessage(`Kind must be one of: ${ALIAS_KINDS.join(', ')}`),
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Weight must be a number between 0 and 1')
+    .toFloat(),
+];
+
+const syncStatusValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be an integer between 1 and 1000')
+    .toInt(),
+];
+
+const syncCursorsValidation = [
+  query('stockId')
+    .optional()
+    .isString()
+    .withMessage('Stock ID must be a string'),
+  query('failing')
+    .optional()
+    .isBoolean()
+    .withMessage('Failing must be true or false')
+    .toBoolean(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be an integer between 1 and 1000')
+    .toInt(),
+];
+
+const idValidation = param('id').isLength({ min: 1 }).withMessage('ID is required');
+
+/**
+ * Routes
+ */
+router.get('/feeds', feedController.getFeeds);
+registerRoute('GET', '/admin/feeds', 'List RSS/Atom news feeds (requires admin)');
+
+router.post('/feeds', createFeedValidation, feedController.createFeed);
+registerRoute('POST', '/admin/feeds', 'Add an RSS/Atom news feed, optionally for a stock (requires admin, body: url, title, stockId)');
+
+router.delete('/feeds/:id', idValidation, feedController.deleteFeed);
+registerRoute('DELETE', '/admin/feeds/:id', 'Remove an RSS/Atom news feed (requires admin)');
+
+router.post('/feeds/sync', feedController.syncFeeds);
+registerRoute('POST', '/admin/feeds/sync', 'Fetch all RSS/Atom news feeds now (requires admin)');
+
+router.get('/news-sync/status', syncStatusValidation, newsSyncController.getStatus);
+registerRoute('GET', '/admin/news-sync/status', 'Show the news sync scheduler budget and per-stock priority, interval and lag, most lagging first (requires admin, query param: limit)');
+
+router.get('/news-sync/cursors', syncCursorsValidation, newsSyncController.getCursors);
+registerRoute('GET', '/admin/news-sync/cursors', 'List per-stock news sync cursors (last fetch, last error), least recently fetched first (requires admin, query params: stockId, failing, limit)');
+
+router.get('/finnhub/usage', finnhubController.getUsage);
+registerRoute('GET', '/admin/finnhub/usage', 'Show Finnhub API usage: request, retry, 429 and timeout counters, rate limiter and circuit breaker state (requires admin)');
+
+router.get('/stocks/:stockId/aliases', stockController.getAliases);
+registerRoute('GET', '/admin/stocks/:stockId/aliases', 'List the names matched in news for a stock (requires admin)');
+
+router.post('/stocks/:stockId/aliases', createAliasValidation, stockController.addAlias);
+registerRoute('POST', '/admin/stocks/:stockId/aliases', 'Add a name to match in news for a stock (requires admin, body: alias, kind, weight)');
+
+router.delete('/stocks/:stockId/aliases/:id', idValidation, stockController.removeAlias);
+registerRoute('DELETE', '/admin/stocks/:stockId/aliases/:id', 'Remove a news alias from a stock (requires admin)');
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const alertController = require('../controllers/alertController');
+const authenticate = require('../middleware/authenticate');
+const { ALERT_STATUSES } = require('../services/alertService');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const scopeValidation = (field, label) => [
+  body(field)
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage(`${label} must be an array of at most 50 items`),
+  body(`${field}.*`)
+    .isString()
+    .withMessage(`${label} must contain strings`),
+];
+
+const ruleFieldsValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field('expression')
+      .isString()
+      .withMessage('Expression must be a string')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Expression must be between 1 and 500 characters'),
+    ...scopeValidation('stockIds', 'Stock IDs'),
+    ...scopeValidation('sources', 'Sources'),
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be a boolean'),
+  ];
+};
+
+const listAlertsValidation = [
+  query('status')
+    .optional()
+    .isIn(ALERT_STATUSES)
+    .withMessage(`Status must be one of: ${ALERT_STATUSES.join(', ')}`),
+  query('ruleId')
+    .optional()
+    .isString()
+    .withMessage('Rule ID must be a string'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+    .toInt(),
+  query('before')
+    .optional()
+    .isString()
+    .withMessage('Before cursor must be a string'),
+];
+
+const acknowledgeAlertsValidation = [
+  body('alertIds')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Alert IDs must be an array of 1 to 100 IDs'),
+  body('alertIds.*')
+    .isString()
+    .withMessage('Alert IDs must be strings'),
+  body('ruleId')
+    .optional()
+    .isString()
+    .withMessage('Rule ID must be a string'),
+];
+
+const idValidation = param('id').isLength({ min: 1 }).withMessage('ID is required');
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/', authenticate, listAlertsValidation, alertController.getAlerts);
+registerRoute('GET', '/alerts', 'List keyword alerts, newest first (requires authentication, query params: status, ruleId, limit, before)');
+
+router.post('/acknowledge', authenticate, acknowledgeAlertsValidation, alertController.acknowledgeAlerts);
+registerRoute('POST', '/alerts/acknowledge', 'Acknowledge alerts; all unacknowledged ones when no IDs are given (requires authentication, body: alertIds, ruleId)');
+
+router.get('/rules', authenticate, alertController.getRules);
+registerRoute('GET', '/alerts/rules', 'List keyword alert rules (requires authentication)');
+
+router.post('/rules', authenticate, ruleFieldsValidation(false), alertController.createRule);
+registerRoute('POST', '/alerts/rules', 'Create a keyword alert rule, e.g. "FDA approval" OR (merger -rumor) (requires authentication, body: name, expression, stockIds, sources, enabled)');
+
+router.patch('/rules/:id', authenticate, idValidation, ruleFieldsValidation(true), alertController.updateRule);
+registerRoute('PATCH', '/alerts/rules/:id', 'Update a keyword alert rule (requires authentication, body: name, expression, stockIds, sources, enabled)');
+
+router.delete('/rules/:id', authenticate, idValidation, alertController.deleteRule);
+registerRoute('DELETE', '/alerts/rules/:id', 'Delete a keyword alert rule and its alerts (requires authentication)');
+
+router.post('/:id/acknowledge', authenticate, idValidation, alertController.acknowledgeAlert);
+registerRoute('POST', '/alerts/:id/acknowledge', 'Acknowledge an alert (requires authentication)');
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const bookmarkController = require('../controllers/bookmarkController');
+const authenticate = require('../middleware/authenticate');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const listBookmarksValidation = [
+  query('collectionId')
+    .optional()
+    .isString()
+    .withMessage('Collection ID must be a string'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+    .toInt(),
+  query('before')
+    .optional()
+    .isString()
+    .withMessage('Before cursor must be a string'),
+];
+
+const saveArticleValidation = [
+  body('newsId')
+    .notEmpty()
+    .withMessage('News ID is required')
+    .isString()
+    .withMessage('News ID must be a string'),
+  body('collectionId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Collection ID must be a string'),
+];
+
+const collectionNameValidation = [
+  body('name')
+    .isString()
+    .withMessage('Name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+];
+
+const idValidation = param('id').isLength({ min: 1 }).withMessage('ID is required');
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/', authenticate, listBookmarksValidation, bookmarkController.getBookmarks);
+registerRoute('GET', '/bookmarks', 'List saved articles, most recently saved first (requires authentication, query params: collectionId, limit, before)');
+
+router.post('/', authenticate, saveArticleValidation, bookmarkController.saveArticle);
+registerRoute('POST', '/bookmarks', 'Save an article or move it to another collection (requires authentication, body: newsId, collectionId)');
+
+router.get('/collections', authenticate, bookmarkController.getCollections);
+registerRoute('GET', '/bookmarks/collections', 'List bookmark collections (requires authentication)');
+
+router.post('/collections', authenticate, collectionNameValidation, bookmarkController.createCollection);
+registerRoute('POST', '/bookmarks/collections', 'Create a bookmark collection (requires authentication, body: name)');
+
+router.patch('/collections/:id', authenticate, idValidation, collectionNameValidation, bookmarkController.renameCollection);
+registerRoute('PATCH', '/bookmarks/collections/:id', 'Rename a bookmark collection (requires authentication, body: name)');
+
+router.delete('/collections/:id', authenticate, idValidation, bookmarkController.deleteCollection);
+registerRoute('DELETE', '/bookmarks/collections/:id', 'Delete a bookmark collection; its articles stay saved (requires authentication)');
+
+router.delete('/:newsId', authenticate, bookmarkController.removeBookmark);
+registerRoute('DELETE', '/bookmarks/:newsId', 'Remove a saved article (requires authentication)');
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const deviceController = require('../controllers/deviceController');
+const authenticate = require('../middleware/authenticate');
+const { DEVICE_ENVIRONMENTS } = require('../services/notificationService');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const registerDeviceValidation = [
+  body('token')
+    .isString()
+    .withMessage('Token must be a string')
+    .trim()
+    .isHexadecimal()
+    .withMessage('Token must be a hexadecimal APNs device token')
+    .isLength({ min: 32, max: 200 })
+    .withMessage('Token must be between 32 and 200 characters'),
+  body('environment')
+    .optional()
+    .isIn(DEVICE_ENVIRONMENTS)
+    .withMessage(`Environment must be one of: ${DEVICE_ENVIRONMENTS.join(', ')}`),
+];
+
+const tokenValidation = param('token').isHexadecimal().withMessage('Token must be a hexadecimal APNs device token');
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/', authenticate, deviceController.getDevices);
+registerRoute('GET', '/devices', 'List devices registered for push notifications (requires authentication)');
+
+router.post('/', authenticate, registerDeviceValidation, deviceController.registerDevice);
+registerRoute('POST', '/devices', 'Register a device for breaking watchlist news pushes (requires authentication, body: token, environment)');
+
+router.delete('/:token', authenticate, tokenValidation, deviceController.unregisterDevice);
+registerRoute('DELETE', '/devices/:token', 'Unregister a push notification device (requires authentication)');
+
+module.exports = router;
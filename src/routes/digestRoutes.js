@@ -0,0 +1,41 @@
+const express = require('express');
+const { body } = require('express-validator');
+const digestController = require('../controllers/digestController');
+const authenticate = require('../middleware/authenticate');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const updateSettingsValidation = [
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+  body('timezone')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Timezone must be an IANA timezone name (e.g., America/New_York)'),
+  body('hour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Hour must be an integer between 0 and 23')
+    .toInt(),
+];
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/settings', authenticate, digestController.getSettings);
+registerRoute('GET', '/digest/settings', 'Get daily news digest settings (requires authentication)');
+
+router.put('/settings', authenticate, updateSettingsValidation, digestController.updateSettings);
+registerRoute('PUT', '/digest/settings', 'Update daily news digest settings (requires authentication, body: enabled, timezone, hour)');
+
+router.get('/preview', authenticate, digestController.previewDigest);
+registerRoute('GET', '/digest/preview', 'Render the daily news digest for the last 24 hours without sending it (requires authentication)');
+
+module.exports = router;
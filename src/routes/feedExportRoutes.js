@@ -0,0 +1,38 @@
+const express = require('express');
+const { param } = require('express-validator');
+const feedExportController = require('../controllers/feedExportController');
+const authenticate = require('../middleware/authenticate');
+const { FEED_FORMATS } = require('../helpers/feedRenderer');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const feedValidation = [
+  param('token')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Feed token is required'),
+  param('format')
+    .isIn(FEED_FORMATS)
+    .withMessage(`Format must be one of: ${FEED_FORMATS.join(', ')}`),
+];
+
+/**
+ * Routes
+ * Token management requires authentication; the feeds themselves are authorized by their secret token
+ */
+router.get('/token', authenticate, feedExportController.getFeedToken);
+registerRoute('GET', '/feeds/token', 'Get personal news feed token details (requires authentication)');
+
+router.post('/token', authenticate, feedExportController.regenerateFeedToken);
+registerRoute('POST', '/feeds/token', 'Create or regenerate the personal news feed token and return the feed URLs (requires authentication; previous URLs stop working)');
+
+router.delete('/token', authenticate, feedExportController.revokeFeedToken);
+registerRoute('DELETE', '/feeds/token', 'Revoke the personal news feed token (requires authentication)');
+
+router.get('/:token/:format', feedValidation, feedExportController.getFeed);
+registerRoute('GET', '/feeds/:token/:format', `Watchlist news as a feed, format: ${FEED_FORMATS.join(', ')} (authorized by the secret feed token, supports ETag and If-Modified-Since)`);
+
+module.exports = router;
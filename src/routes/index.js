@@ -3,6 +3,14 @@ const exampleRoutes = require('./exampleRoutes');
 const stockRoutes = require('./stockRoutes');
 const authRoutes = require('./authRoutes');
 const watchlistRoutes = require('./watchlistRoutes');
+const adminRoutes = require('./adminRoutes');
+const newsRoutes = require('./newsRoutes');
+const bookmarkRoutes = require('./bookmarkRoutes');
+const muteRuleRoutes = require('./muteRuleRoutes');
+const digestRoutes = require('./digestRoutes');
+const deviceRoutes = require('./deviceRoutes');
+const feedExportRoutes = require('./feedExportRoutes');
+const alertRoutes = require('./alertRoutes');
 const { getAllRoutes, registerRoute } = require('../helpers/routeRegistry');
 
 const router = express.Router();
@@ -15,6 +23,14 @@ router.use('/examples', exampleRoutes);
 router.use('/stocks', stockRoutes);
 router.use('/auth', authRoutes);
 router.use('/watchlist', watchlistRoutes);
+router.use('/news', newsRoutes);
+router.use('/bookmarks', bookmarkRoutes);
+router.use('/mute-rules', muteRuleRoutes);
+router.use('/digest', digestRoutes);
+router.use('/devices', deviceRoutes);
+router.use('/feeds', feedExportRoutes);
+router.use('/alerts', alertRoutes);
+router.use('/admin', adminRoutes);
 
 /**
  * Health check endpoint
@@ -0,0 +1,40 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const muteRuleController = require('../controllers/muteRuleController');
+const authenticate = require('../middleware/authenticate');
+const { MUTE_RULE_KINDS } = require('../services/muteRuleService');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const createRuleValidation = [
+  body('kind')
+    .isIn(MUTE_RULE_KINDS)
+    .withMessage(`Kind must be one of: ${MUTE_RULE_KINDS.join(', ')}`),
+  body('value')
+    .isString()
+    .withMessage('Value must be a string')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Value must be between 1 and 200 characters'),
+];
+
+const idValidation = param('id').isLength({ min: 1 }).withMessage('ID is required');
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/', authenticate, muteRuleController.getRules);
+registerRoute('GET', '/mute-rules', 'List news mute rules (requires authentication)');
+
+router.post('/', authenticate, createRuleValidation, muteRuleController.createRule);
+registerRoute('POST', '/mute-rules', 'Mute news by source, domain, headline keyword or headline regex (requires authentication, body: kind, value)');
+
+router.delete('/:id', authenticate, idValidation, muteRuleController.deleteRule);
+registerRoute('DELETE', '/mute-rules/:id', 'Delete a news mute rule (requires authentication)');
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const newsController = require('../controllers/newsController');
+const authenticate = require('../middleware/authenticate');
+const { MARKET_NEWS_CATEGORIES } = require('../services/newsService');
+const { registerRoute } = require('../helpers/routeRegistry');
+
+const router = express.Router();
+
+/**
+ * Validation rules
+ */
+const searchValidation = [
+  query('q')
+    .notEmpty()
+    .withMessage('Query parameter (q) is required')
+    .isString()
+    .withMessage('Query parameter (q) must be a string')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Query parameter (q) must be between 1 and 200 characters'),
+  query('stockId')
+    .optional()
+    .isString()
+    .withMessage('Stock ID must be a string'),
+  query('watchlist')
+    .optional()
+    .isBoolean()
+    .withMessage('Watchlist must be true or false')
+    .toBoolean(),
+  query('source')
+    .optional()
+    .isString()
+    .withMessage('Source must be a string'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .toDate(),
+  query('expand')
+    .optional()
+    .isIn(['duplicates'])
+    .withMessage('Expand must be: duplicates'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('Cursor must be a string'),
+];
+
+const marketNewsValidation = [
+  query('category')
+    .optional()
+    .isIn(MARKET_NEWS_CATEGORIES)
+    .withMessage(`Category must be one of: ${MARKET_NEWS_CATEGORIES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+    .toInt(),
+  query('before')
+    .optional()
+    .isString()
+    .withMessage('Before cursor must be a string'),
+  query('after')
+    .optional()
+    .isString()
+    .withMessage('After cursor must be a string')
+    .custom((value, { req }) => !req.query.before)
+    .withMessage('Only one of before or after may be provided'),
+  query('expand')
+    .optional()
+    .isIn(['duplicates'])
+    .withMessage('Expand must be: duplicates'),
+];
+
+const MAX_BULK_READ_IDS = 500;
+
+const bulkReadValidation = [
+  body('newsIds')
+    .isArray({ min: 1, max: MAX_BULK_READ_IDS })
+    .withMessage(`newsIds must be an array of 1 to ${MAX_BULK_READ_IDS} news IDs`),
+  body('newsIds.*')
+    .isString()
+    .withMessage('Each news ID must be a string'),
+];
+
+const readAllValidation = [
+  body('before')
+    .optional()
+    .isISO8601()
+    .withMessage('Before must be an ISO 8601 date')
+    .toDate(),
+  body('stockId')
+    .optional()
+    .isString()
+    .withMessage('Stock ID must be a string'),
+];
+
+const newsIdValidation = param('id').isLength({ min: 1 }).withMessage('News ID is required');
+
+/**
+ * Routes
+ * All routes require authentication
+ */
+router.get('/search', authenticate, searchValidation, newsController.searchNews);
+registerRoute('GET', '/news/search', 'Full-text search over stored news (requires authentication, query params: q, stockId, watchlist, source, from, to, expand, limit, cursor)');
+
+router.get('/market', authenticate, marketNewsValidation, newsController.getMarketNews);
+registerRoute('GET', '/news/market', `General market news not tied to one stock (requires authentication, query params: category = ${MARKET_NEWS_CATEGORIES.join(', ')} (all if omitted), limit, before, after, expand=duplicates)`);
+
+router.get('/stream', authenticate, newsController.streamNews);
+registerRoute('GET', '/news/stream', 'Stream new and updated watchlist news as Server-Sent Events (requires authentication, resumes from the Last-Event-ID header or lastEventId query param)');
+
+router.post('/read', authenticate, bulkReadValidation, newsController.markRead);
+registerRoute('POST', '/news/read', 'Mark news articles as read (requires authentication, body: newsIds)');
+
+router.post('/unread', authenticate, bulkReadValidation, newsController.markUnread);
+registerRoute('POST', '/news/unread', 'Mark news articles as unread (requires authentication, body: newsIds)');
+
+router.post('/read-all', authenticate, readAllValidation, newsController.markAllRead);
+registerRoute('POST', '/news/read-all', 'Mark all watchlist news up to a timestamp as read (requires authentication, body: before, stockId)');
+
+router.get('/:id/content', authenticate, newsIdValidation, newsController.getArticleContent);
+registerRoute('GET', '/news/:id/content', 'Get the readable text, byline and lead image of an article, extracted from its page (requires authentication)');
+
+router.post('/:id/read', authenticate, newsIdValidation, newsController.markArticleRead);
+registerRoute('POST', '/news/:id/read', 'Mark a news article as read (requires authentication)');
+
+router.delete('/:id/read', authenticate, newsIdValidation, newsController.markArticleUnread);
+registerRoute('DELETE', '/news/:id/read', 'Mark a news article as unread (requires authentication)');
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, param } = require('express-validator');
 const stockController = require('../controllers/stockController');
+const authenticate = require('../middleware/authenticate');
+const { SENTIMENT_WINDOWS } = require('../services/sentimentService');
 const { registerRoute } = require('../helpers/routeRegistry');
 
 const router = express.Router();
@@ -19,11 +21,57 @@ const searchValidation = [
     .withMessage('Query parameter (q) cannot be empty'),
 ];
 
+const sentimentValidation = [
+  param('id').isLength({ min: 1 }).withMessage('ID is required'),
+  query('window')
+    .optional()
+    .isIn(Object.keys(SENTIMENT_WINDOWS))
+    .withMessage(`Window must be one of: ${Object.keys(SENTIMENT_WINDOWS).join(', ')}`),
+];
+
+const trendingValidation = [
+  query('scope')
+    .optional()
+    .isIn(['global', 'watchlist'])
+    .withMessage('Scope must be global or watchlist'),
+  query('hours')
+    .optional()
+    .isInt({ min: 1, max: 72 })
+    .withMessage('Hours must be an integer between 1 and 72')
+    .toInt(),
+  query('baselineDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('baselineDays must be an integer between 1 and 30')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be an integer between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Require authentication only for the watchlist scope (global trending is public)
+ */
+const authenticateWatchlistScope = (req, res, next) => {
+  if (req.query.scope === 'watchlist') {
+    return authenticate(req, res, next);
+  }
+  next();
+};
+
 /**
  * Routes
  */
 router.get('/search', searchValidation, stockController.searchStocks);
 registerRoute('GET', '/stocks/search', 'Search stocks by query parameter (q)');
 
+router.get('/trending', authenticateWatchlistScope, trendingValidation, stockController.getTrendingStocks);
+registerRoute('GET', '/stocks/trending', 'Rank stocks by abnormal news volume against their own baseline (query params: scope = global or watchlist (requires authentication), hours, baselineDays, limit)');
+
+router.get('/:id/sentiment', sentimentValidation, stockController.getStockSentiment);
+registerRoute('GET', '/stocks/:id/sentiment', 'Get rolling news sentiment for a stock (query param: window = 1d, 7d or 30d; all if omitted)');
+
 module.exports = router;
 
@@ -1,11 +1,23 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const watchlistController = require('../controllers/watchlistController');
 const authenticate = require('../middleware/authenticate');
 const { registerRoute } = require('../helpers/routeRegistry');
 
 const router = express.Router();
 
+/**
+ * Split a comma-separated (or repeated) query parameter into a list
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} - Non-empty trimmed items
+ */
+const toList = (value) => {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
 /**
  * Validation rules
  */
@@ -20,6 +32,69 @@ const toggleStockValidation = [
     .withMessage('Stock ID cannot be empty'),
 ];
 
+const newsFeedValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+    .toInt(),
+  query('before')
+    .optional()
+    .isString()
+    .withMessage('Before cursor must be a string'),
+  query('after')
+    .optional()
+    .isString()
+    .withMessage('After cursor must be a string')
+    .custom((value, { req }) => !req.query.before)
+    .withMessage('Only one of before or after may be provided'),
+  query('expand')
+    .optional()
+    .isIn(['duplicates'])
+    .withMessage('Expand must be: duplicates'),
+  query('source')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Source must list between 1 and 20 sources'),
+  query('category')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Category must list between 1 and 20 categories'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => !req.query.from || req.query.from <= value)
+    .withMessage('From must not be after to'),
+  query('hasImage')
+    .optional()
+    .isBoolean()
+    .withMessage('hasImage must be true or false')
+    .toBoolean(),
+];
+
+const allNewsFeedValidation = [
+  ...newsFeedValidation,
+  query('stockIds')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: 100 })
+    .withMessage('stockIds must list between 1 and 100 stock IDs'),
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('Facets must be true or false')
+    .toBoolean(),
+];
+
 /**
  * Routes
  * All routes require authentication
@@ -30,11 +105,11 @@ registerRoute('POST', '/watchlist', 'Add or remove stock from watchlist (require
 router.get('/', authenticate, watchlistController.getWatchlist);
 registerRoute('GET', '/watchlist', 'Get user watchlist (requires authentication)');
 
-router.get('/news', authenticate, watchlistController.getNews);
-registerRoute('GET', '/watchlist/news', 'Get news for a stock by stockId (requires authentication, query param: stockId)');
+router.get('/news', authenticate, newsFeedValidation, watchlistController.getNews);
+registerRoute('GET', '/watchlist/news', 'Get news for a stock by stockId (requires authentication, query params: stockId, limit, before, after, expand=duplicates, source, category, from, to, hasImage)');
 
-router.get('/news/all', authenticate, watchlistController.getAllNews);
-registerRoute('GET', '/watchlist/news/all', 'Get news for all stocks in user watchlist (requires authentication)');
+router.get('/news/all', authenticate, allNewsFeedValidation, watchlistController.getAllNews);
+registerRoute('GET', '/watchlist/news/all', 'Get news for all stocks in user watchlist (requires authentication, query params: limit, before, after, expand=duplicates, source, category, from, to, stockIds, hasImage, facets)');
 
 module.exports = router;
 
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const newsBackfillService = require('../services/newsBackfillService');
+
+/**
+ * Manual script to backfill news for a stock over a date range
+ * Run with: node src/scripts/backfillNews.js <SYMBOL> <FROM> <TO>
+ * Dates are YYYY-MM-DD (inclusive), e.g. node src/scripts/backfillNews.js AAPL 2025-11-01 2025-11-30
+ */
+
+(async () => {
+  const [symbol, from, to] = process.argv.slice(2);
+
+  if (!symbol || !from || !to) {
+    console.error('Usage: node src/scripts/backfillNews.js <SYMBOL> <FROM> <TO>');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`Starting news backfill for ${symbol.toUpperCase()} from ${from} to ${to}...`);
+    const result = await newsBackfillService.backfillNewsForSymbol(symbol, from, to);
+    console.log('\nBackfill completed successfully!');
+    console.log('Statistics:', result);
+    process.exit(0);
+  } catch (error) {
+    console.error('\nBackfill failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const newsRetentionService = require('../services/newsRetentionService');
+
+/**
+ * Manual script to delete news past its retention period
+ * Run with: node src/scripts/pruneNews.js [--dry-run] [--no-archive]
+ * --dry-run reports what would be deleted without deleting anything
+ */
+
+(async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const options = { dryRun };
+
+  if (args.includes('--no-archive')) {
+    options.archive = false;
+  }
+
+  try {
+    const stats = await newsRetentionService.pruneExpiredNews(options);
+    console.log('\nRetention completed successfully!');
+    console.log('Statistics:', stats);
+    process.exit(0);
+  } catch (error) {
+    console.error('\nRetention failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,19 @@
+require('dotenv').config();
+const sentimentService = require('../services/sentimentService');
+
+/**
+ * Manual script to score sentiment for stored articles that have none yet
+ * Run with: node src/scripts/scoreSentiment.js
+ */
+
+(async () => {
+  try {
+    console.log('Starting sentiment scoring...');
+    const scored = await sentimentService.scoreUnscoredArticles();
+    console.log(`\nScored ${scored} articles successfully!`);
+    process.exit(0);
+  } catch (error) {
+    console.error('\nSentiment scoring failed:', error);
+    process.exit(1);
+  }
+})();
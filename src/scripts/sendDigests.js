@@ -0,0 +1,37 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const digestService = require('../services/digestService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Manual script to send news digests
+ * Run with: node src/scripts/sendDigests.js [userId]
+ * Without a user ID, sends to every user whose local digest hour is now (like the cron job);
+ * with one, sends that user's digest immediately
+ */
+
+(async () => {
+  const [userId] = process.argv.slice(2);
+
+  try {
+    if (userId) {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (!user) {
+        console.error(`User ${userId} not found`);
+        process.exit(1);
+      }
+
+      const result = await digestService.sendDigestForUser(user);
+      console.log('\nDigest result:', result);
+    } else {
+      const stats = await digestService.sendDueDigests();
+      console.log('\nDigests sent successfully!');
+      console.log('Statistics:', stats);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('\nSending digests failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,17 @@
+/**
+ * Console Alert Hook
+ * Logs each alert (for development)
+ */
+
+/**
+ * Log an alert
+ * @param {Object} alert - Alert (see the registry for its shape)
+ */
+const deliver = async (alert) => {
+  console.log(`Alert "${alert.rule.name}" for user ${alert.userId}: ${alert.article.headline} (${alert.article.url})`);
+};
+
+module.exports = {
+  name: 'console',
+  deliver,
+};
@@ -0,0 +1,61 @@
+const config = require('../../config');
+const consoleHook = require('./consoleHook');
+const pushHook = require('./pushHook');
+
+/**
+ * Alert Hook Registry
+ * Keeps track of the channels keyword alerts are delivered to besides the
+ * alert inbox (which always records every match); the alert matcher only
+ * talks to hooks through this interface
+ *
+ * A hook is an object with:
+ * - name {string} - Unique hook name
+ * - deliver(alert) {Promise<void>} - Deliver one alert
+ *
+ * An alert has: id (alert match ID), userId, stockId, matchedAt,
+ * rule ({ id, name, expression }) and article ({ id, headline, url, source, datetime })
+ */
+
+const hooks = new Map();
+
+/**
+ * Register an alert hook
+ * @param {Object} hook - Hook implementing the interface above
+ */
+const registerHook = (hook) => {
+  if (!hook || !hook.name || typeof hook.deliver !== 'function') {
+    throw new Error('Invalid alert hook');
+  }
+  hooks.set(hook.name, hook);
+};
+
+/**
+ * Get a registered hook by name
+ * @param {string} name - Hook name
+ * @returns {Object} - Alert hook
+ */
+const getHook = (name) => {
+  const hook = hooks.get(name);
+  if (!hook) {
+    throw new Error(`Unknown alert hook: ${name}`);
+  }
+  return hook;
+};
+
+/**
+ * Get the hooks enabled by configuration (ALERT_HOOKS)
+ * @returns {Array<Object>} - Enabled hooks
+ */
+const getActiveHooks = () => {
+  return config.alertHooks.map(getHook);
+};
+
+// Built-in hooks
+registerHook(consoleHook);
+registerHook(pushHook);
+
+module.exports = {
+  registerHook,
+  getHook,
+  getActiveHooks,
+};
@@ -0,0 +1,38 @@
+const notificationService = require('../notificationService');
+
+/**
+ * Push Alert Hook
+ * Sends each alert to the user's registered devices through the active push client
+ */
+
+// APNs drops an alert push it couldn't deliver after this long
+const ALERT_EXPIRATION_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Push an alert
+ * @param {Object} alert - Alert (see the registry for its shape)
+ */
+const deliver = async (alert) => {
+  await notificationService.sendToUser(alert.userId, {
+    payload: {
+      aps: {
+        alert: {
+          title: alert.rule.name,
+          body: alert.article.headline,
+        },
+        sound: 'default',
+        'thread-id': `alert-${alert.rule.id}`,
+      },
+      alertId: alert.id,
+      newsId: alert.article.id,
+    },
+    // Alerts from the same rule replace each other on the lock screen
+    collapseId: `alert-${alert.rule.id}`,
+    expiresAt: new Date(Date.now() + ALERT_EXPIRATION_MS),
+  });
+};
+
+module.exports = {
+  name: 'push',
+  deliver,
+};
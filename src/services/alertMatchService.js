@@ -0,0 +1,149 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { randomUUID } = require('crypto');
+const { compileAlertExpression, evaluateExpression } = require('../helpers/alertExpression');
+const alertHooks = require('./alertHooks');
+
+const prisma = new PrismaClient();
+
+/**
+ * Alert Match Service
+ * Evaluates every user's keyword alert rules against newly saved articles,
+ * records matches in the alert inbox and hands them to the delivery hooks
+ * Enabled rules are compiled once and cached; rule changes invalidate the cache
+ */
+
+// Rules changed by another process are picked up after this long
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+// Older articles (e.g., from a backfill) still reach the inbox but aren't sent to hooks
+const DELIVERY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let ruleCache = null;
+
+/**
+ * Drop the compiled rule cache (after a rule is created, changed or deleted)
+ */
+const invalidateRules = () => {
+  ruleCache = null;
+};
+
+/**
+ * Load and compile every enabled alert rule
+ * @returns {Promise<Array<Object>>} - Rules with their compiled expression tree
+ */
+const getCompiledRules = async () => {
+  if (ruleCache && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+    return ruleCache.rules;
+  }
+
+  const rules = await prisma.alertRule.findMany({
+    where: { enabled: true },
+  });
+
+  const compiled = [];
+  rules.forEach(rule => {
+    try {
+      compiled.push({ ...rule, tree: compileAlertExpression(rule.expression) });
+    } catch (error) {
+      // Expressions are validated on save; skip one that no longer parses rather than failing the sync
+      console.error(`Skipping alert rule ${rule.id}:`, error.message);
+    }
+  });
+
+  ruleCache = { rules: compiled, loadedAt: Date.now() };
+  return compiled;
+};
+
+/**
+ * Check whether a rule's stock and source scopes allow an article
+ * @param {Object} rule - Compiled rule
+ * @param {Object} news - News row
+ * @param {string|null} stockId - Stock the article was saved for (null for market news)
+ * @param {boolean} created - Whether the article was just created (rather than linked to another stock)
+ * @returns {boolean}
+ */
+const ruleApplies = (rule, news, stockId, created) => {
+  // Unscoped rules see each article once, when it is created; scoped rules on each new link to their stocks
+  if (rule.stockIds.length === 0 ? !created : !rule.stockIds.includes(stockId)) {
+    return false;
+  }
+  return rule.sources.length === 0 || rule.sources.includes((news.source || '').toLowerCase());
+};
+
+/**
+ * Deliver recorded alerts through the active hooks
+ * A failing hook is logged and doesn't affect the others
+ * @param {Array<Object>} alerts - Alerts (see the hook registry for their shape)
+ */
+const deliverAlerts = async (alerts) => {
+  for (const hook of alertHooks.getActiveHooks()) {
+    for (const alert of alerts) {
+      try {
+        await hook.deliver(alert);
+      } catch (error) {
+        console.error(`Alert hook ${hook.name} failed for alert ${alert.id}:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Evaluate alert rules against a newly saved article
+ * @param {Object} news - News row
+ * @param {string|null} stockId - Stock the article was saved for (null for market news)
+ * @param {Object} options - Match options
+ * @param {boolean} options.created - Whether the article row was just created
+ * @returns {Promise<number>} - Number of new alerts recorded
+ */
+const matchArticle = async (news, stockId, { created }) => {
+  const rules = await getCompiledRules();
+  const text = `${news.headline}\n${news.summary || ''}`;
+
+  const matched = rules.filter(rule => ruleApplies(rule, news, stockId, created) && evaluateExpression(rule.tree, text));
+  if (matched.length === 0) {
+    return 0;
+  }
+
+  // An article alerts each rule once, however many stocks it is linked to: matches
+  // already recorded (by an earlier link or a concurrent sync) are skipped, and only
+  // the rows this call inserted are returned, so each alert is delivered once
+  const recorded = await prisma.$queryRaw`
+    INSERT INTO "alert_matches" ("id", "ruleId", "userId", "newsId", "stockId")
+    VALUES ${Prisma.join(matched.map(rule => Prisma.sql`(${randomUUID()}, ${rule.id}, ${rule.userId}, ${news.id}, ${stockId})`))}
+    ON CONFLICT ("ruleId", "newsId") DO NOTHING
+    RETURNING "id", "ruleId", "userId", "stockId", "matchedAt"
+  `;
+  const ruleMap = new Map(matched.map(rule => [rule.id, rule]));
+
+  if (recorded.length === 0 || Date.now() - new Date(news.datetime).getTime() > DELIVERY_WINDOW_MS) {
+    return recorded.length;
+  }
+
+  // Hooks run in the background so a slow channel doesn't hold up the sync
+  deliverAlerts(recorded.map(match => {
+    const rule = ruleMap.get(match.ruleId);
+    return {
+      id: match.id,
+      userId: match.userId,
+      stockId: match.stockId,
+      matchedAt: match.matchedAt,
+      rule: { id: rule.id, name: rule.name, expression: rule.expression },
+      article: {
+        id: news.id,
+        headline: news.headline,
+        url: news.url,
+        source: news.source,
+        datetime: news.datetime,
+      },
+    };
+  })).catch(error => {
+    console.error(`Error delivering alerts for article ${news.id}:`, error.message);
+  });
+
+  return recorded.length;
+};
+
+module.exports = {
+  invalidateRules,
+  matchArticle,
+};
@@ -0,0 +1,321 @@
+const { PrismaClient } = require('@prisma/client');
+const { encodeCursor, decodeCursor, buildCursorWhere } = require('../helpers/cursorHelper');
+const { compileAlertExpression } = require('../helpers/alertExpression');
+const newsService = require('./newsService');
+const alertMatchService = require('./alertMatchService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Alert Service
+ * Per-user keyword alert rules and the alert inbox they fill
+ * Rules are matched against every newly saved article by the alert match
+ * service; this service manages the rules and lists and acknowledges the alerts
+ */
+
+const ALERT_STATUSES = ['unacknowledged', 'all'];
+const MAX_RULES_PER_USER = 50;
+const MAX_SCOPE_ITEMS = 50;
+const DEFAULT_ALERT_LIMIT = 20;
+const MAX_ALERT_LIMIT = 100;
+
+/**
+ * Get one of a user's alert rules
+ * @param {string} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} - Alert rule
+ */
+const getRuleOrThrow = async (userId, ruleId) => {
+  const rule = await prisma.alertRule.findFirst({
+    where: {
+      id: ruleId,
+      userId,
+    },
+  });
+
+  if (!rule) {
+    throw new Error('Alert rule not found');
+  }
+
+  return rule;
+};
+
+/**
+ * Validate a rule's stock scope
+ * @param {Array<string>} stockIds - Stock IDs
+ * @returns {Promise<Array<string>>} - Distinct stock IDs
+ */
+const normalizeStockIds = async (stockIds) => {
+  const ids = [...new Set(stockIds)];
+  if (ids.length > MAX_SCOPE_ITEMS) {
+    throw new Error('Too many stocks');
+  }
+
+  const found = await prisma.stock.count({
+    where: { id: { in: ids } },
+  });
+
+  if (found !== ids.length) {
+    throw new Error('Stock not found');
+  }
+
+  return ids;
+};
+
+/**
+ * Validate a rule's source scope
+ * @param {Array<string>} sources - Source names
+ * @returns {Array<string>} - Distinct lower-cased source names
+ */
+const normalizeSources = (sources) => {
+  const names = [...new Set(sources.map(source => source.trim().toLowerCase()).filter(Boolean))];
+  if (names.length > MAX_SCOPE_ITEMS) {
+    throw new Error('Too many sources');
+  }
+  return names;
+};
+
+/**
+ * List a user's alert rules
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Alert rules with the number of unacknowledged alerts for each
+ */
+const listRules = async (userId) => {
+  const rules = await prisma.alertRule.findMany({
+    where: { userId },
+    include: {
+      _count: {
+        select: {
+          matches: { where: { acknowledgedAt: null } },
+        },
+      },
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+
+  return rules.map(({ _count, ...rule }) => ({
+    ...rule,
+    unacknowledgedCount: _count.matches,
+  }));
+};
+
+/**
+ * Create an alert rule
+ * @param {string} userId - User ID
+ * @param {Object} data - Rule data
+ * @param {string} data.name - Rule name
+ * @param {string} data.expression - Keyword or boolean expression
+ * @param {Array<string>} [data.stockIds] - Only match articles for these stocks
+ * @param {Array<string>} [data.sources] - Only match articles from these sources
+ * @param {boolean} [data.enabled] - Whether the rule is active
+ * @returns {Promise<Object>} - Created rule
+ */
+const createRule = async (userId, { name, expression, stockIds = [], sources = [], enabled = true }) => {
+  compileAlertExpression(expression);
+
+  const ruleCount = await prisma.alertRule.count({
+    where: { userId },
+  });
+
+  if (ruleCount >= MAX_RULES_PER_USER) {
+    throw new Error('Too many alert rules');
+  }
+
+  const rule = await prisma.alertRule.create({
+    data: {
+      userId,
+      name,
+      expression: expression.trim(),
+      stockIds: await normalizeStockIds(stockIds),
+      sources: normalizeSources(sources),
+      enabled,
+    },
+  });
+
+  alertMatchService.invalidateRules();
+  return rule;
+};
+
+/**
+ * Update an alert rule (only the given fields change)
+ * @param {string} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} data - Fields to change (name, expression, stockIds, sources, enabled)
+ * @returns {Promise<Object>} - Updated rule
+ */
+const updateRule = async (userId, ruleId, { name, expression, stockIds, sources, enabled }) => {
+  await getRuleOrThrow(userId, ruleId);
+
+  if (expression !== undefined) {
+    compileAlertExpression(expression);
+  }
+
+  const rule = await prisma.alertRule.update({
+    where: { id: ruleId },
+    data: {
+      ...(name !== undefined && { name }),
+      ...(expression !== undefined && { expression: expression.trim() }),
+      ...(stockIds !== undefined && { stockIds: await normalizeStockIds(stockIds) }),
+      ...(sources !== undefined && { sources: normalizeSources(sources) }),
+      ...(enabled !== undefined && { enabled }),
+    },
+  });
+
+  alertMatchService.invalidateRules();
+  return rule;
+};
+
+/**
+ * Delete an alert rule and its alerts
+ * @param {string} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} - Deleted rule
+ */
+const deleteRule = async (userId, ruleId) => {
+  await getRuleOrThrow(userId, ruleId);
+
+  const rule = await prisma.alertRule.delete({
+    where: { id: ruleId },
+  });
+
+  alertMatchService.invalidateRules();
+  return rule;
+};
+
+/**
+ * List a user's alerts, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - List options
+ * @param {string} [options.status] - 'unacknowledged' (default) or 'all'
+ * @param {string} [options.ruleId] - Only alerts raised by this rule
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.before] - Cursor from a previous nextCursor
+ * @returns {Promise<Object>} - Alerts with their articles, unacknowledgedCount and nextCursor
+ */
+const listAlerts = async (userId, options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_ALERT_LIMIT, 1), MAX_ALERT_LIMIT);
+  const status = options.status || 'unacknowledged';
+
+  if (!ALERT_STATUSES.includes(status)) {
+    throw new Error('Invalid status');
+  }
+  if (options.ruleId) {
+    await getRuleOrThrow(userId, options.ruleId);
+  }
+
+  const conditions = [{ userId }];
+  if (status === 'unacknowledged') {
+    conditions.push({ acknowledgedAt: null });
+  }
+  if (options.ruleId) {
+    conditions.push({ ruleId: options.ruleId });
+  }
+  if (options.before) {
+    conditions.push(buildCursorWhere(decodeCursor(options.before), 'before', 'matchedAt'));
+  }
+
+  const [rows, unacknowledgedCount] = await Promise.all([
+    prisma.alertMatch.findMany({
+      where: { AND: conditions },
+      include: {
+        rule: {
+          select: { id: true, name: true },
+        },
+      },
+      orderBy: [
+        { matchedAt: 'desc' },
+        { id: 'desc' },
+      ],
+      take: limit + 1, // Fetch one extra row to know whether more exist
+    }),
+    prisma.alertMatch.count({
+      where: { userId, acknowledgedAt: null },
+    }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const alerts = rows.slice(0, limit);
+  const articles = await newsService.getArticlesByIds(alerts.map(alert => alert.newsId));
+  const articleMap = new Map(articles.map(article => [article.id, article]));
+  const last = alerts[alerts.length - 1];
+
+  return {
+    alerts: alerts.map(alert => ({
+      id: alert.id,
+      rule: alert.rule,
+      stockId: alert.stockId,
+      matchedAt: alert.matchedAt,
+      acknowledgedAt: alert.acknowledgedAt,
+      article: articleMap.get(alert.newsId) || null,
+    })),
+    unacknowledgedCount,
+    nextCursor: hasMore ? encodeCursor({ datetime: last.matchedAt, id: last.id }) : null,
+  };
+};
+
+/**
+ * Acknowledge alerts
+ * @param {string} userId - User ID
+ * @param {Object} options - Which alerts to acknowledge
+ * @param {Array<string>} [options.alertIds] - These alerts only
+ * @param {string} [options.ruleId] - Only alerts raised by this rule
+ * @returns {Promise<Object>} - { acknowledged } count of alerts newly acknowledged
+ */
+const acknowledgeAlerts = async (userId, { alertIds, ruleId } = {}) => {
+  if (ruleId) {
+    await getRuleOrThrow(userId, ruleId);
+  }
+
+  const result = await prisma.alertMatch.updateMany({
+    where: {
+      userId,
+      acknowledgedAt: null,
+      ...(alertIds && { id: { in: alertIds } }),
+      ...(ruleId && { ruleId }),
+    },
+    data: { acknowledgedAt: new Date() },
+  });
+
+  return { acknowledged: result.count };
+};
+
+/**
+ * Acknowledge a single alert (acknowledging one twice keeps the first time)
+ * @param {string} userId - User ID
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<Object>} - Acknowledged alert
+ */
+const acknowledgeAlert = async (userId, alertId) => {
+  const alert = await prisma.alertMatch.findFirst({
+    where: {
+      id: alertId,
+      userId,
+    },
+  });
+
+  if (!alert) {
+    throw new Error('Alert not found');
+  }
+
+  if (alert.acknowledgedAt) {
+    return alert;
+  }
+
+  return await prisma.alertMatch.update({
+    where: { id: alertId },
+    data: { acknowledgedAt: new Date() },
+  });
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  listAlerts,
+  acknowledgeAlerts,
+  acknowledgeAlert,
+};
@@ -0,0 +1,271 @@
+const { PrismaClient } = require('@prisma/client');
+const https = require('https');
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+const config = require('../config');
+const { extractContent } = require('../helpers/contentExtractor');
+const { getDomain, matchesDomain, isPrivateAddress } = require('../helpers/urlHelper');
+const requestDeduplicator = require('../helpers/requestDeduplicator');
+
+const prisma = new PrismaClient();
+
+/**
+ * Article Content Service
+ * Reader mode: fetches an article's page on demand, extracts the readable body
+ * and caches it (sanitized) so each page is downloaded at most once
+ * Known paywalled domains are never fetched, and pages on private networks are
+ * refused so article URLs can't be used to probe internal hosts
+ */
+
+const MAX_PAGE_BYTES = 3 * 1024 * 1024; // 3 MB (after decompression)
+const MAX_REDIRECTS = 5;
+
+// Failed extractions are retried after this long
+const FAILED_RETRY_MS = 60 * 60 * 1000;
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * DNS lookup that refuses private addresses (checked at connect time, so redirects and DNS rebinding are covered)
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      callback(new Error(`Refusing to fetch private address for ${hostname}`));
+      return;
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Read the charset of a page from its Content-Type header or a meta tag
+ * @param {string|undefined} contentType - Content-Type header
+ * @param {Buffer} body - Raw page bytes
+ * @returns {string} - Charset label (utf-8 when unknown)
+ */
+const detectCharset = (contentType, body) => {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(body.subarray(0, 2048).toString('latin1'));
+  const charset = ((fromHeader || fromMeta || [])[1] || 'utf-8').toLowerCase();
+
+  try {
+    new TextDecoder(charset);
+    return charset;
+  } catch (error) {
+    return 'utf-8';
+  }
+};
+
+/**
+ * Download an article page, following redirects
+ * @param {string} pageUrl - Page URL
+ * @param {number} deadline - Epoch milliseconds the whole download must finish by
+ * @param {number} redirectsLeft - Remaining redirects to follow
+ * @returns {Promise<Object>} - { url, html } with the final URL after redirects
+ */
+const fetchPage = (pageUrl, deadline, redirectsLeft = MAX_REDIRECTS) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pageUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      reject(new Error('Unsupported URL scheme'));
+      return;
+    }
+    if (matchesDomain(getDomain(url.toString()), config.readerPaywallDomains)) {
+      reject(new Error('Article is behind a paywall'));
+      return;
+    }
+    // Literal IPs skip the DNS lookup, so check them here
+    const literalHost = url.hostname.replace(/^\[|\]$/g, '');
+    if (!config.readerAllowPrivateHosts && net.isIP(literalHost) && isPrivateAddress(literalHost)) {
+      reject(new Error('Refusing to fetch private address'));
+      return;
+    }
+
+    const timeLeft = deadline - Date.now();
+    if (timeLeft <= 0) {
+      reject(new Error('Page request timed out'));
+      return;
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; stock-news-backend/1.0; +reader mode)',
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+        'Accept-Encoding': 'gzip, deflate, br',
+      },
+      ...(!config.readerAllowPrivateHosts && { lookup: publicLookup }),
+      timeout: timeLeft,
+    }, (res) => {
+      // Handle redirects
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        const nextUrl = new URL(res.headers.location, url).toString();
+        fetchPage(nextUrl, deadline, redirectsLeft - 1).then(resolve).catch(reject);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Page returned status ${res.statusCode}`));
+        return;
+      }
+
+      const contentType = res.headers['content-type'] || '';
+      if (!HTML_CONTENT_TYPES.some(type => contentType.toLowerCase().startsWith(type))) {
+        res.resume();
+        reject(new Error(`Unsupported content type ${contentType || 'unknown'}`));
+        return;
+      }
+
+      const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+      const decoders = {
+        gzip: zlib.createGunzip,
+        deflate: zlib.createInflate,
+        br: zlib.createBrotliDecompress,
+      };
+      const stream = decoders[encoding] ? res.pipe(decoders[encoding]()) : res;
+
+      const chunks = [];
+      let size = 0;
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_PAGE_BYTES) {
+          request.destroy(new Error('Page exceeds maximum size'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', (error) => {
+        request.destroy(new Error(`Error decoding page: ${error.message}`));
+      });
+      stream.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          url: url.toString(),
+          html: new TextDecoder(detectCharset(contentType, body)).decode(body),
+        });
+      });
+    });
+
+    // The deadline covers the whole download, not just idle time
+    const deadlineTimer = setTimeout(() => {
+      request.destroy(new Error('Page request timed out'));
+    }, timeLeft);
+    request.on('close', () => clearTimeout(deadlineTimer));
+
+    request.on('timeout', () => {
+      request.destroy(new Error('Page request timed out'));
+    });
+
+    request.on('error', (error) => {
+      reject(new Error(`Error fetching page: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Fetch, extract and cache an article's content
+ * @param {Object} news - News row
+ * @returns {Promise<Object>} - Stored article content row
+ */
+const extractAndStore = async (news) => {
+  let data;
+  try {
+    const page = await fetchPage(news.url, Date.now() + config.readerTimeoutMs);
+    const content = extractContent(page.html, page.url);
+    data = content
+      ? { status: 'ok', finalUrl: page.url, ...content, error: null }
+      : { status: 'failed', finalUrl: page.url, error: 'No readable content found' };
+  } catch (error) {
+    // A redirect can land on a paywalled domain
+    data = error.message === 'Article is behind a paywall'
+      ? { status: 'paywalled', error: null }
+      : { status: 'failed', error: error.message };
+  }
+
+  const fields = {
+    finalUrl: null,
+    title: null,
+    byline: null,
+    leadImage: null,
+    html: null,
+    text: null,
+    wordCount: null,
+    ...data,
+    fetchedAt: new Date(),
+  };
+
+  return await prisma.articleContent.upsert({
+    where: { newsId: news.id },
+    create: { newsId: news.id, ...fields },
+    update: fields,
+  });
+};
+
+/**
+ * Get the reader mode content of an article, extracting it on first request
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} - { newsId, url, finalUrl, title, byline, leadImage, html, text, wordCount, fetchedAt }
+ */
+const getArticleContent = async (newsId) => {
+  const news = await prisma.news.findUnique({
+    where: { id: newsId },
+    include: { content: true },
+  });
+
+  if (!news) {
+    throw new Error('News not found');
+  }
+
+  let content = news.content;
+  const retryFailed = content && content.status === 'failed' && Date.now() - content.fetchedAt.getTime() > FAILED_RETRY_MS;
+
+  if (!content || retryFailed) {
+    // Skip the download entirely for articles already known to be paywalled
+    content = matchesDomain(news.domain || getDomain(news.url), config.readerPaywallDomains)
+      ? { status: 'paywalled' }
+      // Concurrent requests for the same article share one download
+      : await requestDeduplicator.execute(`article-content:${news.id}`, () => extractAndStore(news));
+  }
+
+  if (content.status === 'paywalled') {
+    throw new Error('Article is behind a paywall');
+  }
+  if (content.status !== 'ok') {
+    throw new Error('Article content could not be extracted');
+  }
+
+  return {
+    newsId: news.id,
+    url: news.url,
+    finalUrl: content.finalUrl,
+    title: content.title || news.headline,
+    byline: content.byline,
+    leadImage: content.leadImage || news.image,
+    html: content.html,
+    text: content.text,
+    wordCount: content.wordCount,
+    fetchedAt: content.fetchedAt,
+  };
+};
+
+module.exports = {
+  getArticleContent,
+};
@@ -0,0 +1,261 @@
+const { PrismaClient } = require('@prisma/client');
+const { encodeCursor, decodeCursor, buildCursorWhere } = require('../helpers/cursorHelper');
+const newsService = require('./newsService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Bookmark Service
+ * Saved articles, optionally filed into named collections
+ * Bookmarked news rows are protected from deletion (the foreign key restricts it),
+ * so news pruning must skip them
+ */
+
+const DEFAULT_BOOKMARK_LIMIT = 20;
+const MAX_BOOKMARK_LIMIT = 100;
+
+/**
+ * Get one of a user's collections
+ * @param {string} userId - User ID
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object>} - Collection
+ */
+const getCollectionOrThrow = async (userId, collectionId) => {
+  const collection = await prisma.bookmarkCollection.findFirst({
+    where: {
+      id: collectionId,
+      userId,
+    },
+  });
+
+  if (!collection) {
+    throw new Error('Collection not found');
+  }
+
+  return collection;
+};
+
+/**
+ * Make sure no other collection of the user has this name
+ * @param {string} userId - User ID
+ * @param {string} name - Collection name
+ * @param {string} [exceptId] - Collection being renamed
+ */
+const assertCollectionNameFree = async (userId, name, exceptId = null) => {
+  const existing = await prisma.bookmarkCollection.findFirst({
+    where: {
+      userId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(exceptId && { id: { not: exceptId } }),
+    },
+  });
+
+  if (existing) {
+    throw new Error('Collection already exists');
+  }
+};
+
+/**
+ * List a user's collections
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Collections with the number of bookmarks in each
+ */
+const listCollections = async (userId) => {
+  const collections = await prisma.bookmarkCollection.findMany({
+    where: { userId },
+    include: {
+      _count: {
+        select: { bookmarks: true },
+      },
+    },
+    orderBy: {
+      name: 'asc',
+    },
+  });
+
+  return collections.map(({ _count, ...collection }) => ({
+    ...collection,
+    bookmarkCount: _count.bookmarks,
+  }));
+};
+
+/**
+ * Create a collection
+ * @param {string} userId - User ID
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} - Created collection
+ */
+const createCollection = async (userId, name) => {
+  await assertCollectionNameFree(userId, name);
+
+  return await prisma.bookmarkCollection.create({
+    data: {
+      userId,
+      name,
+    },
+  });
+};
+
+/**
+ * Rename a collection
+ * @param {string} userId - User ID
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - New collection name
+ * @returns {Promise<Object>} - Updated collection
+ */
+const renameCollection = async (userId, collectionId, name) => {
+  await getCollectionOrThrow(userId, collectionId);
+  await assertCollectionNameFree(userId, name, collectionId);
+
+  return await prisma.bookmarkCollection.update({
+    where: { id: collectionId },
+    data: { name },
+  });
+};
+
+/**
+ * Delete a collection (its bookmarks are kept and become unfiled)
+ * @param {string} userId - User ID
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object>} - Deleted collection
+ */
+const deleteCollection = async (userId, collectionId) => {
+  await getCollectionOrThrow(userId, collectionId);
+
+  return await prisma.bookmarkCollection.delete({
+    where: { id: collectionId },
+  });
+};
+
+/**
+ * Save an article, or move an already saved article to another collection
+ * @param {string} userId - User ID
+ * @param {string} newsId - News ID
+ * @param {string|null} [collectionId] - Collection to file the article in (null for unfiled)
+ * @returns {Promise<Object>} - Bookmark and whether it was created
+ */
+const saveArticle = async (userId, newsId, collectionId = null) => {
+  const news = await prisma.news.findUnique({
+    where: { id: newsId },
+    select: { id: true },
+  });
+
+  if (!news) {
+    throw new Error('News not found');
+  }
+
+  if (collectionId) {
+    await getCollectionOrThrow(userId, collectionId);
+  }
+
+  const existing = await prisma.bookmark.findUnique({
+    where: {
+      userId_newsId: {
+        userId,
+        newsId,
+      },
+    },
+  });
+
+  if (existing) {
+    const bookmark = await prisma.bookmark.update({
+      where: { id: existing.id },
+      data: { collectionId },
+    });
+    return { bookmark, created: false };
+  }
+
+  const bookmark = await prisma.bookmark.create({
+    data: {
+      userId,
+      newsId,
+      collectionId,
+    },
+  });
+  return { bookmark, created: true };
+};
+
+/**
+ * Remove a saved article
+ * @param {string} userId - User ID
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} - Deleted bookmark
+ */
+const removeBookmark = async (userId, newsId) => {
+  const bookmark = await prisma.bookmark.findUnique({
+    where: {
+      userId_newsId: {
+        userId,
+        newsId,
+      },
+    },
+  });
+
+  if (!bookmark) {
+    throw new Error('Bookmark not found');
+  }
+
+  return await prisma.bookmark.delete({
+    where: { id: bookmark.id },
+  });
+};
+
+/**
+ * List saved articles, most recently saved first
+ * @param {string} userId - User ID
+ * @param {Object} options - List options
+ * @param {string} [options.collectionId] - Only bookmarks in this collection
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.before] - Cursor from a previous nextCursor
+ * @returns {Promise<Object>} - Bookmarks with their articles and nextCursor
+ */
+const listBookmarks = async (userId, options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_BOOKMARK_LIMIT, 1), MAX_BOOKMARK_LIMIT);
+
+  if (options.collectionId) {
+    await getCollectionOrThrow(userId, options.collectionId);
+  }
+
+  const conditions = [{ userId }];
+  if (options.collectionId) {
+    conditions.push({ collectionId: options.collectionId });
+  }
+  if (options.before) {
+    conditions.push(buildCursorWhere(decodeCursor(options.before), 'before', 'createdAt'));
+  }
+
+  const rows = await prisma.bookmark.findMany({
+    where: { AND: conditions },
+    orderBy: [
+      { createdAt: 'desc' },
+      { id: 'desc' },
+    ],
+    take: limit + 1, // Fetch one extra row to know whether more exist
+  });
+
+  const hasMore = rows.length > limit;
+  const bookmarks = rows.slice(0, limit);
+  const articles = await newsService.getArticlesByIds(bookmarks.map(bookmark => bookmark.newsId));
+  const articleMap = new Map(articles.map(article => [article.id, article]));
+  const last = bookmarks[bookmarks.length - 1];
+
+  return {
+    bookmarks: bookmarks.map(bookmark => ({
+      id: bookmark.id,
+      collectionId: bookmark.collectionId,
+      savedAt: bookmark.createdAt,
+      article: articleMap.get(bookmark.newsId) || null,
+    })),
+    nextCursor: hasMore ? encodeCursor({ datetime: last.createdAt, id: last.id }) : null,
+  };
+};
+
+module.exports = {
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  saveArticle,
+  removeBookmark,
+  listBookmarks,
+};
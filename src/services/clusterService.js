@@ -0,0 +1,136 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { computeSignature, estimateSimilarity, computeBandKeys } = require('../helpers/minhash');
+
+const prisma = new PrismaClient();
+
+/**
+ * Cluster Service
+ * Groups near-duplicate articles (same story from several syndicators) at ingest time
+ * Each cluster is identified by the ID of its first article, the representative
+ * Candidate representatives are looked up by MinHash band key (an indexed column),
+ * so an insert only compares against articles likely to be similar
+ */
+
+// Most candidates compared per new article (the newest are kept when a band is very common)
+const MAX_CLUSTER_CANDIDATES = 200;
+
+// Most duplicates listed under a representative (relatedCount still counts them all)
+const MAX_RELATED_ARTICLES = 10;
+
+/**
+ * Compute the clustering signature of an article
+ * @param {Object} article - Article with headline and summary
+ * @returns {Array<number>} - MinHash signature
+ */
+const computeArticleSignature = (article) => {
+  return computeSignature(`${article.headline || ''} ${article.summary || ''}`);
+};
+
+/**
+ * Compute the band keys a cluster representative is looked up by
+ * @param {Array<number>} signature - MinHash signature of the article
+ * @returns {Array<string>} - LSH band keys
+ */
+const computeArticleBands = (signature) => {
+  return computeBandKeys(signature);
+};
+
+/**
+ * Find the cluster a new article belongs to
+ * Compares the article with cluster representatives published around the same time
+ * that share at least one MinHash band with it
+ * @param {Array<number>} signature - MinHash signature of the new article
+ * @param {Date} datetime - Publish time of the new article
+ * @returns {Promise<Object|null>} - Matching representative ({ id, similarity }) or null
+ */
+const findMatchingCluster = async (signature, datetime) => {
+  const bandKeys = computeBandKeys(signature);
+  if (bandKeys.length === 0) {
+    return null;
+  }
+
+  const windowMs = config.newsClusterWindowHours * 60 * 60 * 1000;
+  const candidates = await prisma.news.findMany({
+    where: {
+      isDuplicate: false,
+      minhashBands: { hasSome: bandKeys },
+      datetime: {
+        gte: new Date(datetime.getTime() - windowMs),
+        lte: new Date(datetime.getTime() + windowMs),
+      },
+    },
+    select: {
+      id: true,
+      minhash: true,
+    },
+    orderBy: { datetime: 'desc' },
+    take: MAX_CLUSTER_CANDIDATES,
+  });
+
+  let best = null;
+  for (const candidate of candidates) {
+    const similarity = estimateSimilarity(signature, candidate.minhash);
+    if (similarity >= config.newsClusterThreshold && (!best || similarity > best.similarity)) {
+      best = { id: candidate.id, similarity };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Attach related (duplicate) articles to cluster representatives
+ * Only the earliest MAX_RELATED_ARTICLES duplicates of each cluster are listed
+ * @param {Array<Object>} articles - Representative articles (with id)
+ * @returns {Promise<Array<Object>>} - Articles with relatedCount and relatedArticles
+ */
+const attachRelatedArticles = async (articles) => {
+  if (articles.length === 0) {
+    return articles;
+  }
+
+  const duplicates = await prisma.$queryRaw`
+    SELECT "id", "clusterId", "headline", "url", "source", "datetime", "clusterSize"
+    FROM (
+      SELECT
+        n."id",
+        n."clusterId",
+        n."headline",
+        n."url",
+        n."source",
+        n."datetime",
+        ROW_NUMBER() OVER (PARTITION BY n."clusterId" ORDER BY n."datetime" ASC, n."id" ASC) AS "position",
+        COUNT(*) OVER (PARTITION BY n."clusterId") AS "clusterSize"
+      FROM "news" n
+      WHERE n."clusterId" IN (${Prisma.join(articles.map(article => article.id))})
+        AND n."isDuplicate" = true
+    ) ranked
+    WHERE "position" <= ${MAX_RELATED_ARTICLES}
+    ORDER BY "datetime" ASC, "id" ASC
+  `;
+
+  const byCluster = new Map();
+  duplicates.forEach(({ clusterId, clusterSize, ...duplicate }) => {
+    if (!byCluster.has(clusterId)) {
+      byCluster.set(clusterId, { count: Number(clusterSize), related: [] });
+    }
+    byCluster.get(clusterId).related.push(duplicate);
+  });
+
+  return articles.map(article => {
+    const cluster = byCluster.get(article.id) || { count: 0, related: [] };
+    return {
+      ...article,
+      relatedCount: cluster.count,
+      relatedArticles: cluster.related,
+    };
+  });
+};
+
+module.exports = {
+  computeArticleSignature,
+  computeArticleBands,
+  findMatchingCluster,
+  attachRelatedArticles,
+};
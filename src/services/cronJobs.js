@@ -1,6 +1,11 @@
 const cron = require('node-cron');
 const stockSyncService = require('./stockSyncService');
 const newsService = require('./newsService');
+const newsSyncScheduler = require('./newsSyncScheduler');
+const feedService = require('./feedService');
+const newsRetentionService = require('./newsRetentionService');
+const digestService = require('./digestService');
+const config = require('../config');
 
 /**
  * Cron Jobs Service
@@ -31,30 +36,100 @@ const initializeCronJobs = () => {
     timezone: 'America/New_York', // Adjust timezone as needed
   });
 
-  // Schedule news sync job: Every 20 minutes
-  // Cron format: minute hour day-of-month month day-of-week
-  // */20 * * * * = every 20 minutes
-  cron.schedule('*/20 * * * *', async () => {
-    console.log('News sync cron job triggered at', new Date().toISOString());
+  // Schedule news sync job: Every minute
+  // Each tick polls the most overdue watched stocks within the request budget
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await newsSyncScheduler.runTick();
+      if (!result.success) {
+        console.error('News sync cron job failed:', result.error);
+      }
+    } catch (error) {
+      console.error('News sync cron job failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'America/New_York', // Adjust timezone as needed
+  });
+
+  // Schedule market news sync job: Every 30 minutes, offset from the other news syncs
+  // 5,35 * * * * = at 5 and 35 minutes past every hour
+  cron.schedule('5,35 * * * *', async () => {
+    console.log('Market news sync cron job triggered at', new Date().toISOString());
     
     try {
-      const result = await newsService.syncNewsForAllWatchlistStocks();
+      const result = await newsService.syncMarketNews();
       if (result.success) {
-        console.log(`News sync cron job completed: ${result.totalArticles} articles saved for ${result.totalStocks} stocks`);
+        console.log(`Market news sync cron job completed: ${result.totalArticles} articles saved for ${result.totalCategories} categories`);
       } else {
-        console.error('News sync cron job failed:', result.error);
+        console.error('Market news sync cron job failed:', result.error);
       }
     } catch (error) {
-      console.error('News sync cron job failed:', error);
+      console.error('Market news sync cron job failed:', error);
     }
   }, {
     scheduled: true,
     timezone: 'America/New_York', // Adjust timezone as needed
   });
 
+  // Schedule RSS/Atom feed sync job: Every 30 minutes, offset from the news sync
+  // 10,40 * * * * = at 10 and 40 minutes past every hour
+  cron.schedule('10,40 * * * *', async () => {
+    console.log('Feed sync cron job triggered at', new Date().toISOString());
+    
+    try {
+      const result = await feedService.syncAllFeeds();
+      if (result.success) {
+        console.log(`Feed sync cron job completed: ${result.totalArticles} articles saved from ${result.totalFeeds} feeds`);
+      } else {
+        console.error('Feed sync cron job failed:', result.error);
+      }
+    } catch (error) {
+      console.error('Feed sync cron job failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'America/New_York', // Adjust timezone as needed
+  });
+
+  // Schedule news retention job: Every day at 4:30 AM
+  // 30 4 * * * = 30 minutes, 4 hours, every day
+  cron.schedule('30 4 * * *', async () => {
+    console.log('News retention cron job triggered at', new Date().toISOString());
+    
+    try {
+      const stats = await newsRetentionService.pruneExpiredNews({ dryRun: config.newsRetentionDryRun });
+      console.log('News retention cron job completed:', JSON.stringify(stats.byCategory));
+    } catch (error) {
+      console.error('News retention cron job failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'America/New_York', // Adjust timezone as needed
+  });
+
+  // Schedule digest job: Every hour on the hour
+  // Each user's digest goes out when their local time reaches their digest hour
+  cron.schedule('0 * * * *', async () => {
+    console.log('Digest cron job triggered at', new Date().toISOString());
+    
+    try {
+      await digestService.sendDueDigests();
+    } catch (error) {
+      console.error('Digest cron job failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC', // Users' timezones are applied per user
+  });
+
   console.log('Cron jobs initialized:');
   console.log('  - Stock sync: Every Sunday at 3:00 AM');
-  console.log('  - News sync: Every 20 minutes');
+  console.log(`  - News sync: Every minute, adaptive per stock (${config.newsSyncMinIntervalMinutes}-${config.newsSyncMaxIntervalMinutes} minutes, ${config.newsSyncRequestsPerMinute} requests/minute)`);
+  console.log(`  - Market news sync: Every 30 minutes (at :05 and :35; ${config.marketNewsCategories.join(', ')})`);
+  console.log('  - Feed sync: Every 30 minutes (at :10 and :40)');
+  console.log(`  - News retention: Every day at 4:30 AM${config.newsRetentionDryRun ? ' (dry run)' : ''}`);
+  console.log(`  - Digests: Every hour, at each user's local digest hour (via ${config.digestTransport})`);
 };
 
 /**
@@ -0,0 +1,371 @@
+const { PrismaClient } = require('@prisma/client');
+const { labelForScore } = require('../helpers/sentimentScorer');
+const { renderDigest } = require('../helpers/digestRenderer');
+const muteRuleService = require('./muteRuleService');
+const digestTransports = require('./digestTransports');
+
+const prisma = new PrismaClient();
+
+/**
+ * Digest Service
+ * Builds and delivers a daily summary of each user's watchlist news
+ * The hourly cron job sends each user's digest once their local time reaches their
+ * digest hour, at most once per local day (an hour skipped by DST is caught up in the next)
+ */
+
+const DIGEST_HOURS = 24;
+const ARTICLES_PER_STOCK = 3;
+
+/**
+ * Check whether a timezone name is a valid IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the user's timezone, falling back to UTC when unset or invalid
+ * @param {Object} user - User
+ * @returns {string} - IANA timezone
+ */
+const getUserTimezone = (user) => {
+  return user.timezone && isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+};
+
+/**
+ * Get the wall-clock date and time at a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour (0-23), minute, second }
+ */
+const getLocalParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value, 10)]));
+};
+
+/**
+ * Get a timezone's offset from UTC at a moment
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getOffsetMs = (date, timezone) => {
+  const local = getLocalParts(date, timezone);
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the local hour and the start of the local day at a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { hour: 0-23, midnight: Date }
+ */
+const getLocalDay = (date, timezone) => {
+  const local = getLocalParts(date, timezone);
+  const wallMidnight = Date.UTC(local.year, local.month - 1, local.day);
+
+  // Use the offset in effect at midnight, which differs from now on DST change days
+  const estimate = new Date(wallMidnight - getOffsetMs(date, timezone));
+  return {
+    hour: local.hour,
+    midnight: new Date(wallMidnight - getOffsetMs(estimate, timezone)),
+  };
+};
+
+/**
+ * Build a user's digest of the last 24 hours of watchlist news
+ * @param {Object} user - User
+ * @param {Date} now - End of the digest period
+ * @returns {Promise<Object|null>} - Digest, or null when there is no news
+ */
+const buildDigest = async (user, now = new Date()) => {
+  const since = new Date(now.getTime() - DIGEST_HOURS * 60 * 60 * 1000);
+
+  const watchlistItems = await prisma.userStock.findMany({
+    where: { userId: user.id },
+    include: { stock: true },
+    orderBy: {
+      stock: {
+        symbol: 'asc',
+      },
+    },
+  });
+
+  if (watchlistItems.length === 0) {
+    return null;
+  }
+
+  // Same articles as the user's feed: no near-duplicates, nothing muted
+  const muteFilter = await muteRuleService.getMuteFilter(user.id);
+  const newsWhere = {
+    datetime: { gte: since, lte: now },
+    isDuplicate: false,
+    ...muteFilter.where,
+  };
+
+  const stocks = await Promise.all(watchlistItems.map(async ({ stock }) => {
+    const links = await prisma.newsStock.findMany({
+      where: {
+        stockId: stock.id,
+        news: newsWhere,
+      },
+      include: { news: true },
+      orderBy: [
+        { relevance: 'desc' },
+        { news: { datetime: 'desc' } },
+      ],
+    });
+
+    const articles = links
+      .map(link => link.news)
+      .filter(article => !muteFilter.test || muteFilter.test(article));
+
+    // Averaged over the articles left after regex mutes, like the article count
+    const scores = articles
+      .map(article => article.sentimentScore)
+      .filter(score => score !== null && score !== undefined);
+    const averageScore = scores.length > 0
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : null;
+
+    return {
+      stock,
+      articleCount: articles.length,
+      sentiment: averageScore === null
+        ? null
+        : { averageScore: Math.round(averageScore * 100) / 100, label: labelForScore(averageScore) },
+      articles: articles.slice(0, ARTICLES_PER_STOCK),
+    };
+  }));
+
+  // Busiest stocks first; stocks without news are left out
+  const stocksWithNews = stocks
+    .filter(entry => entry.articleCount > 0)
+    .sort((a, b) => b.articleCount - a.articleCount);
+
+  if (stocksWithNews.length === 0) {
+    return null;
+  }
+
+  return {
+    hours: DIGEST_HOURS,
+    timezone: getUserTimezone(user),
+    totalArticles: stocksWithNews.reduce((sum, entry) => sum + entry.articleCount, 0),
+    stocks: stocksWithNews,
+  };
+};
+
+/**
+ * Build the where clause matching users whose digest is due: their local time has
+ * reached their digest hour and no digest was sent since their local midnight
+ * Users without a valid timezone fall back to UTC, like getUserTimezone
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Prisma where clause
+ */
+const buildDueWhere = async (now) => {
+  const timezones = await prisma.user.findMany({
+    where: {
+      digestEnabled: true,
+      timezone: { not: null },
+    },
+    distinct: ['timezone'],
+    select: { timezone: true },
+  });
+
+  const validTimezones = timezones.map(row => row.timezone).filter(isValidTimezone);
+  const invalidTimezones = timezones.map(row => row.timezone).filter(timezone => !isValidTimezone(timezone));
+
+  const dueIn = (timezoneWhere, timezone) => {
+    const { hour, midnight } = getLocalDay(now, timezone);
+    return {
+      AND: [
+        timezoneWhere,
+        { digestHour: { lte: hour } },
+        {
+          OR: [
+            { lastDigestSentAt: null },
+            { lastDigestSentAt: { lt: midnight } },
+          ],
+        },
+      ],
+    };
+  };
+
+  return {
+    OR: [
+      ...validTimezones.map(timezone => dueIn({ timezone }, timezone)),
+      dueIn({
+        OR: [
+          { timezone: null },
+          { timezone: { in: invalidTimezones } },
+        ],
+      }, 'UTC'),
+    ],
+  };
+};
+
+/**
+ * Build, render and deliver a user's digest
+ * @param {Object} user - User (with email)
+ * @param {Date} now - End of the digest period
+ * @returns {Promise<Object>} - { sent: boolean, reason?: string, delivery?: Object }
+ */
+const sendDigestForUser = async (user, now = new Date()) => {
+  if (!user.email) {
+    return { sent: false, reason: 'no-email' };
+  }
+
+  const digest = await buildDigest(user, now);
+  if (!digest) {
+    return { sent: false, reason: 'no-news' };
+  }
+
+  const message = renderDigest(digest);
+  const delivery = await digestTransports.getActiveTransport().send({
+    to: user.email,
+    ...message,
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastDigestSentAt: now },
+  });
+
+  return { sent: true, delivery };
+};
+
+/**
+ * Send digests to every user whose digest is due (for cron job)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Summary of the digest run
+ */
+const sendDueDigests = async (now = new Date()) => {
+  console.log('Starting digest run...');
+
+  const stats = { checked: 0, sent: 0, skippedNoNews: 0, skippedNoEmail: 0, failed: 0 };
+
+  // Only load users whose digest is due in their timezone
+  const users = await prisma.user.findMany({
+    where: {
+      digestEnabled: true,
+      watchlist: { some: {} },
+      ...(await buildDueWhere(now)),
+    },
+  });
+
+  for (const user of users) {
+    stats.checked++;
+    try {
+      const result = await sendDigestForUser(user, now);
+      if (result.sent) {
+        stats.sent++;
+      } else if (result.reason === 'no-news') {
+        stats.skippedNoNews++;
+      } else {
+        stats.skippedNoEmail++;
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`Error sending digest to user ${user.id}:`, error.message);
+    }
+  }
+
+  console.log(`Digest run completed: ${stats.sent} sent, ${stats.skippedNoNews} without news, ${stats.failed} failed`);
+
+  return stats;
+};
+
+/**
+ * Get a user's digest settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { enabled, timezone, hour, lastSentAt }
+ */
+const getSettings = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    enabled: user.digestEnabled,
+    timezone: user.timezone,
+    hour: user.digestHour,
+    lastSentAt: user.lastDigestSentAt,
+  };
+};
+
+/**
+ * Update a user's digest settings
+ * @param {string} userId - User ID
+ * @param {Object} settings - Settings to change
+ * @param {boolean} [settings.enabled] - Send the daily digest
+ * @param {string} [settings.timezone] - IANA timezone
+ * @param {number} [settings.hour] - Local hour (0-23) to send the digest at
+ * @returns {Promise<Object>} - Updated settings
+ */
+const updateSettings = async (userId, { enabled, timezone, hour }) => {
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    throw new Error('Invalid timezone');
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      ...(enabled !== undefined && { digestEnabled: enabled }),
+      ...(timezone !== undefined && { timezone }),
+      ...(hour !== undefined && { digestHour: hour }),
+    },
+  });
+
+  return await getSettings(userId);
+};
+
+/**
+ * Render the user's digest without sending it
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { subject, html, text }, or null when there is no news
+ */
+const previewDigest = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const digest = await buildDigest(user);
+  return digest ? renderDigest(digest) : null;
+};
+
+module.exports = {
+  buildDigest,
+  sendDigestForUser,
+  sendDueDigests,
+  getSettings,
+  updateSettings,
+  previewDigest,
+};
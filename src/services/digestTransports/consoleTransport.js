@@ -0,0 +1,22 @@
+/**
+ * Console Digest Transport
+ * Logs the plain text version of each digest (for development)
+ */
+
+/**
+ * Log a digest
+ * @param {Object} message - Rendered digest
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} - Delivery info
+ */
+const send = async ({ to, subject, text }) => {
+  console.log(`\n--- Digest for ${to} ---\nSubject: ${subject}\n\n${text}\n--- End of digest ---\n`);
+  return { logged: true };
+};
+
+module.exports = {
+  name: 'console',
+  send,
+};
@@ -0,0 +1,35 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+
+/**
+ * File Digest Transport
+ * Writes each digest to <DIGEST_OUTPUT_DIR> as an .html and a .txt file
+ * so digests can be previewed during development without a mail server
+ */
+
+/**
+ * Write a digest to disk
+ * @param {Object} message - Rendered digest
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} - Delivery info ({ file })
+ */
+const send = async ({ to, subject, html, text }) => {
+  await fs.mkdir(config.digestOutputDir, { recursive: true });
+
+  const recipient = (to || 'unknown').replace(/[^a-z0-9@._-]/gi, '_');
+  const baseName = path.join(config.digestOutputDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}`);
+
+  await fs.writeFile(`${baseName}.html`, html, 'utf8');
+  await fs.writeFile(`${baseName}.txt`, `Subject: ${subject}\n\n${text}`, 'utf8');
+
+  return { file: `${baseName}.html` };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+};
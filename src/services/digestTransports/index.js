@@ -0,0 +1,59 @@
+const config = require('../../config');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+/**
+ * Digest Transport Registry
+ * Keeps track of the ways a rendered digest can be delivered; the digest
+ * service only talks to transports through this interface
+ *
+ * A transport is an object with:
+ * - name {string} - Unique transport name
+ * - send({ to, subject, html, text }) {Promise<Object>} - Deliver one message
+ */
+
+const transports = new Map();
+
+/**
+ * Register a digest transport
+ * @param {Object} transport - Transport implementing the interface above
+ */
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Invalid digest transport');
+  }
+  transports.set(transport.name, transport);
+};
+
+/**
+ * Get a registered transport by name
+ * @param {string} name - Transport name
+ * @returns {Object} - Transport
+ */
+const getTransport = (name) => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown digest transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Get the transport enabled by configuration (DIGEST_TRANSPORT)
+ * @returns {Object} - Active transport
+ */
+const getActiveTransport = () => {
+  return getTransport(config.digestTransport);
+};
+
+// Built-in transports
+registerTransport(smtpTransport);
+registerTransport(fileTransport);
+registerTransport(consoleTransport);
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  getActiveTransport,
+};
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+/**
+ * SMTP Digest Transport
+ * Sends digests as multipart (HTML + plain text) email through an SMTP server
+ */
+
+let transporter = null;
+
+/**
+ * Get the shared SMTP connection pool, creating it on first use
+ * @returns {Object} - Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!config.smtp.host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined,
+      pool: true,
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send a digest email
+ * @param {Object} message - Rendered digest
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} - Delivery info ({ messageId })
+ */
+const send = async ({ to, subject, html, text }) => {
+  const info = await getTransporter().sendMail({
+    from: config.digestFrom,
+    to,
+    subject,
+    html,
+    text,
+  });
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
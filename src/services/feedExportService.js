@@ -0,0 +1,154 @@
+const { PrismaClient } = require('@prisma/client');
+const { createHash, randomBytes } = require('crypto');
+const newsService = require('./newsService');
+const { renderFeed } = require('../helpers/feedRenderer');
+
+const prisma = new PrismaClient();
+
+/**
+ * Feed Export Service
+ * Serves a user's watchlist news as RSS, Atom and JSON Feed at secret URLs
+ * Feed readers can't log in, so each user gets a long random feed token instead;
+ * it is unrelated to the login JWT, only its hash is stored, and it can be
+ * regenerated (invalidating the old URLs) or revoked at any time
+ */
+
+const FEED_ARTICLE_LIMIT = 50;
+
+// Feed readers poll often; record use at most this often to avoid a write per poll
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Raw feed token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Get the user's feed token details (the token itself can't be recovered)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { createdAt, lastUsedAt }, or null when feeds are off
+ */
+const getFeedToken = async (userId) => {
+  const feedToken = await prisma.feedToken.findUnique({
+    where: { userId },
+  });
+
+  return feedToken
+    ? { createdAt: feedToken.createdAt, lastUsedAt: feedToken.lastUsedAt }
+    : null;
+};
+
+/**
+ * Create the user's feed token, replacing (and so revoking) any previous one
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { token, createdAt, replaced }; the token is only ever returned here
+ */
+const regenerateFeedToken = async (userId) => {
+  const token = randomBytes(32).toString('base64url');
+  const existing = await prisma.feedToken.findUnique({
+    where: { userId },
+  });
+
+  const feedToken = await prisma.feedToken.upsert({
+    where: { userId },
+    create: {
+      userId,
+      tokenHash: hashToken(token),
+    },
+    update: {
+      tokenHash: hashToken(token),
+      createdAt: new Date(),
+      lastUsedAt: null,
+    },
+  });
+
+  return { token, createdAt: feedToken.createdAt, replaced: Boolean(existing) };
+};
+
+/**
+ * Revoke the user's feed token
+ * @param {string} userId - User ID
+ */
+const revokeFeedToken = async (userId) => {
+  const result = await prisma.feedToken.deleteMany({
+    where: { userId },
+  });
+
+  if (result.count === 0) {
+    throw new Error('Feed token not found');
+  }
+};
+
+/**
+ * Find the user a feed token belongs to
+ * @param {string} token - Raw feed token
+ * @returns {Promise<string>} - User ID
+ */
+const resolveFeedToken = async (token) => {
+  const feedToken = await prisma.feedToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!feedToken) {
+    throw new Error('Feed not found');
+  }
+
+  const now = new Date();
+  if (!feedToken.lastUsedAt || now - feedToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await prisma.feedToken.update({
+      where: { id: feedToken.id },
+      data: { lastUsedAt: now },
+    });
+  }
+
+  return feedToken.userId;
+};
+
+/**
+ * Build a user's news feed
+ * Content comes from the watchlist feed, so duplicates and muted articles are left out the same way
+ * @param {string} token - Raw feed token
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {Object} links - Absolute URLs ({ homeUrl, urls: { rss, atom, json } })
+ * @returns {Promise<Object>} - { contentType, body, etag, lastModified }
+ */
+const buildFeed = async (token, format, links) => {
+  const userId = await resolveFeedToken(token);
+  const { articles } = await newsService.getNewsForUserStocks(userId, { limit: FEED_ARTICLE_LIMIT });
+
+  // The feed changes when an article enters, leaves or is edited; read state doesn't count
+  const lastModified = articles.reduce((latest, article) => {
+    const modified = new Date(article.updatedAt || article.datetime);
+    return modified > latest ? modified : latest;
+  }, new Date(0));
+  const fingerprint = createHash('sha256')
+    .update(format)
+    .update(articles.map(article => `${article.id}:${new Date(article.updatedAt || article.datetime).getTime()}`).join(','))
+    .digest('base64url');
+
+  const { contentType, body } = renderFeed({
+    title: 'Watchlist News',
+    description: 'Latest news for the stocks on your watchlist',
+    homeUrl: links.homeUrl,
+    urls: links.urls,
+    updated: articles.length > 0 ? lastModified : new Date(),
+    articles,
+  }, format);
+
+  return {
+    contentType,
+    body,
+    etag: `"${fingerprint}"`,
+    // HTTP dates have one-second resolution
+    lastModified: articles.length > 0 ? new Date(Math.floor(lastModified.getTime() / 1000) * 1000) : null,
+  };
+};
+
+module.exports = {
+  getFeedToken,
+  regenerateFeedToken,
+  revokeFeedToken,
+  buildFeed,
+};
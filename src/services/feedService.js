@@ -0,0 +1,319 @@
+const { PrismaClient } = require('@prisma/client');
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const config = require('../config');
+const { parseFeed } = require('../helpers/feedParser');
+const newsService = require('./newsService');
+const relevanceService = require('./relevanceService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Feed Service
+ * Manages RSS/Atom feeds and ingests their items as news articles
+ * Feeds attached to a stock link every item to that stock; global feeds are
+ * matched against watched stocks by relevance
+ */
+
+const FEED_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_REDIRECTS = 5;
+
+/**
+ * Download a feed document, following redirects
+ * @param {string} feedUrl - Feed URL
+ * @param {number} redirectsLeft - Remaining redirects to follow
+ * @returns {Promise<string>} - Feed document body
+ */
+const fetchFeedDocument = (feedUrl, redirectsLeft = MAX_REDIRECTS) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(feedUrl);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const request = client.get(url, {
+      headers: {
+        'User-Agent': 'stock-news-backend/1.0 (+feed ingestion)',
+        Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.1',
+      },
+      timeout: FEED_TIMEOUT_MS,
+    }, (res) => {
+      // Handle redirects
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        const nextUrl = new URL(res.headers.location, url).toString();
+        fetchFeedDocument(nextUrl, redirectsLeft - 1).then(resolve).catch(reject);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Feed returned status ${res.statusCode}`));
+        return;
+      }
+
+      let data = '';
+      let size = 0;
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        size += Buffer.byteLength(chunk);
+        if (size > MAX_FEED_BYTES) {
+          request.destroy(new Error('Feed exceeds maximum size'));
+          return;
+        }
+        data += chunk;
+      });
+
+      res.on('end', () => resolve(data));
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error('Feed request timed out'));
+    });
+
+    request.on('error', (error) => {
+      reject(new Error(`Error fetching feed: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Convert a parsed feed item to the normalized article shape
+ * @param {Object} item - Item from parseFeed
+ * @param {Object} feed - Feed the item came from
+ * @param {string|null} feedTitle - Title reported by the feed
+ * @returns {Object} - Normalized article
+ */
+const normalizeFeedItem = (item, feed, feedTitle) => ({
+  provider: 'rss',
+  // Guids are only unique within a feed
+  externalId: `${feed.id}:${item.id}`,
+  feedId: feed.id,
+  category: feed.stockId ? 'company' : null,
+  headline: item.title || '',
+  summary: item.summary,
+  url: item.link,
+  image: item.image,
+  source: item.source || feed.title || feedTitle || new URL(feed.url).hostname,
+  datetime: item.publishedAt, // Null for undated items (stored with the time they were first seen)
+});
+
+/**
+ * List all feeds
+ * @returns {Promise<Array>} - Feeds with their stock (if any)
+ */
+const listFeeds = async () => {
+  return await prisma.newsFeed.findMany({
+    include: {
+      stock: {
+        select: {
+          id: true,
+          symbol: true,
+          description: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+};
+
+/**
+ * Add a feed
+ * @param {Object} data - Feed data
+ * @param {string} data.url - Feed URL
+ * @param {string} [data.title] - Feed title
+ * @param {string} [data.stockId] - Stock to attach the feed to (omit for a global feed)
+ * @returns {Promise<Object>} - Created feed
+ */
+const createFeed = async ({ url, title, stockId }) => {
+  if (stockId) {
+    const stock = await prisma.stock.findUnique({
+      where: { id: stockId },
+    });
+
+    if (!stock) {
+      throw new Error('Stock not found');
+    }
+  }
+
+  const existing = await prisma.newsFeed.findUnique({
+    where: { url },
+  });
+
+  if (existing) {
+    throw new Error('Feed already exists');
+  }
+
+  return await prisma.newsFeed.create({
+    data: {
+      url,
+      title: title || null,
+      stockId: stockId || null,
+    },
+  });
+};
+
+/**
+ * Delete a feed (articles already ingested are kept)
+ * @param {string} feedId - Feed ID
+ * @returns {Promise<Object>} - Deleted feed
+ */
+const deleteFeed = async (feedId) => {
+  const feed = await prisma.newsFeed.findUnique({
+    where: { id: feedId },
+  });
+
+  if (!feed) {
+    throw new Error('Feed not found');
+  }
+
+  return await prisma.newsFeed.delete({
+    where: { id: feedId },
+  });
+};
+
+/**
+ * Fetch a feed and save its relevant items as news
+ * @param {Object} feed - Feed from database (with stock when attached to one)
+ * @param {Array} watchedStocks - Stocks to match global feed items against
+ * @param {Map} aliasMap - Aliases of the watched stocks keyed by stock ID
+ * @returns {Promise<Object>} - Counts of new, updated and unchanged article links, and total links written
+ */
+const ingestFeed = async (feed, watchedStocks, aliasMap) => {
+  const result = { new: 0, updated: 0, unchanged: 0, total: 0 };
+
+  try {
+    const document = await fetchFeedDocument(feed.url);
+    const { title, items } = parseFeed(document);
+
+    for (const item of items) {
+      if (!item.link || !item.id) {
+        continue;
+      }
+
+      const article = normalizeFeedItem(item, feed, title);
+
+      // Stock feeds are trusted for their stock; global feeds link to every matching watched stock
+      const matches = feed.stock
+        ? [{ stock: feed.stock, relevance: 1 }]
+        : watchedStocks
+          .map(stock => ({
+            stock,
+            relevance: relevanceService.scoreArticleRelevance(article, stock, aliasMap.get(stock.id)),
+          }))
+          .filter(({ relevance }) => relevance >= config.newsFeedRelevanceThreshold);
+
+      for (const { stock, relevance } of matches) {
+        try {
+          const status = await newsService.saveArticleForStock(article, stock, relevance);
+          result[status]++;
+          if (status !== 'unchanged') {
+            result.total++;
+          }
+        } catch (error) {
+          console.error(`Error saving feed item ${item.id} for stock ${stock.symbol}:`, error.message);
+        }
+      }
+    }
+
+    await prisma.newsFeed.update({
+      where: { id: feed.id },
+      data: {
+        title: feed.title || title || null,
+        lastFetchedAt: new Date(),
+        lastError: null,
+      },
+    });
+  } catch (error) {
+    console.error(`Error ingesting feed ${feed.url}:`, error.message);
+    await prisma.newsFeed.update({
+      where: { id: feed.id },
+      data: { lastError: error.message },
+    });
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Fetch all feeds and save their items as news (for cron job)
+ * @returns {Promise<Object>} - Summary of the sync operation
+ */
+const syncAllFeeds = async () => {
+  console.log('Starting RSS/Atom feed sync...');
+
+  try {
+    const feeds = await prisma.newsFeed.findMany({
+      include: {
+        stock: {
+          select: {
+            id: true,
+            symbol: true,
+            description: true,
+          },
+        },
+      },
+    });
+
+    if (feeds.length === 0) {
+      console.log('No feeds configured');
+      return {
+        totalFeeds: 0,
+        totalArticles: 0,
+        success: true,
+      };
+    }
+
+    // Global feeds are only matched against stocks someone is watching
+    const watchedStocks = feeds.some(feed => !feed.stockId)
+      ? await newsService.getWatchedStocks()
+      : [];
+    const aliasMap = await relevanceService.getAliasesForStocks(watchedStocks.map(stock => stock.id));
+
+    let totalArticles = 0;
+    let successCount = 0;
+    let errorCount = 0;
+
+    for (const feed of feeds) {
+      try {
+        const result = await ingestFeed(feed, watchedStocks, aliasMap);
+        totalArticles += result.total;
+        successCount++;
+        console.log(`${feed.url}: ${result.new} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+      } catch (error) {
+        errorCount++;
+      }
+    }
+
+    console.log(`Feed sync completed: ${totalArticles} articles processed for ${successCount} feeds (${errorCount} errors)`);
+
+    return {
+      totalFeeds: feeds.length,
+      totalArticles,
+      successCount,
+      errorCount,
+      success: true,
+    };
+  } catch (error) {
+    console.error('Error in feed sync job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  listFeeds,
+  createFeed,
+  deleteFeed,
+  syncAllFeeds,
+};
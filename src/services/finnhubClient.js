@@ -0,0 +1,350 @@
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const config = require('../config');
+const TokenBucket = require('../helpers/tokenBucket');
+const CircuitBreaker = require('../helpers/circuitBreaker');
+const { systemClock } = require('../helpers/clock');
+
+/**
+ * Finnhub Client
+ * Single entry point for Finnhub REST API calls (stock symbols, company and
+ * market news). Every caller in the process shares one token bucket, so cron
+ * jobs, backfills and on-demand requests together stay under the plan's rate
+ * limit. Failed requests are retried with jittered exponential backoff; a 429
+ * pauses the whole bucket until Retry-After has passed; repeated network or
+ * server errors open a circuit breaker so callers fail fast instead of queueing
+ * behind a dead API. Usage counters are kept for monitoring
+ *
+ * State is per client, and the app shares the one client this module exports
+ * (a script run from the command line has its own). Tests create their own
+ * client with createClient to point it at a local server and drive its clock
+ */
+
+const FINNHUB_BASE_URL = 'https://finnhub.io/api/v1';
+
+// Retry backoff: a random delay between 0 and min(MAX, BASE * 2^attempt) ("full jitter")
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Wait after a 429 that says neither Retry-After nor X-Ratelimit-Reset
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+// A 429 asking us to wait longer than this fails the call instead of holding it
+const MAX_RATE_LIMIT_WAIT_MS = 2 * 60 * 1000;
+
+// Longest response body quoted in error messages
+const MAX_ERROR_BODY_LENGTH = 200;
+
+/**
+ * Work out how long a 429 asks us to wait
+ * @param {Object} headers - Response headers
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {number} - Milliseconds
+ */
+const getRateLimitWait = (headers, now) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds * 1000, 0);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - now, 0);
+    }
+  }
+
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  if (reset) {
+    return Math.max(reset * 1000 - now, 0);
+  }
+
+  return DEFAULT_RATE_LIMIT_WAIT_MS;
+};
+
+/**
+ * Get the delay before a retry
+ * @param {number} attempt - Attempt that just failed (0 for the first)
+ * @param {Function} random - Source of jitter (0 <= x < 1)
+ * @returns {number} - Milliseconds
+ */
+const getBackoffDelay = (attempt, random) => {
+  return Math.round(random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt));
+};
+
+/**
+ * Create a Finnhub client with its own rate limiter, circuit breaker and usage counters
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - API base URL (defaults to Finnhub's)
+ * @param {Object} [options.clock] - Time source and timers for rate limiting, backoff and the circuit breaker
+ * @param {Function} [options.random] - Source of backoff jitter (0 <= x < 1)
+ * @returns {Object} - { get, getUsage }
+ */
+const createClient = ({ baseUrl = FINNHUB_BASE_URL, clock = systemClock, random = Math.random } = {}) => {
+  const bucket = new TokenBucket(config.finnhubBurst, config.finnhubRequestsPerMinute, clock);
+
+  const breaker = new CircuitBreaker({
+    failureThreshold: config.finnhubCircuitFailureThreshold,
+    cooldownMs: config.finnhubCircuitCooldownSeconds * 1000,
+    clock,
+  });
+
+  const usage = {
+    startedAt: new Date(clock.now()),
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    retries: 0,
+    rateLimited: 0,
+    timeouts: 0,
+    circuitRejections: 0,
+    lastError: null,
+    lastErrorAt: null,
+    quota: null,
+  };
+
+  // path -> { requests, failures }
+  const pathUsage = new Map();
+
+  // Send times of the requests made in the last minute
+  const recentRequests = [];
+
+  /**
+   * Drop request times older than a minute
+   */
+  const pruneRecentRequests = () => {
+    const cutoff = clock.now() - 60 * 1000;
+    while (recentRequests.length > 0 && recentRequests[0] < cutoff) {
+      recentRequests.shift();
+    }
+  };
+
+  /**
+   * Get (or start) the counters for an API path
+   * @param {string} path - API path
+   * @returns {Object} - { requests, failures }
+   */
+  const getPathUsage = (path) => {
+    if (!pathUsage.has(path)) {
+      pathUsage.set(path, { requests: 0, failures: 0 });
+    }
+    return pathUsage.get(path);
+  };
+
+  /**
+   * Count a call that failed for good
+   * @param {string} path - API path
+   * @param {Error} error - Error the caller will receive
+   * @returns {Error} - The same error, for throwing
+   */
+  const recordFailure = (path, error) => {
+    usage.failures++;
+    getPathUsage(path).failures++;
+    usage.lastError = error.message;
+    usage.lastErrorAt = new Date(clock.now());
+    return error;
+  };
+
+  /**
+   * Remember the quota Finnhub reported in its rate limit headers
+   * @param {Object} headers - Response headers
+   */
+  const recordQuota = (headers) => {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    usage.quota = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10) || null,
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      resetAt: reset ? new Date(reset * 1000) : null,
+      observedAt: new Date(clock.now()),
+    };
+  };
+
+  /**
+   * Send one GET request to the Finnhub API
+   * Resolves with any response Finnhub sends; rejects on network errors and timeouts
+   * @param {string} path - API path (e.g., '/company-news')
+   * @param {Object} params - Query parameters
+   * @param {number} timeoutMs - Deadline for the whole response
+   * @returns {Promise<Object>} - { statusCode, headers, data }
+   */
+  const sendRequest = (path, params, timeoutMs) => {
+    return new Promise((resolve, reject) => {
+      const apiUrl = new URL(`${baseUrl}${path}`);
+      Object.entries(params).forEach(([key, value]) => {
+        apiUrl.searchParams.append(key, value);
+      });
+      apiUrl.searchParams.append('token', config.finnhubApiKey);
+
+      const client = apiUrl.protocol === 'https:' ? https : http;
+      const request = client.get(apiUrl, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('error', (error) => {
+          reject(new Error(`Error fetching from Finnhub API: ${error.message}`));
+        });
+        res.on('end', () => {
+          resolve({ statusCode: res.statusCode, headers: res.headers, data });
+        });
+      });
+
+      // The deadline covers the whole download, not just idle time
+      const deadlineTimer = setTimeout(() => {
+        usage.timeouts++;
+        request.destroy(new Error(`Finnhub request timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      request.on('close', () => clearTimeout(deadlineTimer));
+
+      request.on('error', (error) => {
+        reject(new Error(`Error fetching from Finnhub API: ${error.message}`));
+      });
+    });
+  };
+
+  /**
+   * Call a Finnhub API endpoint
+   * Waits for a token from the shared bucket before every attempt. Network errors,
+   * timeouts and 5xx responses are retried with jittered backoff; a 429 pauses every
+   * caller until Finnhub's Retry-After has passed and is then retried; other
+   * responses fail straight away
+   * @param {string} path - API path (e.g., '/company-news')
+   * @param {Object} params - Query parameters (the API key is added here)
+   * @param {Object} options - Request options
+   * @param {number} [options.timeoutMs] - Deadline per attempt (defaults to FINNHUB_TIMEOUT_MS)
+   * @returns {Promise<any>} - Parsed JSON response
+   */
+  const get = async (path, params = {}, options = {}) => {
+    if (!config.finnhubApiKey) {
+      throw new Error('Finnhub API key is not configured');
+    }
+
+    const timeoutMs = options.timeoutMs || config.finnhubTimeoutMs;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.allowRequest()) {
+        usage.circuitRejections++;
+        throw recordFailure(path, new Error('Finnhub circuit is open'));
+      }
+
+      await bucket.take();
+
+      usage.requests++;
+      getPathUsage(path).requests++;
+      recentRequests.push(clock.now());
+      pruneRecentRequests();
+
+      let response = null;
+      let error;
+      let retryDelay = getBackoffDelay(attempt, random);
+
+      try {
+        response = await sendRequest(path, params, timeoutMs);
+      } catch (requestError) {
+        breaker.recordFailure();
+        error = requestError;
+      }
+
+      if (response) {
+        recordQuota(response.headers);
+
+        // Any answer short of a server error means Finnhub is up
+        if (response.statusCode >= 500) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
+        }
+
+        if (response.statusCode === 200) {
+          let data;
+          try {
+            data = JSON.parse(response.data);
+          } catch (parseError) {
+            throw recordFailure(path, new Error(`Error parsing Finnhub API response: ${parseError.message}`));
+          }
+          usage.successes++;
+          return data;
+        }
+
+        error = new Error(`Finnhub API returned status ${response.statusCode}: ${response.data.slice(0, MAX_ERROR_BODY_LENGTH)}`);
+
+        if (response.statusCode === 429) {
+          usage.rateLimited++;
+          const wait = getRateLimitWait(response.headers, clock.now());
+          bucket.pause(wait);
+          if (wait > MAX_RATE_LIMIT_WAIT_MS) {
+            throw recordFailure(path, error);
+          }
+          // The paused bucket holds the retry until the wait is over
+          retryDelay = 0;
+        } else if (response.statusCode < 500) {
+          throw recordFailure(path, error);
+        }
+      }
+
+      if (attempt >= config.finnhubMaxRetries) {
+        throw recordFailure(path, error);
+      }
+
+      usage.retries++;
+      console.warn(`Finnhub ${path} failed (${error.message}), retry ${attempt + 1}/${config.finnhubMaxRetries} in ${retryDelay}ms`);
+      if (retryDelay > 0) {
+        await new Promise(resolve => clock.setTimeout(resolve, retryDelay));
+      }
+    }
+  };
+
+  /**
+   * Report request counters, limiter and circuit state for monitoring
+   * @returns {Object} - Usage since the process started
+   */
+  const getUsage = () => {
+    pruneRecentRequests();
+
+    return {
+      startedAt: usage.startedAt,
+      apiKeyConfigured: Boolean(config.finnhubApiKey),
+      limits: {
+        requestsPerMinute: config.finnhubRequestsPerMinute,
+        burst: config.finnhubBurst,
+        timeoutMs: config.finnhubTimeoutMs,
+        maxRetries: config.finnhubMaxRetries,
+      },
+      requestsLastMinute: recentRequests.length,
+      totals: {
+        requests: usage.requests,
+        successes: usage.successes,
+        failures: usage.failures,
+        retries: usage.retries,
+        rateLimited: usage.rateLimited,
+        timeouts: usage.timeouts,
+        circuitRejections: usage.circuitRejections,
+      },
+      byPath: Object.fromEntries(pathUsage),
+      quota: usage.quota,
+      limiter: bucket.getState(),
+      circuit: breaker.getState(),
+      lastError: usage.lastError,
+      lastErrorAt: usage.lastErrorAt,
+    };
+  };
+
+  return {
+    get,
+    getUsage,
+  };
+};
+
+const defaultClient = createClient();
+
+module.exports = {
+  get: defaultClient.get,
+  getUsage: defaultClient.getUsage,
+  createClient,
+};
@@ -0,0 +1,257 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { RE2JS } = require('re2js');
+const { getDomain } = require('../helpers/urlHelper');
+
+const prisma = new PrismaClient();
+
+/**
+ * Mute Rule Service
+ * Per-user rules that hide news by source, by domain of the article URL,
+ * or by a keyword or regular expression in the headline
+ * Every rule becomes a SQL condition for the feed queries; source, domain and
+ * keyword rules are also Prisma where clauses. Regex rules can't be expressed
+ * in Prisma, so queries without SQL test them on each row with RE2, whose
+ * matching time is linear in the headline length (no catastrophic backtracking)
+ */
+
+const MUTE_RULE_KINDS = ['source', 'domain', 'keyword', 'regex'];
+const MAX_RULES_PER_USER = 100;
+const MAX_REGEX_LENGTH = 200;
+
+// Syntax both RE2 and PostgreSQL read the same way: no flag or named groups, and only
+// these letter escapes (\b and \B are rewritten to PostgreSQL's \y and \Y)
+const UNSUPPORTED_REGEX_SYNTAX = /\(\?(?!:)|\\[^dDwWsSbBntr\W]/;
+
+/**
+ * Validate and normalize a rule value for its kind
+ * @param {string} kind - Rule kind
+ * @param {string} value - Raw value
+ * @returns {string} - Normalized value
+ */
+const normalizeRuleValue = (kind, value) => {
+  const trimmed = (value || '').trim();
+
+  if (kind === 'domain') {
+    const domain = getDomain(trimmed);
+    if (!domain || !domain.includes('.')) {
+      throw new Error('Invalid domain');
+    }
+    return domain;
+  }
+
+  if (kind === 'regex') {
+    if (trimmed.length > MAX_REGEX_LENGTH) {
+      throw new Error('Regular expression is too complex');
+    }
+    try {
+      RE2JS.compile(trimmed, RE2JS.CASE_INSENSITIVE);
+    } catch (error) {
+      throw new Error('Invalid regular expression');
+    }
+    if (UNSUPPORTED_REGEX_SYNTAX.test(trimmed)) {
+      throw new Error('Unsupported regular expression syntax');
+    }
+    return trimmed;
+  }
+
+  // Sources and keywords match case-insensitively
+  return trimmed.toLowerCase();
+};
+
+/**
+ * List a user's mute rules
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Mute rules
+ */
+const listRules = async (userId) => {
+  return await prisma.muteRule.findMany({
+    where: { userId },
+    orderBy: [
+      { kind: 'asc' },
+      { value: 'asc' },
+    ],
+  });
+};
+
+/**
+ * Add a mute rule
+ * @param {string} userId - User ID
+ * @param {Object} data - Rule data
+ * @param {string} data.kind - 'source', 'domain', 'keyword' or 'regex'
+ * @param {string} data.value - Source name, domain, keyword or regular expression
+ * @returns {Promise<Object>} - Created rule
+ */
+const createRule = async (userId, { kind, value }) => {
+  if (!MUTE_RULE_KINDS.includes(kind)) {
+    throw new Error('Invalid rule kind');
+  }
+
+  const normalizedValue = normalizeRuleValue(kind, value);
+
+  const ruleCount = await prisma.muteRule.count({
+    where: { userId },
+  });
+
+  if (ruleCount >= MAX_RULES_PER_USER) {
+    throw new Error('Too many mute rules');
+  }
+
+  const existing = await prisma.muteRule.findUnique({
+    where: {
+      userId_kind_value: {
+        userId,
+        kind,
+        value: normalizedValue,
+      },
+    },
+  });
+
+  if (existing) {
+    throw new Error('Mute rule already exists');
+  }
+
+  return await prisma.muteRule.create({
+    data: {
+      userId,
+      kind,
+      value: normalizedValue,
+    },
+  });
+};
+
+/**
+ * Delete a mute rule
+ * @param {string} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} - Deleted rule
+ */
+const deleteRule = async (userId, ruleId) => {
+  const rule = await prisma.muteRule.findFirst({
+    where: {
+      id: ruleId,
+      userId,
+    },
+  });
+
+  if (!rule) {
+    throw new Error('Mute rule not found');
+  }
+
+  return await prisma.muteRule.delete({
+    where: { id: ruleId },
+  });
+};
+
+/**
+ * Rewrite a regex rule for PostgreSQL, whose word boundary escapes are \y and \Y
+ * @param {string} pattern - Validated regex rule value
+ * @returns {string} - Pattern for the ~* operator
+ */
+const toPostgresPattern = (pattern) => {
+  return pattern.replace(/\\(.)/g, (escape, char) => {
+    if (char === 'b') return '\\y';
+    if (char === 'B') return '\\Y';
+    return escape;
+  });
+};
+
+/**
+ * Build the news filter for a set of mute rules
+ * @param {Array<Object>} rules - Mute rules ({ kind, value })
+ * @returns {Object} - { where: Prisma news where clause, sql: the same condition for raw queries (news aliased as n), test: row predicate or null, accepts: full in-memory predicate }
+ */
+const buildMuteFilter = (rules) => {
+  const conditions = [];
+  const sqlConditions = [];
+  const patterns = [];
+  const checks = [];
+
+  rules.forEach(({ kind, value }) => {
+    switch (kind) {
+      case 'source':
+        // Articles without a source can't match a source rule
+        conditions.push({
+          OR: [
+            { source: null },
+            { NOT: { source: { equals: value, mode: 'insensitive' } } },
+          ],
+        });
+        sqlConditions.push(Prisma.sql`(n."source" IS NULL OR lower(n."source") <> ${value})`);
+        checks.push(row => !row.source || row.source.toLowerCase() !== value);
+        break;
+      case 'domain':
+        // A domain rule also mutes its subdomains
+        conditions.push({
+          OR: [
+            { domain: null },
+            {
+              AND: [
+                { NOT: { domain: value } },
+                { NOT: { domain: { endsWith: `.${value}` } } },
+              ],
+            },
+          ],
+        });
+        sqlConditions.push(Prisma.sql`(n."domain" IS NULL OR (n."domain" <> ${value} AND right(n."domain", ${value.length + 1}::int) <> ${`.${value}`}))`);
+        checks.push(row => !row.domain || (row.domain !== value && !row.domain.endsWith(`.${value}`)));
+        break;
+      case 'keyword':
+        conditions.push({ NOT: { headline: { contains: value, mode: 'insensitive' } } });
+        sqlConditions.push(Prisma.sql`strpos(lower(n."headline"), ${value}) = 0`);
+        checks.push(row => !(row.headline || '').toLowerCase().includes(value));
+        break;
+      case 'regex':
+        try {
+          patterns.push(RE2JS.compile(value, RE2JS.CASE_INSENSITIVE));
+        } catch (error) {
+          // Only rules validated by normalizeRuleValue are expected; skip anything else
+          break;
+        }
+        sqlConditions.push(Prisma.sql`n."headline" !~* ${toPostgresPattern(value)}`);
+        break;
+      default:
+        break;
+    }
+  });
+
+  const test = patterns.length > 0
+    ? (row) => !patterns.some(pattern => pattern.test(row.headline || ''))
+    : null;
+
+  return {
+    where: conditions.length > 0 ? { AND: conditions } : {},
+    sql: sqlConditions.length > 0 ? Prisma.join(sqlConditions, ' AND ') : Prisma.sql`TRUE`,
+    test,
+    // For articles that never pass through a query (e.g. streamed events)
+    accepts: (row) => checks.every(check => check(row)) && (!test || test(row)),
+  };
+};
+
+/**
+ * Load a user's mute rules as a news filter
+ * @param {string|null} userId - User ID (no filter without one)
+ * @returns {Promise<Object>} - Mute filter (see buildMuteFilter)
+ */
+const getMuteFilter = async (userId) => {
+  if (!userId) {
+    return buildMuteFilter([]);
+  }
+
+  const rules = await prisma.muteRule.findMany({
+    where: { userId },
+    select: {
+      kind: true,
+      value: true,
+    },
+  });
+
+  return buildMuteFilter(rules);
+};
+
+module.exports = {
+  MUTE_RULE_KINDS,
+  listRules,
+  createRule,
+  deleteRule,
+  getMuteFilter,
+};
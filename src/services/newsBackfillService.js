@@ -0,0 +1,145 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const newsService = require('./newsService');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Backfill Service
+ * Fetches historical news for stocks, e.g. when a stock is first watched
+ * Backfills run one at a time in the background; Finnhub requests go through
+ * the same shared client (and rate limit) as the news sync job
+ */
+
+const queue = [];
+const queuedStockIds = new Set();
+let processing = false;
+
+/**
+ * Get the date range covering the last N days (including today, UTC)
+ * @param {number} days - Number of days to cover
+ * @returns {{from: string, to: string}} - Date range as YYYY-MM-DD strings
+ */
+const getLastDaysRange = (days) => {
+  const today = new Date();
+  const start = new Date(today.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  return {
+    from: start.toISOString().split('T')[0],
+    to: today.toISOString().split('T')[0],
+  };
+};
+
+/**
+ * Fetch and save news for a stock over a date range, one day at a time
+ * @param {Object} stock - Stock object with id, symbol and description
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Counts of new, updated and total articles saved
+ */
+const backfillNewsForStock = async (stock, from, to) => {
+  const days = newsService.getDaysInRange(from, to);
+  const totals = { new: 0, updated: 0, total: 0 };
+
+  for (const day of days) {
+    // Old news isn't breaking news: backfills never push
+    const result = await newsService.fetchAndSaveNewsForStock(stock, { from: day, to: day }, { notify: false });
+    totals.new += result.new;
+    totals.updated += result.updated;
+    totals.total += result.total;
+  }
+
+  console.log(`${stock.symbol}: backfilled ${from} to ${to} (${totals.new} new, ${totals.updated} updated)`);
+
+  return totals;
+};
+
+/**
+ * Backfill news for a stock by symbol over a date range
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Counts of new, updated and total articles saved
+ */
+const backfillNewsForSymbol = async (symbol, from, to) => {
+  const stock = await prisma.stock.findUnique({
+    where: { symbol: symbol.toUpperCase().trim() },
+  });
+
+  if (!stock) {
+    throw new Error('Stock not found');
+  }
+
+  return await backfillNewsForStock(stock, from, to);
+};
+
+/**
+ * Process queued backfills sequentially
+ */
+const processQueue = async () => {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      const { stock, from, to } = queue.shift();
+      try {
+        await backfillNewsForStock(stock, from, to);
+      } catch (error) {
+        console.error(`Error backfilling news for stock ${stock.symbol}:`, error.message);
+      } finally {
+        queuedStockIds.delete(stock.id);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queue a background backfill of the last N days for a stock
+ * A stock already waiting in the queue is not queued twice
+ * @param {Object} stock - Stock object with id, symbol and description
+ * @param {number} days - Number of days to backfill
+ * @returns {boolean} - True if the backfill was queued
+ */
+const queueBackfill = (stock, days = config.newsBackfillDays) => {
+  if (queuedStockIds.has(stock.id)) {
+    return false;
+  }
+
+  queuedStockIds.add(stock.id);
+  queue.push({ stock, ...getLastDaysRange(days) });
+
+  processQueue().catch((error) => {
+    console.error('Error processing news backfill queue:', error);
+  });
+
+  return true;
+};
+
+/**
+ * Queue a backfill for a stock only if it has no stored news yet
+ * @param {Object} stock - Stock object with id, symbol and description
+ * @returns {Promise<boolean>} - True if a backfill was queued
+ */
+const queueBackfillIfEmpty = async (stock) => {
+  const storedCount = await prisma.newsStock.count({
+    where: { stockId: stock.id },
+  });
+
+  if (storedCount > 0) {
+    return false;
+  }
+
+  return queueBackfill(stock);
+};
+
+module.exports = {
+  backfillNewsForStock,
+  backfillNewsForSymbol,
+  queueBackfill,
+  queueBackfillIfEmpty,
+};
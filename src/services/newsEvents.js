@@ -0,0 +1,14 @@
+const EventBus = require('../helpers/eventBus');
+
+/**
+ * News Events
+ * The process-wide bus newsService publishes saved articles to:
+ * - news.created - An article was linked to a stock for the first time
+ * - news.updated - A linked article's headline, summary, image or URL changed
+ * Each event's data is { stockId, article } with the article in the feed's public shape
+ */
+
+// Enough history for clients to ride out a reconnect during a busy sync
+const NEWS_EVENT_BUFFER_SIZE = 1000;
+
+module.exports = new EventBus(NEWS_EVENT_BUFFER_SIZE);
@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { normalizeFinnhubArticle } = require('./finnhubProvider');
+
+/**
+ * File News Provider
+ * Reads company news from local JSON fixtures so the pipeline can run offline
+ * Fixtures live at <NEWS_FIXTURES_DIR>/<SYMBOL>.json and contain an array of
+ * articles in Finnhub's company-news response format; market news fixtures live
+ * at <NEWS_FIXTURES_DIR>/market/<category>.json in the same format
+ */
+
+/**
+ * Read a fixture file
+ * @param {string} fixturePath - Path to the fixture
+ * @returns {Promise<Array>} - Items in the fixture (empty when it doesn't exist)
+ */
+const readFixture = async (fixturePath) => {
+  let items;
+  try {
+    items = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // No fixture
+    }
+    throw new Error(`Error reading news fixture ${fixturePath}: ${error.message}`);
+  }
+
+  return Array.isArray(items) ? items : [];
+};
+
+/**
+ * Fetch company news for a symbol from its fixture file
+ * @param {string} symbol - Stock symbol
+ * @param {Object} range - Date range (from, to as YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array>} - Normalized articles published within the range
+ */
+const fetchCompanyNews = async (symbol, { from, to }) => {
+  const items = await readFixture(path.join(config.newsFixturesDir, `${symbol.toUpperCase()}.json`));
+
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T23:59:59.999Z`);
+
+  return items
+    .filter(item => item.url)
+    .map(item => normalizeFinnhubArticle(item, 'file'))
+    .filter(article => article.datetime >= start && article.datetime <= end);
+};
+
+/**
+ * Fetch market news for a category from its fixture file
+ * @param {string} category - Market news category
+ * @returns {Promise<Array>} - Normalized articles
+ */
+const fetchMarketNews = async (category) => {
+  const items = await readFixture(path.join(config.newsFixturesDir, 'market', `${category}.json`));
+
+  return items
+    .filter(item => item.url)
+    .map(item => normalizeFinnhubArticle(item, 'file'));
+};
+
+module.exports = {
+  name: 'file',
+  fetchCompanyNews,
+  fetchMarketNews,
+};
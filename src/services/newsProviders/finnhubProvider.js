@@ -0,0 +1,68 @@
+const finnhubClient = require('../finnhubClient');
+
+/**
+ * Finnhub News Provider
+ * Fetches company and market news from the Finnhub REST API
+ * Requests go through the shared Finnhub client (rate limit, retries, circuit breaker)
+ */
+
+/**
+ * Convert a Finnhub news item to the normalized article shape
+ * @param {Object} item - News item as returned by Finnhub
+ * @param {string} provider - Provider name to record on the article
+ * @returns {Object} - Normalized article
+ */
+const normalizeFinnhubArticle = (item, provider = 'finnhub') => ({
+  provider,
+  externalId: String(item.id ?? item.url),
+  category: item.category || null,
+  headline: item.headline || '',
+  summary: item.summary || null,
+  url: item.url,
+  image: item.image || null,
+  source: item.source || null,
+  // Convert Unix timestamp (seconds) to JavaScript Date
+  datetime: item.datetime ? new Date(item.datetime * 1000) : new Date(),
+});
+
+/**
+ * Fetch company news for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {Object} range - Date range (from, to as YYYY-MM-DD)
+ * @returns {Promise<Array>} - Normalized articles
+ */
+const fetchCompanyNews = async (symbol, { from, to }) => {
+  const newsData = await finnhubClient.get('/company-news', { symbol: symbol.toUpperCase(), from, to });
+
+  if (!newsData || !Array.isArray(newsData)) {
+    return [];
+  }
+
+  return newsData
+    .filter(item => item.url)
+    .map(item => normalizeFinnhubArticle(item));
+};
+
+/**
+ * Fetch the latest market news for a category
+ * @param {string} category - 'general', 'forex', 'crypto' or 'merger'
+ * @returns {Promise<Array>} - Normalized articles
+ */
+const fetchMarketNews = async (category) => {
+  const newsData = await finnhubClient.get('/news', { category });
+
+  if (!newsData || !Array.isArray(newsData)) {
+    return [];
+  }
+
+  return newsData
+    .filter(item => item.url)
+    .map(item => normalizeFinnhubArticle(item));
+};
+
+module.exports = {
+  name: 'finnhub',
+  fetchCompanyNews,
+  fetchMarketNews,
+  normalizeFinnhubArticle,
+};
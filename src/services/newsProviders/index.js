@@ -0,0 +1,70 @@
+const config = require('../../config');
+const finnhubProvider = require('./finnhubProvider');
+const fileProvider = require('./fileProvider');
+
+/**
+ * News Provider Registry
+ * Keeps track of the available news sources; the sync pipeline only talks to
+ * providers through this interface
+ *
+ * A provider is an object with:
+ * - name {string} - Unique provider name (stored on each article)
+ * - fetchCompanyNews(symbol, { from, to }) {Promise<Array>} - Normalized articles
+ * - fetchMarketNews(category) {Promise<Array>} - Optional; latest normalized market articles
+ *
+ * A normalized article has: provider, externalId, category, headline, summary,
+ * url, image, source and datetime (Date)
+ */
+
+const providers = new Map();
+
+/**
+ * Register a news provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.fetchCompanyNews !== 'function') {
+    throw new Error('Invalid news provider');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown news provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Get the providers enabled by configuration (NEWS_PROVIDERS)
+ * @returns {Array<Object>} - Enabled providers
+ */
+const getActiveProviders = () => {
+  return config.newsProviders.map(getProvider);
+};
+
+/**
+ * Get the enabled providers that offer market news
+ * @returns {Array<Object>} - Enabled providers implementing fetchMarketNews
+ */
+const getActiveMarketProviders = () => {
+  return getActiveProviders().filter(provider => typeof provider.fetchMarketNews === 'function');
+};
+
+// Built-in providers
+registerProvider(finnhubProvider);
+registerProvider(fileProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getActiveProviders,
+  getActiveMarketProviders,
+};
@@ -0,0 +1,163 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const muteRuleService = require('./muteRuleService');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Read Service
+ * Tracks which articles each user has read
+ * An article is read when a news_reads row exists for the user; unread otherwise
+ */
+
+/**
+ * Mark articles as read
+ * @param {string} userId - User ID
+ * @param {Array<string>} newsIds - News IDs
+ * @returns {Promise<Object>} - Number of articles newly marked as read
+ */
+const markRead = async (userId, newsIds) => {
+  // Ignore IDs of articles that don't exist (e.g., removed since the client loaded them)
+  const existing = await prisma.news.findMany({
+    where: { id: { in: newsIds } },
+    select: { id: true },
+  });
+
+  const result = await prisma.newsRead.createMany({
+    data: existing.map(news => ({ userId, newsId: news.id })),
+    skipDuplicates: true,
+  });
+
+  return { marked: result.count };
+};
+
+/**
+ * Mark articles as unread
+ * @param {string} userId - User ID
+ * @param {Array<string>} newsIds - News IDs
+ * @returns {Promise<Object>} - Number of articles marked as unread
+ */
+const markUnread = async (userId, newsIds) => {
+  const result = await prisma.newsRead.deleteMany({
+    where: {
+      userId,
+      newsId: { in: newsIds },
+    },
+  });
+
+  return { marked: result.count };
+};
+
+/**
+ * Mark every watchlist article published up to a timestamp as read ("mark all as read")
+ * @param {string} userId - User ID
+ * @param {Object} options - Scope of the operation
+ * @param {Date} [options.before] - Mark articles published at or before this time (defaults to now)
+ * @param {string} [options.stockId] - Only articles for this watched stock
+ * @returns {Promise<Object>} - Number of articles newly marked as read
+ */
+const markAllRead = async (userId, { before = new Date(), stockId } = {}) => {
+  if (stockId) {
+    const watchlistItem = await prisma.userStock.findUnique({
+      where: {
+        userId_stockId: {
+          userId,
+          stockId,
+        },
+      },
+    });
+
+    if (!watchlistItem) {
+      throw new Error('Stock not in watchlist');
+    }
+  }
+
+  const stockFilter = stockId
+    ? Prisma.sql`ns."stockId" = ${stockId}`
+    : Prisma.sql`ns."stockId" IN (SELECT us."stockId" FROM "user_stocks" us WHERE us."userId" = ${userId})`;
+
+  // Done in one statement so large backlogs don't round-trip every article ID
+  const count = await prisma.$executeRaw`
+    INSERT INTO "news_reads" ("id", "userId", "newsId", "readAt")
+    SELECT gen_random_uuid()::text, ${userId}, n."id", CURRENT_TIMESTAMP
+    FROM "news" n
+    WHERE n."datetime" <= ${before}
+      AND EXISTS (SELECT 1 FROM "news_stocks" ns WHERE ns."newsId" = n."id" AND ${stockFilter})
+    ON CONFLICT ("userId", "newsId") DO NOTHING
+  `;
+
+  return { marked: count };
+};
+
+/**
+ * Add isRead to each article for a user
+ * @param {string} userId - User ID
+ * @param {Array<Object>} articles - Articles (with id)
+ * @returns {Promise<Array<Object>>} - Articles with isRead
+ */
+const attachReadState = async (userId, articles) => {
+  if (articles.length === 0) {
+    return articles;
+  }
+
+  const reads = await prisma.newsRead.findMany({
+    where: {
+      userId,
+      newsId: { in: articles.map(article => article.id) },
+    },
+    select: { newsId: true },
+  });
+  const readIds = new Set(reads.map(read => read.newsId));
+
+  return articles.map(article => ({
+    ...article,
+    isRead: readIds.has(article.id),
+  }));
+};
+
+/**
+ * Count unread articles per stock for a user
+ * Near-duplicates and muted articles are not counted, matching what the news feeds show
+ * (regex mutes have no Prisma form, so articles muted only by a regex are still counted here)
+ * @param {string} userId - User ID
+ * @param {Array<string>} stockIds - Stock IDs
+ * @returns {Promise<Map<string, number>>} - Unread counts keyed by stock ID
+ */
+const getUnreadCounts = async (userId, stockIds) => {
+  const counts = new Map(stockIds.map(id => [id, 0]));
+  if (stockIds.length === 0) {
+    return counts;
+  }
+
+  const muteFilter = await muteRuleService.getMuteFilter(userId);
+
+  const groups = await prisma.newsStock.groupBy({
+    by: ['stockId'],
+    where: {
+      stockId: { in: stockIds },
+      news: {
+        isDuplicate: false,
+        reads: {
+          none: { userId },
+        },
+        ...muteFilter.where,
+      },
+    },
+    _count: {
+      _all: true,
+    },
+  });
+
+  groups.forEach(group => {
+    counts.set(group.stockId, group._count._all);
+  });
+
+  return counts;
+};
+
+module.exports = {
+  markRead,
+  markUnread,
+  markAllRead,
+  attachReadState,
+  getUnreadCounts,
+};
@@ -0,0 +1,244 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const config = require('../config');
+const { buildCursorWhere } = require('../helpers/cursorHelper');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Retention Service
+ * Deletes articles older than the configured max age for their category,
+ * optionally archiving the deleted rows to gzipped NDJSON files
+ * Bookmarked articles, articles with unacknowledged keyword alerts and cluster
+ * representatives whose duplicates are kept are spared
+ */
+
+// Articles examined (and deleted) per batch
+const RETENTION_BATCH_SIZE = 500;
+
+// Articles nobody holds on to: not bookmarked and not waiting in an alert inbox
+const UNREFERENCED_WHERE = {
+  bookmarks: { none: {} },
+  alertMatches: { none: { acknowledgedAt: null } },
+};
+
+/**
+ * Build the where clause for articles past their category's max age
+ * @param {Date} now - Reference time
+ * @returns {Object} - Prisma where clause
+ */
+const buildExpiredWhere = (now) => {
+  const cutoff = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const categoryDays = config.newsRetentionCategoryDays;
+  const categories = Object.keys(categoryDays);
+
+  return {
+    OR: [
+      ...categories.map(category => ({
+        category,
+        datetime: { lt: cutoff(categoryDays[category]) },
+      })),
+      // Every other category (and articles without one) uses the default max age
+      {
+        OR: [
+          { category: null },
+          { category: { notIn: categories } },
+        ],
+        datetime: { lt: cutoff(config.newsRetentionDays) },
+      },
+    ],
+  };
+};
+
+/**
+ * Open a gzipped NDJSON archive file for writing
+ * @param {Date} now - Reference time (used in the file name)
+ * @returns {Object} - { file, gzip, done } where done resolves once the file is flushed
+ */
+const openArchive = (now) => {
+  fs.mkdirSync(config.newsArchiveDir, { recursive: true });
+
+  const file = path.join(config.newsArchiveDir, `news-${now.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(file);
+  gzip.pipe(output);
+
+  const done = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    gzip.on('error', reject);
+  });
+
+  return { file, gzip, done };
+};
+
+/**
+ * Write articles to an open archive, waiting for the stream to drain
+ * @param {Object} archive - Archive from openArchive
+ * @param {Array<Object>} rows - News rows (with stock links)
+ */
+const writeToArchive = async (archive, rows) => {
+  for (const { stocks, minhash, minhashBands, ...article } of rows) {
+    const line = JSON.stringify({
+      ...article,
+      stocks: stocks.map(link => ({ symbol: link.stock.symbol, relevance: link.relevance })),
+    });
+
+    if (!archive.gzip.write(`${line}\n`)) {
+      await once(archive.gzip, 'drain');
+    }
+  }
+};
+
+/**
+ * Delete the given articles that are still unreferenced at delete time
+ * @param {Array<string>} ids - News IDs
+ * @returns {Promise<Set<string>>} - IDs of the articles actually deleted
+ */
+const deleteUnreferenced = async (ids) => {
+  const deleted = await prisma.$queryRaw`
+    DELETE FROM "news" n
+    WHERE n."id" IN (${Prisma.join(ids)})
+      AND NOT EXISTS (SELECT 1 FROM "bookmarks" b WHERE b."newsId" = n."id")
+      AND NOT EXISTS (SELECT 1 FROM "alert_matches" am WHERE am."newsId" = n."id" AND am."acknowledgedAt" IS NULL)
+    RETURNING n."id"
+  `;
+
+  return new Set(deleted.map(row => row.id));
+};
+
+/**
+ * Delete (and optionally archive) expired news
+ * @param {Object} options - Retention options
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @param {boolean} [options.archive] - Archive pruned rows (defaults to on when NEWS_ARCHIVE_DIR is set)
+ * @returns {Promise<Object>} - Stats on the removed and spared articles
+ */
+const pruneExpiredNews = async ({ dryRun = false, archive = Boolean(config.newsArchiveDir) } = {}) => {
+  const now = new Date();
+  const expiredWhere = buildExpiredWhere(now);
+
+  console.log(`Starting news retention${dryRun ? ' (dry run)' : ''}...`);
+
+  const stats = {
+    dryRun,
+    deleted: 0,
+    byCategory: {},
+    sparedBookmarked: await prisma.news.count({
+      where: {
+        ...expiredWhere,
+        bookmarks: { some: {} },
+      },
+    }),
+    sparedAlerted: await prisma.news.count({
+      where: {
+        ...expiredWhere,
+        bookmarks: { none: {} },
+        alertMatches: { some: { acknowledgedAt: null } },
+      },
+    }),
+    sparedClusters: 0,
+    oldest: null,
+    newest: null,
+    archiveFile: null,
+  };
+
+  const archiveFile = archive && !dryRun ? openArchive(now) : null;
+  let position = null;
+
+  try {
+    while (true) {
+      const conditions = [expiredWhere, UNREFERENCED_WHERE];
+      if (position) {
+        conditions.push(buildCursorWhere(position, 'after'));
+      }
+
+      const rows = await prisma.news.findMany({
+        where: { AND: conditions },
+        include: {
+          stocks: {
+            include: {
+              stock: {
+                select: { symbol: true },
+              },
+            },
+          },
+        },
+        orderBy: [
+          { datetime: 'asc' },
+          { id: 'asc' },
+        ],
+        take: RETENTION_BATCH_SIZE,
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const last = rows[rows.length - 1];
+      position = { datetime: last.datetime, id: last.id };
+
+      // Keep a story's representative while any of its duplicates outside this batch remain
+      const batchIds = new Set(rows.map(row => row.id));
+      const keptDuplicates = await prisma.news.findMany({
+        where: {
+          clusterId: { in: rows.filter(row => !row.isDuplicate).map(row => row.id) },
+          isDuplicate: true,
+          id: { notIn: [...batchIds] },
+        },
+        select: { clusterId: true },
+      });
+      const keptClusters = new Set(keptDuplicates.map(duplicate => duplicate.clusterId));
+      const expired = rows.filter(row => !keptClusters.has(row.id));
+      stats.sparedClusters += rows.length - expired.length;
+
+      // Delete first and only archive and count what was removed: a bookmark or
+      // alert added since the scan keeps its article
+      const removedIds = expired.length > 0 && !dryRun
+        ? await deleteUnreferenced(expired.map(row => row.id))
+        : new Set(expired.map(row => row.id));
+      const removed = expired.filter(row => removedIds.has(row.id));
+
+      if (removed.length > 0) {
+        if (archiveFile) {
+          await writeToArchive(archiveFile, removed);
+        }
+
+        stats.deleted += removed.length;
+        removed.forEach(row => {
+          const category = row.category || 'none';
+          stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+        });
+        stats.oldest = stats.oldest || removed[0].datetime;
+        stats.newest = removed[removed.length - 1].datetime;
+      }
+
+      if (rows.length < RETENTION_BATCH_SIZE) {
+        break;
+      }
+    }
+  } finally {
+    if (archiveFile) {
+      archiveFile.gzip.end();
+      await archiveFile.done;
+
+      // Don't leave empty archives behind
+      if (stats.deleted === 0) {
+        fs.unlinkSync(archiveFile.file);
+      } else {
+        stats.archiveFile = archiveFile.file;
+      }
+    }
+  }
+
+  console.log(`News retention completed: ${stats.deleted} articles ${dryRun ? 'would be ' : ''}removed (${stats.sparedBookmarked} bookmarked, ${stats.sparedAlerted} with unacknowledged alerts and ${stats.sparedClusters} cluster representatives spared)`);
+
+  return stats;
+};
+
+module.exports = {
+  pruneExpiredNews,
+};
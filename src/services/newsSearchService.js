@@ -0,0 +1,126 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { encodeOffsetCursor, decodeOffsetCursor } = require('../helpers/cursorHelper');
+const newsService = require('./newsService');
+const clusterService = require('./clusterService');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Search Service
+ * Full-text search over stored news using PostgreSQL text search
+ * (the generated "searchVector" column over headline + summary)
+ */
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Highlighted terms are wrapped in <mark> tags; the source text is HTML-escaped first
+const HEADLINE_HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SUMMARY_HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "';
+
+/**
+ * SQL expression that HTML-escapes a text column before highlighting
+ * @param {string} column - Quoted column reference
+ * @returns {Object} - Prisma SQL fragment
+ */
+const escapedText = (column) => {
+  return Prisma.raw(`replace(replace(replace(coalesce(${column}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`);
+};
+
+/**
+ * Search stored news
+ * @param {string} userId - User ID (used for the watchlist filter and primary stock)
+ * @param {Object} params - Search parameters
+ * @param {string} params.q - Search query (web search syntax: quotes, OR, -exclude)
+ * @param {string} [params.stockId] - Only articles linked to this stock
+ * @param {boolean} [params.watchlist] - Only articles linked to the user's watched stocks
+ * @param {string} [params.source] - Only articles from this source (case-insensitive)
+ * @param {Date} [params.from] - Only articles published at or after this time
+ * @param {Date} [params.to] - Only articles published at or before this time
+ * @param {string} [params.expand] - 'duplicates' to include every article of a story cluster
+ * @param {number} [params.limit] - Page size
+ * @param {string} [params.cursor] - Cursor from a previous nextCursor/prevCursor
+ * @returns {Promise<Object>} - Ranked articles with highlights, nextCursor and prevCursor
+ */
+const searchNews = async (userId, params) => {
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offset = params.cursor ? decodeOffsetCursor(params.cursor) : 0;
+
+  const conditions = [Prisma.sql`n."searchVector" @@ query`];
+
+  if (params.expand !== 'duplicates') {
+    conditions.push(Prisma.sql`n."isDuplicate" = false`);
+  }
+  if (params.stockId) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "news_stocks" ns WHERE ns."newsId" = n."id" AND ns."stockId" = ${params.stockId}
+    )`);
+  }
+  if (params.watchlist) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "news_stocks" ns
+      JOIN "user_stocks" us ON us."stockId" = ns."stockId"
+      WHERE ns."newsId" = n."id" AND us."userId" = ${userId}
+    )`);
+  }
+  if (params.source) {
+    conditions.push(Prisma.sql`lower(n."source") = lower(${params.source})`);
+  }
+  if (params.from) {
+    conditions.push(Prisma.sql`n."datetime" >= ${params.from}`);
+  }
+  if (params.to) {
+    conditions.push(Prisma.sql`n."datetime" <= ${params.to}`);
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      n."id",
+      ts_rank_cd(n."searchVector", query) AS "rank",
+      ts_headline('english', ${escapedText('n."headline"')}, query, ${HEADLINE_HIGHLIGHT_OPTIONS}) AS "headlineHighlight",
+      ts_headline('english', ${escapedText('n."summary"')}, query, ${SUMMARY_HIGHLIGHT_OPTIONS}) AS "summaryHighlight"
+    FROM "news" n, websearch_to_tsquery('english', ${params.q}) query
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY "rank" DESC, n."datetime" DESC, n."id" DESC
+    LIMIT ${limit + 1}
+    OFFSET ${offset}
+  `;
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const matchMap = new Map(pageRows.map(row => [row.id, row]));
+
+  let articles = await newsService.getArticlesByIds(pageRows.map(row => row.id));
+  if (params.expand !== 'duplicates') {
+    articles = await clusterService.attachRelatedArticles(articles);
+  }
+
+  // Keep the primary watched stock on each article, as in the watchlist feed
+  const watchlistItems = await prisma.userStock.findMany({
+    where: { userId },
+    select: { stockId: true },
+  });
+  const watchedIds = new Set(watchlistItems.map(item => item.stockId));
+
+  return {
+    query: params.q,
+    articles: articles.map(article => {
+      const match = matchMap.get(article.id);
+      return {
+        ...article,
+        stock: article.stocks.find(stock => watchedIds.has(stock.id)) || null,
+        rank: Number(match.rank),
+        highlights: {
+          headline: match.headlineHighlight,
+          summary: match.summaryHighlight || null,
+        },
+      };
+    }),
+    nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+    prevCursor: offset > 0 ? encodeOffsetCursor(Math.max(offset - limit, 0)) : null,
+  };
+};
+
+module.exports = {
+  searchNews,
+};
@@ -1,79 +1,358 @@
-const { PrismaClient } = require('@prisma/client');
-const https = require('https');
-const { URL } = require('url');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { randomUUID, createHash } = require('crypto');
 const config = require('../config');
+const { encodeCursor, decodeCursor } = require('../helpers/cursorHelper');
+const { scoreArticleSentiment } = require('../helpers/sentimentScorer');
+const newsProviders = require('./newsProviders');
+const clusterService = require('./clusterService');
+const relevanceService = require('./relevanceService');
+const newsReadService = require('./newsReadService');
+const muteRuleService = require('./muteRuleService');
+const notificationService = require('./notificationService');
+const alertMatchService = require('./alertMatchService');
+const newsSyncCursorService = require('./newsSyncCursorService');
+const newsEvents = require('./newsEvents');
+const { getDomain } = require('../helpers/urlHelper');
 
 const prisma = new PrismaClient();
 
+// Pagination bounds for news feed endpoints
+const MAX_PAGE_LIMIT = 100;
+
+// Facet bounds for the watchlist feed
+const MAX_SOURCE_FACETS = 20;
+const FACET_DAYS = 30;
+
+// Finnhub's general market news categories (articles not tied to one company)
+const MARKET_NEWS_CATEGORIES = ['general', 'forex', 'crypto', 'merger'];
+
+// Changes to these fields are published to news stream subscribers
+const STREAMED_FIELDS = ['headline', 'summary', 'url', 'image'];
+
+// Provider fields fingerprinted by contentHash; a re-fetched article is only written when one changes
+const CONTENT_HASH_FIELDS = ['category', 'headline', 'summary', 'url', 'image', 'source', 'datetime'];
+
+// Load linked stocks with every article, strongest match first
+const NEWS_INCLUDE = {
+  stocks: {
+    include: {
+      stock: true,
+    },
+    orderBy: {
+      relevance: 'desc',
+    },
+  },
+};
+
 /**
- * Fetch company news from Finnhub API using REST API
+ * Get date strings for each day in a range (inclusive)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Array<string>} - Dates as YYYY-MM-DD strings, oldest first
  */
-const fetchCompanyNews = (symbol, from, to) => {
-  return new Promise((resolve, reject) => {
-    const apiKey = config.finnhubApiKey;
-    const apiUrl = new URL('https://finnhub.io/api/v1/company-news');
-    apiUrl.searchParams.append('symbol', symbol.toUpperCase());
-    apiUrl.searchParams.append('from', from);
-    apiUrl.searchParams.append('to', to);
-    apiUrl.searchParams.append('token', apiKey);
+const getDaysInRange = (from, to) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
 
-    https.get(apiUrl.toString(), (res) => {
-      let data = '';
+  if (!datePattern.test(from) || !datePattern.test(to) || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    throw new Error('Invalid date range');
+  }
 
-      // A chunk of data has been received
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  const days = [];
+  for (let day = start; day <= end; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    days.push(day.toISOString().split('T')[0]);
+  }
+  return days;
+};
 
-      // The whole response has been received
-      res.on('end', () => {
-        try {
-          if (res.statusCode !== 200) {
-            reject(new Error(`Finnhub API returned status ${res.statusCode}: ${data}`));
-            return;
-          }
+/**
+ * Map a stock row to the public stock shape
+ * @param {Object} stock - Stock from database
+ * @returns {Object} - Stock summary
+ */
+const formatStock = (stock) => ({
+  id: stock.id,
+  symbol: stock.symbol,
+  displaySymbol: stock.displaySymbol,
+  description: stock.description,
+  type: stock.type,
+  exchange: stock.exchange,
+  logo: stock.logo,
+});
 
-          const newsData = JSON.parse(data);
-          resolve(newsData);
-        } catch (error) {
-          reject(new Error(`Error parsing Finnhub API response: ${error.message}`));
-        }
-      });
-    }).on('error', (error) => {
-      reject(new Error(`Error fetching from Finnhub API: ${error.message}`));
-    });
-  });
+/**
+ * Map a news row (loaded with NEWS_INCLUDE) to the public article shape
+ * @param {Object} news - News from database with stock links
+ * @returns {Object} - Article with all matched stocks attached
+ */
+const formatArticle = (news) => {
+  const { stocks: links = [], minhash, minhashBands, ...article } = news;
+  return {
+    ...article,
+    stocks: links.map(link => ({
+      ...formatStock(link.stock),
+      relevance: link.relevance,
+    })),
+  };
 };
 
+/**
+ * Run raw news queries in one transaction under the feed statement timeout
+ * Feed conditions include users' regex mute rules, so a slow match is cancelled
+ * instead of holding a database connection
+ * @param {...Object} queries - Prisma SQL queries
+ * @returns {Promise<Array<Array<Object>>>} - Rows of each query
+ */
+const queryNews = async (...queries) => {
+  const [, ...results] = await prisma.$transaction([
+    prisma.$queryRaw`SELECT set_config('statement_timeout', ${String(config.feedQueryTimeoutMs)}, true)`,
+    ...queries.map(query => prisma.$queryRaw(query)),
+  ]);
+  return results;
+};
 
 /**
- * Get date strings for current day only (for cron job)
+ * Fetch a page of news ordered newest first using opaque cursors
+ * Cursors are keyed on (datetime, id) so pages never overlap or skip rows
+ * @param {Array<Object>} conditions - SQL conditions for the news query (news aliased as n)
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of articles to return
+ * @param {string} [options.before] - Return articles older than this cursor (infinite scroll)
+ * @param {string} [options.after] - Return articles newer than this cursor (pull-to-refresh)
+ * @param {number} defaultLimit - Limit used when none is provided
+ * @returns {Promise<Object>} - Articles with nextCursor and prevCursor
  */
-const getCurrentDayRange = () => {
-  const today = new Date();
-  const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD
-  
+const paginateNews = async (conditions, options = {}, defaultLimit = MAX_PAGE_LIMIT) => {
+  const { before, after } = options;
+
+  if (before && after) {
+    throw new Error('Only one of before or after may be provided');
+  }
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || defaultLimit, 1), MAX_PAGE_LIMIT);
+  const direction = after ? 'after' : 'before';
+  const cursor = before || after;
+
+  const pageConditions = [...conditions];
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    pageConditions.push(direction === 'after'
+      ? Prisma.sql`(n."datetime", n."id") > (${position.datetime}, ${position.id})`
+      : Prisma.sql`(n."datetime", n."id") < (${position.datetime}, ${position.id})`);
+  }
+
+  // Newer pages are read oldest-first so the page adjoins the cursor without gaps
+  const order = direction === 'after' ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+
+  // Fetch one extra row to know whether more exist
+  const [rows] = await queryNews(Prisma.sql`
+    SELECT n."id", n."datetime"
+    FROM "news" n
+    WHERE ${Prisma.join(pageConditions, ' AND ')}
+    ORDER BY n."datetime" ${order}, n."id" ${order}
+    LIMIT ${limit + 1}
+  `);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  if (direction === 'after') {
+    pageRows.reverse();
+  }
+
+  const newest = pageRows[0];
+  const oldest = pageRows[pageRows.length - 1];
+
+  // Older articles always exist past a newer page (at least the cursor row itself)
+  const hasOlder = direction === 'after' ? pageRows.length > 0 : hasMore;
+
+  return {
+    articles: await getArticlesByIds(pageRows.map(row => row.id)),
+    nextCursor: hasOlder ? encodeCursor(oldest) : null,
+    prevCursor: newest ? encodeCursor(newest) : (after || null),
+  };
+};
+
+/**
+ * Build the condition that hides near-duplicate articles
+ * Feeds show one representative per story cluster unless duplicates are expanded
+ * @param {Object} options - Feed options
+ * @param {string} [options.expand] - 'duplicates' to return every article
+ * @returns {Object} - SQL condition (news aliased as n)
+ */
+const duplicateFilter = (options) => {
+  return options.expand === 'duplicates' ? Prisma.sql`TRUE` : Prisma.sql`n."isDuplicate" = false`;
+};
+
+/**
+ * Build the condition for articles linked to any of the given stocks
+ * @param {Array<string>} stockIds - Stock IDs
+ * @returns {Object} - SQL condition (news aliased as n)
+ */
+const linkedToStocks = (stockIds) => {
+  return Prisma.sql`EXISTS (
+    SELECT 1 FROM "news_stocks" ns WHERE ns."newsId" = n."id" AND ns."stockId" IN (${Prisma.join(stockIds)})
+  )`;
+};
+
+/**
+ * Attach related (duplicate) articles to each cluster representative in a page
+ * @param {Object} page - Page from paginateNews
+ * @param {Object} options - Feed options (see duplicateFilter)
+ * @returns {Promise<Object>} - Page with relatedCount/relatedArticles on each article
+ */
+const withRelatedArticles = async (page, options) => {
+  if (options.expand === 'duplicates') {
+    return page;
+  }
+
+  return {
+    ...page,
+    articles: await clusterService.attachRelatedArticles(page.articles),
+  };
+};
+
+/**
+ * Load articles by ID in the given order, formatted like feed articles
+ * @param {Array<string>} ids - News IDs
+ * @returns {Promise<Array<Object>>} - Articles with stocks attached, in the order of ids
+ */
+const getArticlesByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const rows = await prisma.news.findMany({
+    where: { id: { in: ids } },
+    include: NEWS_INCLUDE,
+  });
+
+  const rowMap = new Map(rows.map(row => [row.id, row]));
+  return ids
+    .filter(id => rowMap.has(id))
+    .map(id => formatArticle(rowMap.get(id)));
+};
+
+/**
+ * Add the user's read state (isRead) to each article in a page
+ * @param {Object} page - Page from paginateNews
+ * @param {string} [userId] - User ID (page is returned unchanged without one)
+ * @returns {Promise<Object>} - Page with isRead on each article
+ */
+const withReadState = async (page, userId) => {
+  if (!userId) {
+    return page;
+  }
+
   return {
-    from: dateStr,
-    to: dateStr,
+    ...page,
+    articles: await newsReadService.attachReadState(userId, page.articles),
   };
 };
 
 /**
- * Delay helper for rate limiting
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
+ * Build conditions for the optional feed filters, keyed by facet dimension
+ * @param {Object} options - Feed options
+ * @param {Array<string>} [options.source] - Only these sources (case-insensitive)
+ * @param {Array<string>} [options.category] - Only these categories
+ * @param {Date} [options.from] - Only articles published at or after this time
+ * @param {Date} [options.to] - Only articles published at or before this time
+ * @param {boolean} [options.hasImage] - Only articles with (true) or without (false) an image
+ * @returns {Object} - SQL conditions (news aliased as n) for the filters that were given
  */
-const delay = (ms) => {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const buildFeedFilters = (options) => {
+  const filters = {};
+
+  if (options.source && options.source.length > 0) {
+    filters.source = Prisma.sql`lower(n."source") IN (${Prisma.join(options.source.map(source => source.toLowerCase()))})`;
+  }
+  if (options.category && options.category.length > 0) {
+    filters.category = Prisma.sql`n."category" IN (${Prisma.join(options.category)})`;
+  }
+  if (options.from || options.to) {
+    filters.date = Prisma.join([
+      ...(options.from ? [Prisma.sql`n."datetime" >= ${options.from}`] : []),
+      ...(options.to ? [Prisma.sql`n."datetime" <= ${options.to}`] : []),
+    ], ' AND ');
+  }
+  if (options.hasImage === true) {
+    filters.image = Prisma.sql`n."image" IS NOT NULL AND n."image" <> ''`;
+  } else if (options.hasImage === false) {
+    filters.image = Prisma.sql`(n."image" IS NULL OR n."image" = '')`;
+  }
+
+  return filters;
+};
+
+/**
+ * Count articles per source, per stock and per day for filter chips
+ * Each facet applies every filter except its own, so a chip's count is what selecting it would show
+ * @param {Array<Object>} watchedStocks - Watched stocks ({ id, symbol })
+ * @param {Array<string>} selectedIds - Stock IDs the feed is narrowed to
+ * @param {Array<Object>} baseConditions - SQL conditions that always apply (duplicates, mutes)
+ * @param {Object} filters - Filters from buildFeedFilters
+ * @param {Object} options - Feed options (from, to)
+ * @returns {Promise<Object>} - { sources, stocks, days }
+ */
+const getFeedFacets = async (watchedStocks, selectedIds, baseConditions, filters, options) => {
+  const filtersExcept = (dimension) => Object.entries(filters)
+    .filter(([key]) => key !== dimension)
+    .map(([, condition]) => condition);
+  const allOf = (conditions) => Prisma.join(conditions, ' AND ');
+
+  // Days are counted over at most FACET_DAYS days, ending at the "to" filter (or now)
+  const dayEnd = options.to || new Date();
+  const windowStart = new Date(dayEnd.getTime() - FACET_DAYS * 24 * 60 * 60 * 1000);
+  const dayStart = options.from && options.from > windowStart ? options.from : windowStart;
+
+  const [sourceGroups, stockGroups, dayGroups] = await queryNews(
+    Prisma.sql`
+      SELECT n."source", COUNT(*) AS "count"
+      FROM "news" n
+      WHERE n."source" IS NOT NULL AND ${allOf([linkedToStocks(selectedIds), ...baseConditions, ...filtersExcept('source')])}
+      GROUP BY n."source"
+      ORDER BY "count" DESC
+      LIMIT ${MAX_SOURCE_FACETS}
+    `,
+    Prisma.sql`
+      SELECT ns."stockId", COUNT(*) AS "count"
+      FROM "news_stocks" ns
+      JOIN "news" n ON n."id" = ns."newsId"
+      WHERE ns."stockId" IN (${Prisma.join(watchedStocks.map(stock => stock.id))})
+        AND ${allOf([...baseConditions, ...Object.values(filters)])}
+      GROUP BY ns."stockId"
+    `,
+    // UTC days
+    Prisma.sql`
+      SELECT to_char(date_trunc('day', n."datetime"), 'YYYY-MM-DD') AS "date", COUNT(*) AS "count"
+      FROM "news" n
+      WHERE n."datetime" >= ${dayStart} AND n."datetime" <= ${dayEnd}
+        AND ${allOf([linkedToStocks(selectedIds), ...baseConditions, ...filtersExcept('date')])}
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `
+  );
+
+  const symbols = new Map(watchedStocks.map(stock => [stock.id, stock.symbol]));
+
+  return {
+    sources: sourceGroups.map(group => ({ source: group.source, count: Number(group.count) })),
+    stocks: stockGroups
+      .map(group => ({ stockId: group.stockId, symbol: symbols.get(group.stockId), count: Number(group.count) }))
+      .sort((a, b) => b.count - a.count),
+    days: dayGroups.map(group => ({ date: group.date, count: Number(group.count) })),
+  };
 };
 
 /**
  * Get news for a stock from database (no API calls)
  * @param {string} stockId - Stock ID (UUID)
- * @returns {Promise<Array>} - Array of news articles from database
+ * @param {Object} options - Pagination options (limit, before, after), expand and filters (see buildFeedFilters)
+ * @param {string} [userId] - User ID to include read state and apply mute rules for
+ * @returns {Promise<Object>} - Page of news articles with nextCursor and prevCursor
  */
-const getNewsForStock = async (stockId) => {
+const getNewsForStock = async (stockId, options = {}, userId = null) => {
   // Verify stock exists
   const stock = await prisma.stock.findUnique({
     where: { id: stockId },
@@ -83,231 +362,598 @@ const getNewsForStock = async (stockId) => {
     throw new Error('Stock not found');
   }
   
+  // Apply the user's mute rules in the query so muted articles don't shrink the page
+  const muteFilter = await muteRuleService.getMuteFilter(userId);
+
   // Return news for this stock from database
-  return await prisma.news.findMany({
-    where: {
-      stockId: stock.id,
-    },
-    orderBy: {
-      datetime: 'desc',
-    },
-    take: 10, // Limit to 10 most recent articles
-  });
+  const page = await paginateNews(
+    [
+      linkedToStocks([stock.id]),
+      duplicateFilter(options),
+      muteFilter.sql,
+      ...Object.values(buildFeedFilters(options)),
+    ],
+    options,
+    10 // Default to the 10 most recent articles
+  );
+
+  return await withReadState(await withRelatedArticles(page, options), userId);
 };
 
 /**
  * Get news for all stocks in a user's watchlist from database (no API calls)
  * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of news articles with stock information, sorted by datetime (newest first)
+ * @param {Object} options - Pagination options (limit, before, after), expand and filters (see buildFeedFilters)
+ * @param {Array<string>} [options.stockIds] - Only news for these watched stocks
+ * @param {boolean} [options.facets] - Include facet counts (see getFeedFacets)
+ * @returns {Promise<Object>} - Page of news articles with stock information and read state (newest first), nextCursor, prevCursor and facets
  */
-const getNewsForUserStocks = async (userId) => {
+const getNewsForUserStocks = async (userId, options = {}) => {
   // Get user's watchlist stocks
   const watchlistItems = await prisma.userStock.findMany({
     where: { userId },
-    include: {
-      stock: true,
+    select: {
+      stockId: true,
+      stock: {
+        select: {
+          symbol: true,
+        },
+      },
     },
   });
 
-  if (watchlistItems.length === 0) {
-    return [];
+  // Narrow to the requested stocks (ignoring any that aren't watched)
+  const stockIds = watchlistItems.map(item => item.stockId);
+  const selectedIds = options.stockIds
+    ? stockIds.filter(id => options.stockIds.includes(id))
+    : stockIds;
+
+  if (selectedIds.length === 0) {
+    return {
+      articles: [],
+      nextCursor: null,
+      prevCursor: null,
+      ...(options.facets && { facets: { sources: [], stocks: [], days: [] } }),
+    };
   }
 
-  // Get all stock IDs from watchlist
-  const stockIds = watchlistItems.map(item => item.stockId);
+  const muteFilter = await muteRuleService.getMuteFilter(userId);
+  const baseConditions = [duplicateFilter(options), muteFilter.sql];
+  const filters = buildFeedFilters(options);
+
+  // Fetch a page of news linked to any of these stocks (each article appears once)
+  const page = await withReadState(await withRelatedArticles(await paginateNews(
+    [
+      linkedToStocks(selectedIds),
+      ...baseConditions,
+      ...Object.values(filters),
+    ],
+    options,
+    MAX_PAGE_LIMIT
+  ), options), userId);
+
+  // Keep the primary watched stock on each article for clients that expect a single stock
+  const watchedIds = new Set(selectedIds);
+  const newsWithStock = page.articles.map(article => ({
+    ...article,
+    stock: article.stocks.find(stock => watchedIds.has(stock.id)) || null,
+  }));
+
+  const result = {
+    ...page,
+    articles: newsWithStock,
+  };
 
-  // Fetch all news for these stocks from database
-  const allNews = await prisma.news.findMany({
+  if (options.facets) {
+    const watchedStocks = watchlistItems.map(item => ({ id: item.stockId, symbol: item.stock.symbol }));
+    result.facets = await getFeedFacets(watchedStocks, selectedIds, baseConditions, filters, options);
+  }
+
+  return result;
+};
+
+/**
+ * Get general market news from database (no API calls)
+ * @param {Object} options - Pagination options (limit, before, after) and expand
+ * @param {string} [options.category] - Only this market category (all categories when omitted)
+ * @param {string} [userId] - User ID to include read state and apply mute rules for
+ * @returns {Promise<Object>} - Page of market news articles with nextCursor and prevCursor
+ */
+const getMarketNews = async (options = {}, userId = null) => {
+  if (options.category && !MARKET_NEWS_CATEGORIES.includes(options.category)) {
+    throw new Error('Invalid market news category');
+  }
+
+  const muteFilter = await muteRuleService.getMuteFilter(userId);
+
+  const page = await paginateNews(
+    [
+      Prisma.sql`n."marketCategory" IN (${Prisma.join(options.category ? [options.category] : MARKET_NEWS_CATEGORIES)})`,
+      duplicateFilter(options),
+      muteFilter.sql,
+    ],
+    options,
+    20 // Default to the 20 most recent articles
+  );
+
+  return await withReadState(await withRelatedArticles(page, options), userId);
+};
+
+/**
+ * Link a stored article to a stock, updating the relevance if already linked
+ * @param {string} newsId - News ID
+ * @param {string} stockId - Stock ID
+ * @param {number} relevance - Relevance score for the link
+ * @returns {Promise<boolean>} - True if the link is new
+ */
+const linkArticleToStock = async (newsId, stockId, relevance) => {
+  const existingLink = await prisma.newsStock.findUnique({
     where: {
-      stockId: {
-        in: stockIds,
+      newsId_stockId: {
+        newsId,
+        stockId,
       },
     },
-    orderBy: {
-      datetime: 'desc',
+  });
+  
+  if (existingLink) {
+    if (existingLink.relevance !== relevance) {
+      await prisma.newsStock.update({
+        where: { id: existingLink.id },
+        data: { relevance },
+      });
+    }
+    return false;
+  }
+  
+  await prisma.newsStock.create({
+    data: {
+      newsId,
+      stockId,
+      relevance,
     },
-    take: 100, // Limit total results
   });
+  return true;
+};
+
+/**
+ * Fingerprint the provider content of an article
+ * @param {Object} article - Normalized article from a news provider
+ * @returns {string} - Hex SHA-256 digest
+ */
+const computeContentHash = (article) => {
+  const values = CONTENT_HASH_FIELDS.map(field => (field === 'datetime'
+    ? new Date(article.datetime).toISOString()
+    : article[field] ?? null));
+
+  return createHash('sha256').update(JSON.stringify(values)).digest('hex');
+};
+
+/**
+ * Build the stored fields of an article
+ * @param {Object} article - Normalized article from a news provider
+ * @returns {Object} - News fields including sentiment and content hash
+ */
+const buildArticleData = (article) => {
+  const sentiment = scoreArticleSentiment(article);
+  return {
+    category: article.category,
+    headline: article.headline,
+    summary: article.summary,
+    url: article.url,
+    domain: getDomain(article.url),
+    image: article.image,
+    source: article.source,
+    datetime: article.datetime,
+    sentimentScore: sentiment.score,
+    sentimentLabel: sentiment.label,
+    contentHash: computeContentHash(article),
+  };
+};
+
+/**
+ * Add a stored article to a lookup built by findKnownArticles
+ * @param {Object} known - Lookup from findKnownArticles
+ * @param {Object} news - News row
+ */
+const rememberArticle = (known, news) => {
+  known.byExternalId.set(`${news.provider}:${news.externalId}`, news);
+  known.byUrl.set(news.url, news);
+};
+
+/**
+ * Load the stored copies of a batch of articles, and their links to a stock, in two queries
+ * @param {Array<Object>} articles - Normalized articles
+ * @param {string} stockId - Stock the articles are being saved for
+ * @returns {Promise<Object>} - Lookup ({ byExternalId, byUrl, links }) for storeArticleForStock
+ */
+const findKnownArticles = async (articles, stockId) => {
+  const known = { byExternalId: new Map(), byUrl: new Map(), links: new Map() };
+  if (articles.length === 0) {
+    return known;
+  }
 
-  // Create a map of stockId to stock info for quick lookup
-  const stockMap = new Map();
-  watchlistItems.forEach(item => {
-    stockMap.set(item.stockId, item.stock);
+  const externalIdsByProvider = new Map();
+  articles.forEach(article => {
+    const externalIds = externalIdsByProvider.get(article.provider) || [];
+    externalIds.push(article.externalId);
+    externalIdsByProvider.set(article.provider, externalIds);
   });
 
-  // Add stock information to each article and sort
-  const newsWithStock = allNews.map(article => {
-    const stock = stockMap.get(article.stockId);
-    return {
-      ...article,
-      stock: stock ? {
-        id: stock.id,
-        symbol: stock.symbol,
-        displaySymbol: stock.displaySymbol,
-        description: stock.description,
-        type: stock.type,
-        exchange: stock.exchange,
-        logo: stock.logo,
-      } : null,
-    };
+  // Articles are deduplicated by provider ID or URL
+  const rows = await prisma.news.findMany({
+    where: {
+      OR: [
+        ...[...externalIdsByProvider].map(([provider, externalIds]) => ({ provider, externalId: { in: externalIds } })),
+        { url: { in: articles.map(article => article.url) } },
+      ],
+    },
   });
+  rows.forEach(row => rememberArticle(known, row));
 
-  // Sort all news by publish date (datetime) - newest first
-  newsWithStock.sort((a, b) => {
-    const dateA = new Date(a.datetime);
-    const dateB = new Date(b.datetime);
-    return dateB - dateA; // Negative if B is newer (B comes first)
+  if (rows.length > 0) {
+    const links = await prisma.newsStock.findMany({
+      where: {
+        stockId,
+        newsId: { in: rows.map(row => row.id) },
+      },
+    });
+    links.forEach(link => known.links.set(link.newsId, link));
+  }
+
+  return known;
+};
+
+/**
+ * Find the stored copy of an article in a lookup
+ * @param {Object} known - Lookup from findKnownArticles
+ * @param {Object} article - Normalized article
+ * @returns {Object|null} - News row
+ */
+const lookupArticle = (known, article) => {
+  return known.byExternalId.get(`${article.provider}:${article.externalId}`) || known.byUrl.get(article.url) || null;
+};
+
+/**
+ * Create a new article, assigning it to a near-duplicate cluster
+ * @param {Object} article - Normalized article from a news provider
+ * @param {Object} data - Article fields to store
+ * @returns {Promise<Object>} - Created news row
+ */
+const createArticle = async (article, data) => {
+  const id = randomUUID();
+  const minhash = clusterService.computeArticleSignature(article);
+  const match = await clusterService.findMatchingCluster(minhash, article.datetime);
+  
+  return await prisma.news.create({
+    data: {
+      id,
+      provider: article.provider,
+      externalId: article.externalId,
+      feedId: article.feedId || null, // Source feed for RSS/Atom articles
+      clusterId: match ? match.id : id,
+      isDuplicate: Boolean(match),
+      minhash,
+      // Only representatives are looked up as cluster candidates
+      minhashBands: match ? [] : clusterService.computeArticleBands(minhash),
+      ...data,
+    },
   });
+};
 
-  return newsWithStock;
+/**
+ * Publish a saved article to news stream subscribers
+ * A failure is logged rather than thrown: streaming must never fail a sync
+ * @param {string} type - 'news.created' or 'news.updated'
+ * @param {string} newsId - News ID
+ * @param {string} stockId - Stock the article was saved for
+ */
+const publishArticle = async (type, newsId, stockId) => {
+  try {
+    const news = await prisma.news.findUnique({
+      where: { id: newsId },
+      include: NEWS_INCLUDE,
+    });
+    if (news) {
+      newsEvents.publish(type, { stockId, article: formatArticle(news) });
+    }
+  } catch (error) {
+    console.error(`Error publishing ${type} for article ${newsId}:`, error.message);
+  }
 };
 
 /**
- * Check if article is relevant to the stock
- * Article is relevant if headline or summary contains company name or ticker
- * @param {Object} article - News article from Finnhub
- * @param {Object} stock - Stock object with symbol and description
- * @returns {boolean} - True if article is relevant
+ * Save an article and link it to a stock, using a lookup of already stored articles
+ * Articles are deduplicated by provider ID or URL, so an article returned for
+ * several stocks (or by several providers) is stored once and gains one link per stock
+ * A known article is only written when its content hash changed, and its link only
+ * when the relevance changed, so re-fetching unchanged news costs no writes
+ * @param {Object} article - Normalized article from a news provider (datetime may be null when undated)
+ * @param {Object} stock - Stock object
+ * @param {number} relevance - Relevance score for the link
+ * @param {Object} known - Lookup from findKnownArticles (updated with the saved article)
+ * @returns {Promise<string>} - 'new' (newly linked to this stock), 'updated' (content changed) or 'unchanged'
  */
-const isArticleRelevant = (article, stock) => {
-  const headline = (article.headline || '').toLowerCase();
-  const summary = (article.summary || '').toLowerCase();
-  const ticker = (stock.symbol || '').toLowerCase();
-  const companyName = (stock.description || '').toLowerCase();
+const storeArticleForStock = async (article, stock, relevance, known) => {
+  const existing = lookupArticle(known, article);
+
+  // Undated articles keep the time they were first seen, so re-fetching them changes nothing
+  const dated = article.datetime ? article : { ...article, datetime: existing ? existing.datetime : new Date() };
+  const data = buildArticleData(dated);
+  const contentChanged = !existing || existing.contentHash !== data.contentHash;
   
-  // Check if headline or summary contains ticker (using word boundaries for better matching)
-  // For tickers, we want to match whole words to avoid false positives (e.g., "A" matching "Apple")
-  if (ticker) {
-    // Use word boundary regex for ticker matching
-    const tickerRegex = new RegExp(`\\b${ticker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    if (tickerRegex.test(headline) || tickerRegex.test(summary)) {
-      return true;
+  let news = existing;
+  if (!existing) {
+    news = await createArticle(dated, data);
+  } else if (contentChanged) {
+    news = await prisma.news.update({
+      where: { id: existing.id },
+      data,
+    });
+  }
+  rememberArticle(known, news);
+  
+  const existingLink = known.links.get(news.id);
+  const isNew = !existingLink;
+  if (existingLink) {
+    if (existingLink.relevance !== relevance) {
+      known.links.set(news.id, await prisma.newsStock.update({
+        where: { id: existingLink.id },
+        data: { relevance },
+      }));
+    }
+  } else {
+    known.links.set(news.id, await prisma.newsStock.create({
+      data: {
+        newsId: news.id,
+        stockId: stock.id,
+        relevance,
+      },
+    }));
+    
+    // Keep the story visible in this stock's feed when the article was folded into another cluster
+    if (news.isDuplicate && news.clusterId) {
+      await linkArticleToStock(news.clusterId, stock.id, relevance);
     }
   }
   
-  // Extract main company name (remove common suffixes like "INC", "CORP", etc.)
-  const companyNameWords = companyName
-    .replace(/\b(inc|corp|corporation|ltd|limited|llc|co|company)\b/gi, '')
-    .trim()
-    .split(/\s+/)
-    .filter(word => word.length > 2); // Filter out short words
+  const changed = existing && contentChanged && STREAMED_FIELDS.some(field => existing[field] !== news[field]);
   
-  // Check if headline or summary contains any significant word from company name
-  if (companyNameWords.length > 0) {
-    const hasCompanyName = companyNameWords.some(word => 
-      headline.includes(word) || summary.includes(word)
-    );
-    if (hasCompanyName) {
-      return true;
+  // Duplicates are hidden from feeds, so streams don't hear about them either
+  if (!news.isDuplicate && (isNew || changed)) {
+    await publishArticle(isNew ? 'news.created' : 'news.updated', news.id, stock.id);
+  }
+  
+  // Keyword alerts, like streams, only consider articles shown in feeds
+  if (!news.isDuplicate && isNew) {
+    try {
+      await alertMatchService.matchArticle(news, stock.id, { created: !existing });
+    } catch (error) {
+      console.error(`Error matching alerts for article ${news.id}:`, error.message);
     }
   }
   
-  return false;
+  if (isNew) {
+    return 'new';
+  }
+  return contentChanged ? 'updated' : 'unchanged';
 };
 
 /**
- * Fetch and save news for a single stock (for cron job)
- * Only fetches current day news and filters by relevance
+ * Save a single article and link it to a stock (see storeArticleForStock)
+ * @param {Object} article - Normalized article from a news provider
  * @param {Object} stock - Stock object
- * @returns {Promise<number>} - Number of articles saved
+ * @param {number} relevance - Relevance score for the link
+ * @returns {Promise<string>} - 'new', 'updated' or 'unchanged'
  */
-const fetchAndSaveNewsForStock = async (stock) => {
-  try {
-    // Fetch news from Finnhub for current day only
-    const { from, to } = getCurrentDayRange();
-    const newsData = await fetchCompanyNews(stock.symbol.toUpperCase(), from, to);
+const saveArticleForStock = async (article, stock, relevance) => {
+  const known = await findKnownArticles([article], stock.id);
+  return await storeArticleForStock(article, stock, relevance, known);
+};
+
+/**
+ * Save a market news article (not linked to any stock)
+ * Articles are deduplicated the same way as company news; an article already
+ * stored as company news is tagged with the market category rather than stored twice
+ * @param {Object} article - Normalized article from a news provider
+ * @param {string} category - Market news category the article was fetched for
+ * @returns {Promise<string>} - 'new' (new to the market feed), 'updated' (content changed) or 'unchanged'
+ */
+const saveMarketArticle = async (article, category) => {
+  const data = buildArticleData(article);
+
+  const existing = await prisma.news.findFirst({
+    where: {
+      OR: [
+        { provider: article.provider, externalId: article.externalId },
+        { url: article.url },
+      ],
+    },
+  });
+
+  if (existing && existing.marketCategory && existing.contentHash === data.contentHash) {
+    return 'unchanged';
+  }
+
+  // An article keeps the first market category it was seen under
+  const news = existing
+    ? await prisma.news.update({
+      where: { id: existing.id },
+      data: {
+        ...data,
+        ...(!existing.marketCategory && { marketCategory: category }),
+      },
+    })
+    : await createArticle(article, { ...data, marketCategory: category });
+
+  // Keep the story visible in the market feed when the article was folded into another cluster
+  if (news.isDuplicate && news.clusterId) {
+    await prisma.news.updateMany({
+      where: { id: news.clusterId, marketCategory: null },
+      data: { marketCategory: category },
+    });
+  }
+
+  // Unscoped keyword alerts see market articles too (stock-scoped rules can't match them)
+  if (!existing && !news.isDuplicate) {
+    try {
+      await alertMatchService.matchArticle(news, null, { created: true });
+    } catch (error) {
+      console.error(`Error matching alerts for article ${news.id}:`, error.message);
+    }
+  }
+
+  return !existing || !existing.marketCategory ? 'new' : 'updated';
+};
+
+/**
+ * Fetch company news for a stock from every active provider
+ * A failing provider is logged and skipped so the others still contribute
+ * Without an explicit range each provider is read from its sync cursor (the days
+ * since its last successful fetch) and the cursor is advanced; explicit ranges
+ * (backfills) leave the cursors alone
+ * @param {Object} stock - Stock object
+ * @param {Object|null} range - Date range (from, to as YYYY-MM-DD), or null to sync from the cursors
+ * @returns {Promise<Object>} - { articles, errors }: normalized articles from all providers and "<provider>: <message>" for each that failed
+ */
+const fetchNewsFromProviders = async (stock, range) => {
+  const cursors = range ? null : await newsSyncCursorService.getCursors(stock.id);
+  const articles = [];
+  const errors = [];
+  
+  for (const provider of newsProviders.getActiveProviders()) {
+    const fetchedAt = new Date();
+    const cursor = cursors && cursors.get(provider.name);
     
-    if (!newsData || !Array.isArray(newsData)) {
-      return 0;
+    try {
+      const providerRange = range || newsSyncCursorService.getFetchRange(cursor, fetchedAt);
+      const providerArticles = await provider.fetchCompanyNews(stock.symbol.toUpperCase(), providerRange);
+      articles.push(...providerArticles);
+      
+      if (cursors) {
+        await newsSyncCursorService.recordFetch(stock.id, provider.name, fetchedAt);
+      }
+    } catch (error) {
+      console.error(`Error fetching ${provider.name} news for stock ${stock.symbol}:`, error.message);
+      errors.push(`${provider.name}: ${error.message}`);
+      if (cursors) {
+        await newsSyncCursorService.recordError(stock.id, provider.name, error.message).catch(cursorError => {
+          console.error(`Error recording ${provider.name} sync error for stock ${stock.symbol}:`, cursorError.message);
+        });
+      }
     }
+  }
+  
+  return { articles, errors };
+};
+
+/**
+ * Fetch and save news for a single stock
+ * Fetches the days since the last sync by default, filters by relevance and scores sentiment
+ * @param {Object} stock - Stock object
+ * @param {Object|null} range - Date range to fetch (defaults to incremental sync from the stock's cursors)
+ * @param {string} range.from - Start date (YYYY-MM-DD)
+ * @param {string} range.to - End date (YYYY-MM-DD)
+ * @param {Object} options - Save options
+ * @param {boolean} [options.notify] - Push new articles to the stock's watchers (off for backfills)
+ * @returns {Promise<Object>} - Counts of new, updated and unchanged articles, total articles written,
+ * and errors (one message per provider that failed, or for the whole fetch; empty on success)
+ */
+const fetchAndSaveNewsForStock = async (stock, range = null, { notify = true } = {}) => {
+  const emptyResult = { new: 0, updated: 0, unchanged: 0, total: 0, errors: [] };
+
+  try {
+    const { articles: newsData, errors } = await fetchNewsFromProviders(stock, range);
+    const aliasMap = await relevanceService.getAliasesForStocks([stock.id]);
+    const aliases = aliasMap.get(stock.id);
     
-    // Filter articles by relevance
-    const relevantArticles = newsData.filter(article => 
-      isArticleRelevant(article, stock)
-    );
+    // Score articles and keep only those above the relevance threshold
+    const relevantArticles = newsData
+      .map(article => ({ article, relevance: relevanceService.scoreArticleRelevance(article, stock, aliases) }))
+      .filter(({ relevance }) => relevance >= config.newsRelevanceThreshold);
     
     if (relevantArticles.length === 0) {
-      return 0;
+      return { ...emptyResult, errors };
     }
     
+    // Look up every known article once instead of once per article
+    const known = await findKnownArticles(relevantArticles.map(({ article }) => article), stock.id);
+    
     // Save relevant news articles
-    let newCount = 0;
-    let updatedCount = 0;
+    const counts = { new: 0, updated: 0, unchanged: 0 };
+    const newArticles = [];
     
-    for (const article of relevantArticles) {
+    for (const { article, relevance } of relevantArticles) {
       try {
-        // Check if article already exists
-        const existing = await prisma.news.findUnique({
-          where: { finnhubId: article.id },
-        });
-        
-        // Convert Unix timestamp (seconds) to JavaScript Date
-        const articleDate = article.datetime 
-          ? new Date(article.datetime * 1000) 
-          : new Date();
-        
-        if (existing) {
-          // Article exists, update it
-          await prisma.news.update({
-            where: { finnhubId: article.id },
-            data: {
-              category: article.category || null,
-              headline: article.headline || '',
-              summary: article.summary || null,
-              url: article.url,
-              image: article.image || null,
-              source: article.source || null,
-              datetime: articleDate,
-            },
-          });
-          updatedCount++;
-        } else {
-          // New article, create it
-          await prisma.news.create({
-            data: {
-              stockId: stock.id,
-              finnhubId: article.id,
-              category: article.category || null,
-              headline: article.headline || '',
-              summary: article.summary || null,
-              url: article.url,
-              image: article.image || null,
-              source: article.source || null,
-              datetime: articleDate,
-            },
-          });
-          newCount++;
+        const status = await storeArticleForStock(article, stock, relevance, known);
+        counts[status]++;
+        if (status === 'new') {
+          newArticles.push(article);
         }
       } catch (error) {
         // Skip duplicate errors or other individual article errors
-        console.error(`Error saving article ${article.id} for stock ${stock.symbol}:`, error.message);
+        console.error(`Error saving ${article.provider} article ${article.externalId} for stock ${stock.symbol}:`, error.message);
       }
     }
     
-    return { new: newCount, updated: updatedCount, total: newCount + updatedCount };
+    // Pushes go out in the background so a slow APNs connection doesn't hold up the sync
+    if (notify && newArticles.length > 0) {
+      notificationService.notifyNewArticles(stock, newArticles).catch(error => {
+        console.error(`Error sending push notifications for stock ${stock.symbol}:`, error.message);
+      });
+    }
+    
+    return { ...counts, total: counts.new + counts.updated, errors };
   } catch (error) {
     console.error(`Error fetching news for stock ${stock.symbol}:`, error.message);
-    return 0;
+    return { ...emptyResult, errors: [error.message] };
+  }
+};
+
+/**
+ * Get the distinct stocks that appear in any user's watchlist
+ * @returns {Promise<Array>} - Stocks with id, symbol and description
+ */
+const getWatchedStocks = async () => {
+  // Get all user stocks to find distinct stockIds
+  const userStocks = await prisma.userStock.findMany({
+    select: {
+      stockId: true,
+    },
+    distinct: ['stockId'],
+  });
+  
+  if (userStocks.length === 0) {
+    return [];
   }
+  
+  // Fetch the stock details for unique stockIds
+  return await prisma.stock.findMany({
+    where: {
+      id: {
+        in: userStocks.map(us => us.stockId),
+      },
+    },
+    select: {
+      id: true,
+      symbol: true,
+      description: true,
+    },
+  });
 };
 
 /**
- * Fetch and save news for all distinct stocks in user watchlists (for cron job)
- * This function is called by the cron job every 20 minutes
+ * Fetch and save news for all distinct stocks in user watchlists in one sweep
+ * Used by the manual sync script; the cron job polls adaptively (see newsSyncScheduler)
  * @returns {Promise<Object>} - Summary of the sync operation
  */
 const syncNewsForAllWatchlistStocks = async () => {
   console.log('Starting news sync for all watchlist stocks...');
   
   try {
-    // Get all user stocks to find distinct stockIds
-    const userStocks = await prisma.userStock.findMany({
-      select: {
-        stockId: true,
-      },
-    });
+    const uniqueStocks = await getWatchedStocks();
     
-    if (userStocks.length === 0) {
+    if (uniqueStocks.length === 0) {
       console.log('No stocks found in watchlists');
       return {
         totalStocks: 0,
@@ -316,39 +962,22 @@ const syncNewsForAllWatchlistStocks = async () => {
       };
     }
     
-    // Get unique stockIds
-    const uniqueStockIds = [...new Set(userStocks.map(us => us.stockId))];
-    
-    // Fetch the stock details for unique stockIds
-    const uniqueStocks = await prisma.stock.findMany({
-      where: {
-        id: {
-          in: uniqueStockIds,
-        },
-      },
-      select: {
-        id: true,
-        symbol: true,
-        description: true,
-      },
-    });
-    
     console.log(`Found ${uniqueStocks.length} distinct stocks in watchlists`);
     
-    // Fetch news for each stock with rate limiting (max 1 request per second = 55 per minute)
-    // Delay of 1100ms ensures we stay under 55 requests per minute (60 seconds / 55 = ~1.09 seconds)
-    const RATE_LIMIT_DELAY_MS = 1100; // 1.1 seconds between requests
-    
+    // Fetch news for each stock (requests are paced by the shared Finnhub client)
     let totalArticles = 0;
     let successCount = 0;
     let errorCount = 0;
     
-    for (let i = 0; i < uniqueStocks.length; i++) {
-      const stock = uniqueStocks[i];
+    for (const stock of uniqueStocks) {
       try {
         const result = await fetchAndSaveNewsForStock(stock);
         totalArticles += result.total;
-        successCount++;
+        if (result.errors.length > 0) {
+          errorCount++;
+        } else {
+          successCount++;
+        }
         
         if (result.total > 0) {
           if (result.new > 0 && result.updated > 0) {
@@ -361,19 +990,9 @@ const syncNewsForAllWatchlistStocks = async () => {
         } else {
           console.log(`${stock.symbol}: No new articles found`);
         }
-        
-        // Rate limiting: wait before next request (except for the last one)
-        if (i < uniqueStocks.length - 1) {
-          await delay(RATE_LIMIT_DELAY_MS);
-        }
       } catch (error) {
         errorCount++;
         console.error(`Error processing stock ${stock.symbol}:`, error.message);
-        
-        // Still delay even on error to maintain rate limit
-        if (i < uniqueStocks.length - 1) {
-          await delay(RATE_LIMIT_DELAY_MS);
-        }
       }
     }
     
@@ -395,9 +1014,84 @@ const syncNewsForAllWatchlistStocks = async () => {
   }
 };
 
+/**
+ * Fetch and save the latest market news for one category from every active provider
+ * A failing provider is logged and skipped so the others still contribute
+ * @param {string} category - Market news category
+ * @returns {Promise<Object>} - Counts of new, updated and total articles saved
+ */
+const fetchAndSaveMarketNews = async (category) => {
+  const counts = { new: 0, updated: 0, unchanged: 0 };
+
+  for (const provider of newsProviders.getActiveMarketProviders()) {
+    let articles;
+    try {
+      articles = await provider.fetchMarketNews(category);
+    } catch (error) {
+      console.error(`Error fetching ${provider.name} ${category} market news:`, error.message);
+      continue;
+    }
+
+    for (const article of articles) {
+      try {
+        const status = await saveMarketArticle(article, category);
+        counts[status]++;
+      } catch (error) {
+        console.error(`Error saving ${article.provider} ${category} market article ${article.externalId}:`, error.message);
+      }
+    }
+  }
+
+  return { ...counts, total: counts.new + counts.updated };
+};
+
+/**
+ * Fetch and save market news for every configured category (for cron job)
+ * @returns {Promise<Object>} - Summary of the sync operation
+ */
+const syncMarketNews = async () => {
+  console.log('Starting market news sync...');
+
+  const categories = config.marketNewsCategories.filter(category => MARKET_NEWS_CATEGORIES.includes(category));
+  const byCategory = {};
+  let totalArticles = 0;
+
+  try {
+    for (const category of categories) {
+      const result = await fetchAndSaveMarketNews(category);
+      byCategory[category] = result;
+      totalArticles += result.total;
+      console.log(`Market news (${category}): ${result.new} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+    }
+
+    console.log(`Market news sync completed: ${totalArticles} articles processed for ${categories.length} categories`);
+
+    return {
+      totalCategories: categories.length,
+      totalArticles,
+      byCategory,
+      success: true,
+    };
+  } catch (error) {
+    console.error('Error in market news sync job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 module.exports = {
+  MARKET_NEWS_CATEGORIES,
+  getArticlesByIds,
   getNewsForStock,
   getNewsForUserStocks,
+  getMarketNews,
+  fetchAndSaveNewsForStock,
+  saveArticleForStock,
+  getWatchedStocks,
+  getDaysInRange,
   syncNewsForAllWatchlistStocks,
+  syncMarketNews,
 };
 
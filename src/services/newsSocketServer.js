@@ -0,0 +1,136 @@
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const newsStreamService = require('./newsStreamService');
+
+/**
+ * News Socket Server
+ * WebSocket transport for the watchlist news stream, for clients that prefer it over SSE
+ * Connect to /api/news/ws?token=<jwt>[&lastEventId=<id>]; browsers can't send an
+ * Authorization header on a WebSocket handshake, so the token travels in the query string
+ * Each message is a JSON event ({ id, type, data }), the same events /news/stream sends
+ */
+
+const NEWS_SOCKET_PATH = '/api/news/ws';
+
+// Clients that don't answer a ping within this interval are dropped
+const SOCKET_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Authenticate a WebSocket handshake
+ * @param {Object} req - HTTP upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {string|null} - User ID, or null when the token is missing or invalid
+ */
+const authenticateUpgrade = (req, url) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : url.searchParams.get('token');
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(token, config.jwtSecret).userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ * @param {Object} socket - Network socket
+ * @param {number} statusCode - HTTP status code
+ * @param {string} statusText - HTTP status text
+ */
+const rejectUpgrade = (socket, statusCode, statusText) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the news WebSocket endpoint to an HTTP server
+ * @param {Object} server - HTTP server returned by app.listen
+ * @returns {Object} - WebSocket server
+ */
+const attachNewsSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== NEWS_SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const userId = authenticateUpgrade(req, url);
+    if (!userId) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, userId, url.searchParams.get('lastEventId'));
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, SOCKET_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`News WebSocket listening on ${NEWS_SOCKET_PATH}`);
+  return wss;
+};
+
+/**
+ * Stream news to a connected socket until it closes
+ * @param {Object} ws - WebSocket connection
+ * @param {string} userId - Authenticated user ID
+ * @param {string|null} lastEventId - ID of the last event the client received
+ */
+const handleConnection = async (ws, userId, lastEventId) => {
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  let closeStream = null;
+  ws.on('close', () => {
+    if (closeStream) {
+      closeStream();
+    }
+  });
+
+  try {
+    closeStream = await newsStreamService.openStream(userId, {
+      lastEventId,
+      send: (event) => ws.send(JSON.stringify(event)),
+    });
+
+    // The client went away while the stream was opening
+    if (ws.readyState !== ws.OPEN) {
+      closeStream();
+    }
+  } catch (error) {
+    // 1008 = policy violation (stream limit), 1011 = unexpected server error
+    const tooMany = error.message === 'Too many open streams';
+    if (!tooMany) {
+      console.error(`Error opening news socket for user ${userId}:`, error.message);
+    }
+    ws.close(tooMany ? 1008 : 1011, tooMany ? error.message : 'Internal server error');
+  }
+};
+
+module.exports = {
+  attachNewsSocket,
+};
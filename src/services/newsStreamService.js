@@ -0,0 +1,125 @@
+const { PrismaClient } = require('@prisma/client');
+const muteRuleService = require('./muteRuleService');
+const newsEvents = require('./newsEvents');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Stream Service
+ * Turns the process-wide news event bus into per-user streams: each stream only
+ * carries articles for the user's watched stocks that the user hasn't muted
+ * Transports (SSE, WebSocket) hand in a send function and own the connection
+ */
+
+const MAX_STREAMS_PER_USER = 5;
+
+// How often a stream reloads the user's watchlist and mute rules
+const STREAM_REFRESH_MS = 60 * 1000;
+
+const openStreams = new Map();
+
+/**
+ * Load what a stream filters on
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { stockIds: Set, muteFilter }
+ */
+const loadStreamFilter = async (userId) => {
+  const [watchlistItems, muteFilter] = await Promise.all([
+    prisma.userStock.findMany({
+      where: { userId },
+      select: { stockId: true },
+    }),
+    muteRuleService.getMuteFilter(userId),
+  ]);
+
+  return {
+    stockIds: new Set(watchlistItems.map(item => item.stockId)),
+    muteFilter,
+  };
+};
+
+/**
+ * Open a news stream for a user
+ * Events missed since lastEventId are replayed first; when they can't all be replayed
+ * (restart, or too long away) a single 'resync' event tells the client to refetch its feed
+ * @param {string} userId - User ID
+ * @param {Object} options - Stream options
+ * @param {string} [options.lastEventId] - ID of the last event the client received
+ * @param {Function} options.send - Called with each event ({ id, type, data }) for the client
+ * @returns {Promise<Function>} - Closes the stream
+ */
+const openStream = async (userId, { lastEventId, send }) => {
+  const streamCount = openStreams.get(userId) || 0;
+  if (streamCount >= MAX_STREAMS_PER_USER) {
+    throw new Error('Too many open streams');
+  }
+  openStreams.set(userId, streamCount + 1);
+
+  let filter;
+  try {
+    filter = await loadStreamFilter(userId);
+  } catch (error) {
+    releaseStream(userId);
+    throw error;
+  }
+
+  const deliver = (event) => {
+    if (!filter.stockIds.has(event.data.stockId) || !filter.muteFilter.accepts(event.data.article)) {
+      return;
+    }
+    send({ id: event.id, type: event.type, data: event.data });
+  };
+
+  // Subscribe before replaying so nothing published in between is lost
+  const pending = [];
+  let replaying = true;
+  const unsubscribe = newsEvents.subscribe(event => (replaying ? pending.push(event) : deliver(event)));
+
+  if (lastEventId) {
+    const { events, complete } = newsEvents.getEventsSince(lastEventId);
+    if (complete) {
+      events.forEach(deliver);
+    } else {
+      send({ id: null, type: 'resync', data: { reason: 'Missed events are no longer available; refetch the feed' } });
+    }
+  }
+  replaying = false;
+  pending.forEach(deliver);
+
+  const refreshTimer = setInterval(async () => {
+    try {
+      filter = await loadStreamFilter(userId);
+    } catch (error) {
+      console.error(`Error refreshing news stream for user ${userId}:`, error.message);
+    }
+  }, STREAM_REFRESH_MS);
+  refreshTimer.unref();
+
+  let closed = false;
+  return () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(refreshTimer);
+    unsubscribe();
+    releaseStream(userId);
+  };
+};
+
+/**
+ * Release a user's stream slot
+ * @param {string} userId - User ID
+ */
+const releaseStream = (userId) => {
+  const streamCount = (openStreams.get(userId) || 1) - 1;
+  if (streamCount > 0) {
+    openStreams.set(userId, streamCount);
+  } else {
+    openStreams.delete(userId);
+  }
+};
+
+module.exports = {
+  openStream,
+};
@@ -0,0 +1,143 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Sync Cursor Service
+ * Remembers, per stock and provider, when company news was last fetched and
+ * the last error, so each sync only asks for the days since the previous one
+ * instead of re-reading a fixed window
+ */
+
+// Re-read this much before the last fetch so articles published around it aren't missed
+const CURSOR_OVERLAP_MS = 60 * 60 * 1000;
+
+// A stock that hasn't been synced for longer than this only catches up this many days
+const MAX_CATCH_UP_DAYS = 3;
+
+const DEFAULT_CURSOR_LIMIT = 100;
+const MAX_CURSOR_LIMIT = 1000;
+
+/**
+ * Get a stock's sync cursors
+ * @param {string} stockId - Stock ID
+ * @returns {Promise<Map<string, Object>>} - Cursors keyed by provider name
+ */
+const getCursors = async (stockId) => {
+  const cursors = await prisma.newsSyncCursor.findMany({
+    where: { stockId },
+  });
+
+  return new Map(cursors.map(cursor => [cursor.provider, cursor]));
+};
+
+/**
+ * Get the date range an incremental sync should fetch
+ * @param {Object|undefined} cursor - The provider's cursor for the stock
+ * @param {Date} now - Reference time
+ * @returns {Object} - Date range (from, to as YYYY-MM-DD)
+ */
+const getFetchRange = (cursor, now) => {
+  const to = now.toISOString().split('T')[0];
+  if (!cursor || !cursor.lastFetchedAt) {
+    return { from: to, to };
+  }
+
+  const earliest = now.getTime() - MAX_CATCH_UP_DAYS * 24 * 60 * 60 * 1000;
+  const start = Math.max(cursor.lastFetchedAt.getTime() - CURSOR_OVERLAP_MS, earliest);
+  const from = new Date(Math.min(start, now.getTime())).toISOString().split('T')[0];
+
+  return { from, to };
+};
+
+/**
+ * Record a successful fetch
+ * @param {string} stockId - Stock ID
+ * @param {string} provider - Provider name
+ * @param {Date} fetchedAt - When the fetch started
+ * @returns {Promise<Object>} - Updated cursor
+ */
+const recordFetch = async (stockId, provider, fetchedAt) => {
+  const data = {
+    lastFetchedAt: fetchedAt,
+    lastError: null,
+  };
+
+  return await prisma.newsSyncCursor.upsert({
+    where: {
+      stockId_provider: {
+        stockId,
+        provider,
+      },
+    },
+    create: { stockId, provider, ...data },
+    update: data,
+  });
+};
+
+/**
+ * Record a failed fetch (the cursor position is kept, so the next sync retries the same range)
+ * @param {string} stockId - Stock ID
+ * @param {string} provider - Provider name
+ * @param {string} message - Error message
+ * @returns {Promise<Object>} - Updated cursor
+ */
+const recordError = async (stockId, provider, message) => {
+  const data = {
+    lastError: message,
+    lastErrorAt: new Date(),
+  };
+
+  return await prisma.newsSyncCursor.upsert({
+    where: {
+      stockId_provider: {
+        stockId,
+        provider,
+      },
+    },
+    create: { stockId, provider, ...data },
+    update: data,
+  });
+};
+
+/**
+ * List sync cursors for debugging, least recently fetched first
+ * @param {Object} options - List options
+ * @param {string} [options.stockId] - Only this stock's cursors
+ * @param {boolean} [options.failing] - Only cursors whose last fetch failed
+ * @param {number} [options.limit] - Maximum number of cursors to return
+ * @returns {Promise<Array>} - Cursors with their stock's symbol
+ */
+const listCursors = async (options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_CURSOR_LIMIT, 1), MAX_CURSOR_LIMIT);
+
+  const cursors = await prisma.newsSyncCursor.findMany({
+    where: {
+      ...(options.stockId && { stockId: options.stockId }),
+      ...(options.failing && { lastError: { not: null } }),
+    },
+    include: {
+      stock: {
+        select: { symbol: true },
+      },
+    },
+    orderBy: [
+      { lastFetchedAt: { sort: 'asc', nulls: 'first' } },
+      { id: 'asc' },
+    ],
+    take: limit,
+  });
+
+  return cursors.map(({ stock, ...cursor }) => ({
+    ...cursor,
+    symbol: stock.symbol,
+  }));
+};
+
+module.exports = {
+  getCursors,
+  getFetchRange,
+  recordFetch,
+  recordError,
+  listCursors,
+};
@@ -0,0 +1,290 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const newsService = require('./newsService');
+const newsProviders = require('./newsProviders');
+
+const prisma = new PrismaClient();
+
+/**
+ * News Sync Scheduler
+ * Polls company news for watched stocks adaptively instead of sweeping every
+ * stock on a fixed interval: each stock gets a priority from its watcher count,
+ * recent news velocity and the US market session, and a polling interval that
+ * shrinks as the priority grows. Every minute the most overdue stocks are polled,
+ * up to a global provider request budget, so hot stocks are refreshed often and
+ * long-tail ones rarely without the sync ever outgrowing the rate limit
+ *
+ * Poll times are kept in memory; after a restart every stock counts as due
+ * from the moment the scheduler started, hottest first
+ */
+
+// News linked to a stock within this window counts towards its velocity
+const VELOCITY_HOURS = 24;
+
+// Priority multipliers for the US market session (news flow is heaviest while the market is open)
+const SESSION_WEIGHTS = {
+  regular: 1,
+  extended: 0.5,
+  closed: 0.2,
+};
+
+const MARKET_TIMEZONE = 'America/New_York';
+
+const DEFAULT_STATUS_LIMIT = 100;
+const MAX_STATUS_LIMIT = 1000;
+
+const startedAt = new Date();
+
+// stockId -> { lastSyncedAt, lastResult, lastError, lastDurationMs }
+const syncState = new Map();
+
+let running = false;
+let lastTick = null;
+
+/**
+ * Get the US equity market session at a moment (exchange holidays are not considered)
+ * @param {Date} date - Moment
+ * @returns {string} - 'regular' (9:30-16:00 ET), 'extended' (4:00-9:30 and 16:00-20:00 ET) or 'closed'
+ */
+const getMarketSession = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIMEZONE,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  if (parts.weekday === 'Sat' || parts.weekday === 'Sun') {
+    return 'closed';
+  }
+
+  const minutes = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+  if (minutes >= 9 * 60 + 30 && minutes < 16 * 60) {
+    return 'regular';
+  }
+  if (minutes >= 4 * 60 && minutes < 20 * 60) {
+    return 'extended';
+  }
+  return 'closed';
+};
+
+/**
+ * Compute a stock's polling priority
+ * Watchers and velocity are log-scaled so a handful of very popular stocks can't starve the rest
+ * @param {number} watchers - Number of users watching the stock
+ * @param {number} velocity - Articles linked to the stock in the last VELOCITY_HOURS
+ * @param {string} session - Market session from getMarketSession
+ * @returns {number}
+ */
+const computePriority = (watchers, velocity, session) => {
+  return (1 + Math.log2(1 + watchers)) * (1 + Math.log2(1 + velocity)) * SESSION_WEIGHTS[session];
+};
+
+/**
+ * Turn a priority into a polling interval between the configured bounds
+ * @param {number} priority - Priority from computePriority
+ * @returns {number} - Interval in milliseconds
+ */
+const intervalForPriority = (priority) => {
+  const minutes = Math.min(
+    Math.max(config.newsSyncMaxIntervalMinutes / priority, config.newsSyncMinIntervalMinutes),
+    config.newsSyncMaxIntervalMinutes
+  );
+  return Math.round(minutes * 60 * 1000);
+};
+
+/**
+ * Build the polling plan for every watched stock
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { session, stocks } with stocks ordered by when they are due, most overdue first
+ */
+const buildPlan = async (now) => {
+  const stocks = await newsService.getWatchedStocks();
+  const stockIds = stocks.map(stock => stock.id);
+
+  const [watcherGroups, velocityGroups] = stockIds.length === 0 ? [[], []] : await Promise.all([
+    prisma.userStock.groupBy({
+      by: ['stockId'],
+      where: { stockId: { in: stockIds } },
+      _count: { _all: true },
+    }),
+    prisma.newsStock.groupBy({
+      by: ['stockId'],
+      where: {
+        stockId: { in: stockIds },
+        createdAt: { gte: new Date(now.getTime() - VELOCITY_HOURS * 60 * 60 * 1000) },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const watchers = new Map(watcherGroups.map(group => [group.stockId, group._count._all]));
+  const velocity = new Map(velocityGroups.map(group => [group.stockId, group._count._all]));
+  const session = getMarketSession(now);
+
+  // Forget stocks nobody watches any more
+  const watchedIds = new Set(stockIds);
+  [...syncState.keys()].forEach(stockId => {
+    if (!watchedIds.has(stockId)) {
+      syncState.delete(stockId);
+    }
+  });
+
+  const plan = stocks.map(stock => {
+    const state = syncState.get(stock.id) || {};
+    const priority = computePriority(watchers.get(stock.id) || 0, velocity.get(stock.id) || 0, session);
+    const interval = intervalForPriority(priority);
+    const nextDueAt = state.lastSyncedAt ? new Date(state.lastSyncedAt.getTime() + interval) : startedAt;
+
+    return {
+      stock,
+      watchers: watchers.get(stock.id) || 0,
+      velocity: velocity.get(stock.id) || 0,
+      priority,
+      interval,
+      nextDueAt,
+      lag: Math.max(now - nextDueAt, 0),
+      state,
+    };
+  });
+
+  // Most overdue first; ties (e.g., never polled) go to the higher priority
+  plan.sort((a, b) => (a.nextDueAt - b.nextDueAt) || (b.priority - a.priority));
+
+  return { session, stocks: plan };
+};
+
+/**
+ * Get the number of stocks that can be polled per minute within the request budget
+ * Each poll costs one company news request per active provider
+ * @returns {number}
+ */
+const getStocksPerTick = () => {
+  const requestsPerPoll = Math.max(newsProviders.getActiveProviders().length, 1);
+  return Math.max(Math.floor(config.newsSyncRequestsPerMinute / requestsPerPoll), 1);
+};
+
+/**
+ * Poll the most overdue stocks (called every minute by the cron job)
+ * A tick that is still running when the next one is due makes the next one a no-op
+ * @returns {Promise<Object>} - Summary of the tick
+ */
+const runTick = async () => {
+  if (running) {
+    return { skipped: true, success: true };
+  }
+
+  running = true;
+  const tickStart = new Date();
+
+  try {
+    const { session, stocks } = await buildPlan(tickStart);
+    const due = stocks.filter(entry => entry.nextDueAt <= tickStart);
+    const batch = due.slice(0, getStocksPerTick());
+
+    let totalArticles = 0;
+    let errorCount = 0;
+
+    for (const { stock } of batch) {
+      const pollStart = Date.now();
+      try {
+        const result = await newsService.fetchAndSaveNewsForStock(stock);
+        totalArticles += result.total;
+        if (result.errors.length > 0) {
+          errorCount++;
+        }
+        // Failed stocks wait a full interval too, so one bad symbol can't eat the budget
+        syncState.set(stock.id, {
+          lastSyncedAt: new Date(),
+          lastResult: { new: result.new, updated: result.updated, unchanged: result.unchanged },
+          lastError: result.errors.length > 0 ? result.errors.join('; ') : null,
+          lastDurationMs: Date.now() - pollStart,
+        });
+      } catch (error) {
+        errorCount++;
+        console.error(`Error processing stock ${stock.symbol}:`, error.message);
+        syncState.set(stock.id, {
+          ...syncState.get(stock.id),
+          lastSyncedAt: new Date(),
+          lastError: error.message,
+          lastDurationMs: Date.now() - pollStart,
+        });
+      }
+    }
+
+    lastTick = {
+      at: tickStart,
+      durationMs: Date.now() - tickStart.getTime(),
+      session,
+      polled: batch.length,
+      due: due.length,
+      totalArticles,
+      errorCount,
+    };
+
+    if (batch.length > 0) {
+      console.log(`News sync tick: polled ${batch.length} of ${due.length} due stocks (${stocks.length} watched, ${session} session), ${totalArticles} articles, ${errorCount} errors`);
+    }
+
+    return { ...lastTick, success: true };
+  } catch (error) {
+    console.error('Error in news sync tick:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Report the scheduler's state and per-stock polling lag
+ * @param {Object} options - Report options
+ * @param {number} [options.limit] - Maximum number of stocks to list (most lagging first)
+ * @returns {Promise<Object>} - Scheduler summary and per-stock entries
+ */
+const getStatus = async (options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_STATUS_LIMIT, 1), MAX_STATUS_LIMIT);
+  const now = new Date();
+  const { session, stocks } = await buildPlan(now);
+  const due = stocks.filter(entry => entry.nextDueAt <= now);
+
+  return {
+    startedAt,
+    running,
+    lastTick,
+    marketSession: session,
+    budget: {
+      requestsPerMinute: config.newsSyncRequestsPerMinute,
+      stocksPerMinute: getStocksPerTick(),
+    },
+    summary: {
+      watchedStocks: stocks.length,
+      dueStocks: due.length,
+      neverSynced: stocks.filter(entry => !entry.state.lastSyncedAt).length,
+      failingStocks: stocks.filter(entry => entry.state.lastError).length,
+      maxLagSeconds: stocks.length > 0 ? Math.round(stocks[0].lag / 1000) : 0,
+    },
+    stocks: stocks.slice(0, limit).map(entry => ({
+      stockId: entry.stock.id,
+      symbol: entry.stock.symbol,
+      watchers: entry.watchers,
+      velocity: entry.velocity,
+      priority: Math.round(entry.priority * 100) / 100,
+      intervalMinutes: Math.round(entry.interval / 60000 * 10) / 10,
+      lastSyncedAt: entry.state.lastSyncedAt || null,
+      nextDueAt: entry.nextDueAt,
+      lagSeconds: Math.round(entry.lag / 1000),
+      lastResult: entry.state.lastResult || null,
+      lastError: entry.state.lastError || null,
+      lastDurationMs: entry.state.lastDurationMs ?? null,
+    })),
+  };
+};
+
+module.exports = {
+  runTick,
+  getStatus,
+};
@@ -0,0 +1,302 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const muteRuleService = require('./muteRuleService');
+const pushClients = require('./pushClients');
+
+const prisma = new PrismaClient();
+
+/**
+ * Notification Service
+ * Registers devices for push notifications and pushes breaking news
+ * to the watchers of a stock when new articles are saved for it
+ */
+
+const DEVICE_ENVIRONMENTS = ['production', 'sandbox'];
+const MAX_DEVICES_PER_USER = 10;
+
+// Only articles published this recently count as breaking news
+const BREAKING_NEWS_HOURS = 2;
+
+// APNs drops a push it couldn't deliver after this long (stale news isn't worth a late buzz)
+const PUSH_EXPIRATION_MS = 60 * 60 * 1000;
+
+// APNs answers that mean a token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'DeviceTokenNotForTopic', 'Unregistered'];
+
+/**
+ * List a user's registered devices
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Device tokens
+ */
+const listDevices = async (userId) => {
+  return await prisma.deviceToken.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+};
+
+/**
+ * Register a device for push notifications
+ * A token already registered to another account moves to this user (the app was signed into a different account)
+ * @param {string} userId - User ID
+ * @param {string} token - APNs device token
+ * @param {string} environment - 'production' or 'sandbox'
+ * @returns {Promise<Object>} - { device, created }
+ */
+const registerDevice = async (userId, token, environment = 'production') => {
+  if (!DEVICE_ENVIRONMENTS.includes(environment)) {
+    throw new Error('Invalid environment');
+  }
+
+  const normalizedToken = token.toLowerCase();
+  const existing = await prisma.deviceToken.findUnique({
+    where: { token: normalizedToken },
+  });
+
+  if (!existing || existing.userId !== userId) {
+    const deviceCount = await prisma.deviceToken.count({
+      where: { userId },
+    });
+    if (deviceCount >= MAX_DEVICES_PER_USER) {
+      throw new Error('Device limit reached');
+    }
+  }
+
+  const device = await prisma.deviceToken.upsert({
+    where: { token: normalizedToken },
+    create: {
+      userId,
+      token: normalizedToken,
+      environment,
+    },
+    update: {
+      userId,
+      environment,
+    },
+  });
+
+  return { device, created: !existing };
+};
+
+/**
+ * Unregister a device
+ * @param {string} userId - User ID
+ * @param {string} token - APNs device token
+ * @returns {Promise<Object>} - Removed device
+ */
+const unregisterDevice = async (userId, token) => {
+  const device = await prisma.deviceToken.findFirst({
+    where: {
+      userId,
+      token: token.toLowerCase(),
+    },
+  });
+
+  if (!device) {
+    throw new Error('Device not found');
+  }
+
+  return await prisma.deviceToken.delete({
+    where: { id: device.id },
+  });
+};
+
+/**
+ * Claim a user's push slot, so concurrent syncs can't push to the same user twice within the interval
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether the user may be pushed to now
+ */
+const claimPushSlot = async (userId, now) => {
+  const cutoff = new Date(now.getTime() - config.pushMinIntervalMinutes * 60 * 1000);
+  const result = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [
+        { lastPushAt: null },
+        { lastPushAt: { lt: cutoff } },
+      ],
+    },
+    data: { lastPushAt: now },
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Build the push for a stock's new articles
+ * @param {Object} stock - Stock
+ * @param {Array<Object>} articles - News rows visible to the user, newest first
+ * @param {Date} now - Current time
+ * @returns {Object} - Notification ({ payload, collapseId, expiresAt })
+ */
+const buildNotification = (stock, articles, now) => {
+  const [latest] = articles;
+  const more = articles.length > 1 ? ` (and ${articles.length - 1} more)` : '';
+
+  return {
+    payload: {
+      aps: {
+        alert: {
+          title: stock.symbol,
+          body: `${latest.headline}${more}`,
+        },
+        sound: 'default',
+        'thread-id': `stock-${stock.id}`,
+      },
+      newsId: latest.id,
+      stockId: stock.id,
+    },
+    // A newer push for the same stock replaces the one still on screen
+    collapseId: `news-${stock.symbol}`,
+    expiresAt: new Date(now.getTime() + PUSH_EXPIRATION_MS),
+  };
+};
+
+/**
+ * Send a notification to each of a user's devices, dropping tokens APNs rejects for good
+ * @param {Array<Object>} devices - Device tokens
+ * @param {Object} notification - Notification from buildNotification
+ * @returns {Promise<Object>} - { sent, failed, removed }
+ */
+const sendToDevices = async (devices, notification) => {
+  const client = pushClients.getActiveClient();
+  const stats = { sent: 0, failed: 0, removed: 0 };
+  const invalidTokens = [];
+
+  for (const device of devices) {
+    try {
+      const { status, reason } = await client.send(device, notification);
+      if (status === 200) {
+        stats.sent++;
+      } else if (status === 410 || (status === 400 && INVALID_TOKEN_REASONS.includes(reason))) {
+        invalidTokens.push(device.token);
+      } else {
+        stats.failed++;
+        console.error(`Push to device ${device.id} failed: ${status} ${reason || ''}`.trim());
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`Push to device ${device.id} failed:`, error.message);
+    }
+  }
+
+  if (invalidTokens.length > 0) {
+    const result = await prisma.deviceToken.deleteMany({
+      where: { token: { in: invalidTokens } },
+    });
+    stats.removed = result.count;
+  }
+
+  return stats;
+};
+
+/**
+ * Send a notification to all of a user's devices (not throttled)
+ * @param {string} userId - User ID
+ * @param {Object} notification - Notification ({ payload, collapseId, expiresAt })
+ * @returns {Promise<Object>} - { sent, failed, removed }
+ */
+const sendToUser = async (userId, notification) => {
+  const devices = await prisma.deviceToken.findMany({
+    where: { userId },
+  });
+
+  return await sendToDevices(devices, notification);
+};
+
+/**
+ * Push newly saved articles for a stock to its watchers
+ * Only recent, non-duplicate articles count; each watcher's mute rules apply and
+ * a watcher is pushed to at most once per PUSH_MIN_INTERVAL_MINUTES
+ * @param {Object} stock - Stock ({ id, symbol })
+ * @param {Array<Object>} articles - Normalized articles that were newly linked to the stock
+ * @returns {Promise<Object>} - Summary of the pushes sent
+ */
+const notifyNewArticles = async (stock, articles) => {
+  const stats = { users: 0, throttled: 0, sent: 0, failed: 0, removed: 0 };
+
+  if (articles.length === 0) {
+    return stats;
+  }
+
+  const now = new Date();
+  const candidates = await prisma.news.findMany({
+    where: {
+      url: { in: articles.map(article => article.url) },
+      isDuplicate: false,
+      datetime: { gte: new Date(now.getTime() - BREAKING_NEWS_HOURS * 60 * 60 * 1000) },
+    },
+    select: {
+      id: true,
+      headline: true,
+    },
+    orderBy: { datetime: 'desc' },
+  });
+
+  if (candidates.length === 0) {
+    return stats;
+  }
+
+  const watchers = await prisma.user.findMany({
+    where: {
+      watchlist: { some: { stockId: stock.id } },
+      deviceTokens: { some: {} },
+    },
+    select: {
+      id: true,
+      deviceTokens: true,
+    },
+  });
+
+  for (const watcher of watchers) {
+    try {
+      const muteFilter = await muteRuleService.getMuteFilter(watcher.id);
+      const visible = (await prisma.news.findMany({
+        where: {
+          AND: [
+            { id: { in: candidates.map(article => article.id) } },
+            muteFilter.where,
+          ],
+        },
+        select: {
+          id: true,
+          headline: true,
+        },
+        orderBy: { datetime: 'desc' },
+      })).filter(article => !muteFilter.test || muteFilter.test(article));
+
+      if (visible.length === 0) {
+        continue;
+      }
+
+      if (!(await claimPushSlot(watcher.id, now))) {
+        stats.throttled++;
+        continue;
+      }
+
+      const result = await sendToDevices(watcher.deviceTokens, buildNotification(stock, visible, now));
+      stats.users++;
+      stats.sent += result.sent;
+      stats.failed += result.failed;
+      stats.removed += result.removed;
+    } catch (error) {
+      console.error(`Error pushing ${stock.symbol} news to user ${watcher.id}:`, error.message);
+    }
+  }
+
+  if (stats.users > 0 || stats.throttled > 0) {
+    console.log(`${stock.symbol}: pushed to ${stats.users} users (${stats.throttled} throttled, ${stats.removed} stale devices removed)`);
+  }
+
+  return stats;
+};
+
+module.exports = {
+  DEVICE_ENVIRONMENTS,
+  listDevices,
+  registerDevice,
+  unregisterDevice,
+  sendToUser,
+  notifyNewArticles,
+};
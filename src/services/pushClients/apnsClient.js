@@ -0,0 +1,168 @@
+const http2 = require('http2');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+/**
+ * APNs Push Client
+ * Sends pushes to Apple Push Notification service over HTTP/2 using
+ * token-based (.p8 key) authentication
+ */
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com',
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Apple rejects provider tokens older than an hour and throttles refreshing more often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+const sessions = new Map();
+let providerToken = null;
+let signingKey = null;
+
+/**
+ * Load the APNs signing key (APNS_KEY, or the .p8 file at APNS_KEY_PATH)
+ * @returns {string} - PEM encoded private key
+ */
+const getSigningKey = () => {
+  if (!signingKey) {
+    if (config.apns.key) {
+      signingKey = config.apns.key.replace(/\\n/g, '\n');
+    } else if (config.apns.keyPath) {
+      signingKey = fs.readFileSync(config.apns.keyPath, 'utf8');
+    } else {
+      throw new Error('APNs signing key is not configured');
+    }
+  }
+  return signingKey;
+};
+
+/**
+ * Get a provider authentication token, signing a new one when the old one is near expiry
+ * @returns {string} - ES256 JWT
+ */
+const getProviderToken = () => {
+  if (!config.apns.keyId || !config.apns.teamId) {
+    throw new Error('APNS_KEY_ID and APNS_TEAM_ID must be configured');
+  }
+
+  const now = Date.now();
+  if (!providerToken || now - providerToken.issuedAt > PROVIDER_TOKEN_TTL_MS) {
+    providerToken = {
+      issuedAt: now,
+      token: jwt.sign({ iss: config.apns.teamId, iat: Math.floor(now / 1000) }, getSigningKey(), {
+        algorithm: 'ES256',
+        header: { alg: 'ES256', kid: config.apns.keyId },
+        noTimestamp: true,
+      }),
+    };
+  }
+
+  return providerToken.token;
+};
+
+/**
+ * Get the HTTP/2 session for an APNs environment, connecting if needed
+ * @param {string} environment - 'production' or 'sandbox'
+ * @returns {Object} - HTTP/2 client session
+ */
+const getSession = (environment) => {
+  const existing = sessions.get(environment);
+  if (existing && !existing.closed && !existing.destroyed) {
+    return existing;
+  }
+
+  const session = http2.connect(APNS_HOSTS[environment] || APNS_HOSTS.production);
+  const forget = () => {
+    if (sessions.get(environment) === session) {
+      sessions.delete(environment);
+    }
+  };
+
+  session.on('error', (error) => {
+    console.error(`APNs ${environment} connection error:`, error.message);
+    forget();
+  });
+  session.on('goaway', forget);
+  session.on('close', forget);
+
+  // Don't keep the process alive just for an idle APNs connection
+  session.unref();
+
+  sessions.set(environment, session);
+  return session;
+};
+
+/**
+ * Send a push to a device
+ * @param {Object} device - Device ({ token, environment })
+ * @param {Object} notification - Notification ({ payload, collapseId, expiresAt })
+ * @returns {Promise<Object>} - { status, reason } from APNs
+ */
+const send = (device, notification) => {
+  return new Promise((resolve, reject) => {
+    let request;
+    try {
+      const headers = {
+        ':method': 'POST',
+        ':path': `/3/device/${device.token}`,
+        authorization: `bearer ${getProviderToken()}`,
+        'apns-topic': config.apns.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        'content-type': 'application/json',
+      };
+      if (notification.collapseId) {
+        headers['apns-collapse-id'] = notification.collapseId;
+      }
+      if (notification.expiresAt) {
+        headers['apns-expiration'] = String(Math.floor(notification.expiresAt.getTime() / 1000));
+      }
+
+      request = getSession(device.environment).request(headers);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    let status = null;
+    let body = '';
+
+    request.setEncoding('utf8');
+    request.on('response', (responseHeaders) => {
+      status = responseHeaders[':status'];
+    });
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      let reason = null;
+      if (body) {
+        try {
+          reason = JSON.parse(body).reason || null;
+        } catch (error) {
+          reason = body;
+        }
+      }
+      resolve({ status, reason });
+    });
+    request.on('error', (error) => {
+      reject(new Error(`APNs request failed: ${error.message}`));
+    });
+
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      request.close(http2.constants.NGHTTP2_CANCEL);
+      reject(new Error('APNs request timed out'));
+    });
+
+    request.end(JSON.stringify(notification.payload));
+  });
+};
+
+module.exports = {
+  name: 'apns',
+  send,
+};
@@ -0,0 +1,61 @@
+const config = require('../../config');
+const apnsClient = require('./apnsClient');
+const memoryClient = require('./memoryClient');
+
+/**
+ * Push Client Registry
+ * Keeps track of the ways a push notification can be delivered; the
+ * notification service only talks to clients through this interface
+ *
+ * A push client is an object with:
+ * - name {string} - Unique client name
+ * - send(device, notification) {Promise<Object>} - Deliver one push, resolving to
+ *   { status, reason } where status is the APNs HTTP status (200 on success)
+ *
+ * A device has: token, environment ('production' or 'sandbox')
+ * A notification has: payload (APNs JSON payload), collapseId, expiresAt (Date)
+ */
+
+const clients = new Map();
+
+/**
+ * Register a push client
+ * @param {Object} client - Client implementing the interface above
+ */
+const registerClient = (client) => {
+  if (!client || !client.name || typeof client.send !== 'function') {
+    throw new Error('Invalid push client');
+  }
+  clients.set(client.name, client);
+};
+
+/**
+ * Get a registered client by name
+ * @param {string} name - Client name
+ * @returns {Object} - Push client
+ */
+const getClient = (name) => {
+  const client = clients.get(name);
+  if (!client) {
+    throw new Error(`Unknown push client: ${name}`);
+  }
+  return client;
+};
+
+/**
+ * Get the client enabled by configuration (PUSH_CLIENT)
+ * @returns {Object} - Active push client
+ */
+const getActiveClient = () => {
+  return getClient(config.pushClient);
+};
+
+// Built-in clients
+registerClient(apnsClient);
+registerClient(memoryClient);
+
+module.exports = {
+  registerClient,
+  getClient,
+  getActiveClient,
+};
@@ -0,0 +1,48 @@
+/**
+ * Memory Push Client
+ * Captures pushes in memory instead of sending them, for development and tests
+ * Tokens added to invalidTokens are answered like APNs answers unregistered devices;
+ * tokens in rejections get the APNs answer they map to (e.g., 400 BadDeviceToken)
+ */
+
+const sent = [];
+const invalidTokens = new Set();
+
+// token -> { status, reason }
+const rejections = new Map();
+
+/**
+ * Capture a push
+ * @param {Object} device - Device ({ token, environment })
+ * @param {Object} notification - Notification ({ payload, collapseId, expiresAt })
+ * @returns {Promise<Object>} - { status, reason }
+ */
+const send = async (device, notification) => {
+  if (invalidTokens.has(device.token)) {
+    return { status: 410, reason: 'Unregistered' };
+  }
+  if (rejections.has(device.token)) {
+    return rejections.get(device.token);
+  }
+
+  sent.push({ device, notification, sentAt: new Date() });
+  return { status: 200, reason: null };
+};
+
+/**
+ * Clear captured pushes, invalid tokens and rejections
+ */
+const reset = () => {
+  sent.length = 0;
+  invalidTokens.clear();
+  rejections.clear();
+};
+
+module.exports = {
+  name: 'memory',
+  send,
+  sent,
+  invalidTokens,
+  rejections,
+  reset,
+};
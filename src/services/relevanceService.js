@@ -0,0 +1,224 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Relevance Service
+ * Scores how strongly a news article is about a stock
+ * Signals (ticker mentions, company name, aliases from the stock_aliases table)
+ * each contribute a weight and are combined so that independent evidence adds up
+ */
+
+// Signal weights (0-1). Headline mentions count more than summary mentions
+const WEIGHTS = {
+  cashtag: 1, // $AAPL or (NASDAQ: AAPL)
+  tickerHeadline: 0.8,
+  tickerSummary: 0.5,
+  nameHeadline: 0.8,
+  nameSummary: 0.5,
+  nameWord: 0.25, // A single distinctive word from the company name
+  aliasHeadline: 0.8,
+  aliasSummary: 0.5,
+};
+
+// Share of the name weight given when only the distinctive words of the name match
+const DISTINCTIVE_NAME_FACTOR = 0.8;
+
+// How much each alias kind is trusted relative to the company name
+const ALIAS_KIND_WEIGHTS = {
+  brand: 1,
+  former_name: 0.8,
+  product: 0.7,
+  executive: 0.6,
+};
+
+const ALIAS_KINDS = Object.keys(ALIAS_KIND_WEIGHTS);
+
+// Legal suffixes removed from company names before matching
+const COMPANY_SUFFIXES = /\b(inc|corp|corporation|ltd|limited|llc|co|company|plc|lp|llp|sa|ag|nv|se|holdings?|group|class [a-z]|cl [a-z]|the)\b\.?/gi;
+
+// Generic words that appear in many company names and say nothing on their own
+const STOP_WORDS = new Set([
+  'american', 'america', 'global', 'energy', 'international', 'national', 'united', 'first',
+  'new', 'general', 'financial', 'capital', 'bank', 'bancorp', 'trust', 'fund', 'income',
+  'technologies', 'technology', 'tech', 'systems', 'solutions', 'services', 'industries',
+  'resources', 'partners', 'pharmaceuticals', 'therapeutics', 'bio', 'biosciences', 'health',
+  'healthcare', 'medical', 'acquisition', 'corp', 'investment', 'investments', 'realty',
+  'properties', 'communications', 'networks', 'software', 'data', 'digital', 'media',
+  'entertainment', 'brands', 'foods', 'motors', 'airlines', 'power', 'oil', 'gas', 'mining',
+  'gold', 'silver', 'metals', 'materials', 'chemical', 'chemicals', 'products', 'enterprises',
+  'north', 'south', 'east', 'west', 'pacific', 'atlantic', 'world', 'one', 'inc', 'and',
+]);
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Test whether text contains a phrase as whole words (case-insensitive)
+ * @param {string} text - Text to search
+ * @param {string} phrase - Phrase to find
+ * @returns {boolean}
+ */
+const containsPhrase = (text, phrase) => {
+  if (!text || !phrase) return false;
+  const pattern = escapeRegex(phrase.trim()).replace(/\s+/g, '\\s+');
+  return new RegExp(`(^|[^a-z0-9])${pattern}($|[^a-z0-9])`, 'i').test(text);
+};
+
+/**
+ * Get the matchable form of a company name ("APPLE INC" -> "apple")
+ * @param {string|null} description - Company name from the stocks table
+ * @returns {string}
+ */
+const cleanCompanyName = (description) => {
+  return (description || '')
+    .toLowerCase()
+    .replace(/[,/]/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Score the ticker signals for an article
+ * Short tickers ("A", "IT", "ON") collide with ordinary words, so they only
+ * count as cashtags or exchange-qualified mentions
+ * @param {string} headline - Article headline (original case)
+ * @param {string} summary - Article summary (original case)
+ * @param {string} ticker - Stock symbol (upper case)
+ * @returns {Array<number>} - Signal weights found
+ */
+const scoreTicker = (headline, summary, ticker) => {
+  if (!ticker) return [];
+
+  const symbol = escapeRegex(ticker);
+  const qualified = new RegExp(`(\\$${symbol}\\b|\\b(nasdaq|nyse|nyse american|otc|amex)\\s*:\\s*${symbol}\\b)`, 'i');
+  if (qualified.test(headline) || qualified.test(summary)) {
+    return [WEIGHTS.cashtag];
+  }
+
+  if (ticker.length <= 2 || STOP_WORDS.has(ticker.toLowerCase())) {
+    return [];
+  }
+
+  // Plain mentions must be upper case to avoid matching ordinary words
+  const plain = new RegExp(`(^|[^A-Za-z0-9])${symbol}($|[^A-Za-z0-9])`);
+  const signals = [];
+  if (plain.test(headline)) signals.push(WEIGHTS.tickerHeadline);
+  else if (plain.test(summary)) signals.push(WEIGHTS.tickerSummary);
+  return signals;
+};
+
+/**
+ * Score the company name signals for an article
+ * @param {string} headline - Article headline
+ * @param {string} summary - Article summary
+ * @param {string} companyName - Cleaned company name
+ * @returns {Array<number>} - Signal weights found
+ */
+const scoreCompanyName = (headline, summary, companyName) => {
+  if (!companyName) return [];
+
+  // The full name counts even when every word in it is generic ("General Motors", "Bank of America")
+  if (containsPhrase(headline, companyName)) return [WEIGHTS.nameHeadline];
+  if (containsPhrase(summary, companyName)) return [WEIGHTS.nameSummary];
+
+  const words = companyName.split(' ').filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+  // ...but a name made only of generic words can't be matched word by word
+  if (words.length === 0) {
+    return [];
+  }
+
+  // All distinctive words present ("Agilent" for "Agilent Technologies") is nearly as good as the full name
+  if (words.every(word => containsPhrase(headline, word))) return [WEIGHTS.nameHeadline * DISTINCTIVE_NAME_FACTOR];
+  if (words.every(word => containsPhrase(summary, word))) return [WEIGHTS.nameSummary * DISTINCTIVE_NAME_FACTOR];
+
+  // Fall back to distinctive words from the name, scaled by how much of the name matched
+  const matched = words.filter(word => containsPhrase(headline, word) || containsPhrase(summary, word));
+  if (matched.length === 0) return [];
+  return [WEIGHTS.nameWord * (matched.length / words.length)];
+};
+
+/**
+ * Score the alias signals for an article
+ * @param {string} headline - Article headline
+ * @param {string} summary - Article summary
+ * @param {Array<Object>} aliases - Aliases for the stock ({ alias, kind, weight })
+ * @returns {Array<number>} - Signal weights found
+ */
+const scoreAliases = (headline, summary, aliases) => {
+  const signals = [];
+
+  for (const { alias, kind, weight } of aliases) {
+    const trust = (ALIAS_KIND_WEIGHTS[kind] || 0.5) * (weight ?? 1);
+    if (containsPhrase(headline, alias)) {
+      signals.push(WEIGHTS.aliasHeadline * trust);
+    } else if (containsPhrase(summary, alias)) {
+      signals.push(WEIGHTS.aliasSummary * trust);
+    }
+  }
+
+  return signals;
+};
+
+/**
+ * Score how relevant an article is to a stock
+ * @param {Object} article - Normalized news article (headline, summary)
+ * @param {Object} stock - Stock object with symbol and description
+ * @param {Array<Object>} aliases - Aliases for the stock ({ alias, kind, weight })
+ * @returns {number} - Relevance between 0 (unrelated) and 1 (certain match)
+ */
+const scoreArticleRelevance = (article, stock, aliases = []) => {
+  const headline = article.headline || '';
+  const summary = article.summary || '';
+
+  const signals = [
+    ...scoreTicker(headline, summary, (stock.symbol || '').toUpperCase()),
+    ...scoreCompanyName(headline, summary, cleanCompanyName(stock.description)),
+    ...scoreAliases(headline, summary, aliases),
+  ];
+
+  // Combine independent signals: each one closes part of the remaining gap to 1
+  const score = 1 - signals.reduce((remaining, weight) => remaining * (1 - Math.min(weight, 1)), 1);
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Load aliases for a set of stocks
+ * @param {Array<string>} stockIds - Stock IDs
+ * @returns {Promise<Map<string, Array<Object>>>} - Aliases keyed by stock ID
+ */
+const getAliasesForStocks = async (stockIds) => {
+  const aliasMap = new Map(stockIds.map(id => [id, []]));
+  if (stockIds.length === 0) {
+    return aliasMap;
+  }
+
+  const aliases = await prisma.stockAlias.findMany({
+    where: { stockId: { in: stockIds } },
+    select: {
+      stockId: true,
+      alias: true,
+      kind: true,
+      weight: true,
+    },
+  });
+
+  aliases.forEach(({ stockId, ...alias }) => {
+    aliasMap.get(stockId).push(alias);
+  });
+
+  return aliasMap;
+};
+
+module.exports = {
+  ALIAS_KINDS,
+  scoreArticleRelevance,
+  getAliasesForStocks,
+};
@@ -0,0 +1,127 @@
+const { PrismaClient } = require('@prisma/client');
+const { scoreArticleSentiment, labelForScore } = require('../helpers/sentimentScorer');
+
+const prisma = new PrismaClient();
+
+/**
+ * Sentiment Service
+ * Aggregates stored article sentiment per stock
+ */
+
+// Supported rolling windows and their length in milliseconds
+const SENTIMENT_WINDOWS = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Aggregate sentiment for a stock over one rolling window
+ * @param {string} stockId - Stock ID
+ * @param {string} window - Window key ('1d', '7d' or '30d')
+ * @returns {Promise<Object>} - Average score, label and per-label article counts
+ */
+const getWindowSentiment = async (stockId, window) => {
+  const where = {
+    stocks: { some: { stockId } },
+    datetime: { gte: new Date(Date.now() - SENTIMENT_WINDOWS[window]) },
+    sentimentScore: { not: null },
+  };
+
+  const [aggregate, labelCounts] = await Promise.all([
+    prisma.news.aggregate({
+      where,
+      _avg: { sentimentScore: true },
+      _count: { _all: true },
+    }),
+    prisma.news.groupBy({
+      by: ['sentimentLabel'],
+      where,
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = { bullish: 0, bearish: 0, neutral: 0 };
+  labelCounts.forEach(({ sentimentLabel, _count }) => {
+    counts[sentimentLabel] = _count._all;
+  });
+
+  const averageScore = aggregate._avg.sentimentScore;
+
+  return {
+    window,
+    articleCount: aggregate._count._all,
+    averageScore: averageScore === null ? null : Math.round(averageScore * 1000) / 1000,
+    label: averageScore === null ? null : labelForScore(averageScore),
+    counts,
+  };
+};
+
+/**
+ * Get rolling sentiment for a stock
+ * @param {string} stockId - Stock ID
+ * @param {Array<string>} windows - Window keys to compute (defaults to all)
+ * @returns {Promise<Object>} - Stock and its sentiment per window
+ */
+const getStockSentiment = async (stockId, windows = Object.keys(SENTIMENT_WINDOWS)) => {
+  const stock = await prisma.stock.findUnique({
+    where: { id: stockId },
+  });
+
+  if (!stock) {
+    throw new Error('Stock not found');
+  }
+
+  const results = await Promise.all(windows.map(window => getWindowSentiment(stock.id, window)));
+
+  return {
+    stock: {
+      id: stock.id,
+      symbol: stock.symbol,
+      displaySymbol: stock.displaySymbol,
+      description: stock.description,
+    },
+    windows: results,
+  };
+};
+
+/**
+ * Score stored articles that have no sentiment yet (e.g. saved before scoring existed)
+ * @param {number} batchSize - Articles to load per batch
+ * @returns {Promise<number>} - Number of articles scored
+ */
+const scoreUnscoredArticles = async (batchSize = 500) => {
+  let scored = 0;
+
+  for (;;) {
+    const articles = await prisma.news.findMany({
+      where: { sentimentScore: null },
+      select: { id: true, headline: true, summary: true },
+      take: batchSize,
+    });
+
+    if (articles.length === 0) {
+      return scored;
+    }
+
+    for (const article of articles) {
+      const sentiment = scoreArticleSentiment(article);
+      await prisma.news.update({
+        where: { id: article.id },
+        data: {
+          sentimentScore: sentiment.score,
+          sentimentLabel: sentiment.label,
+        },
+      });
+      scored++;
+    }
+
+    console.log(`Scored ${scored} articles...`);
+  }
+};
+
+module.exports = {
+  SENTIMENT_WINDOWS,
+  getStockSentiment,
+  scoreUnscoredArticles,
+};
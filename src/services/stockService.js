@@ -59,6 +59,100 @@ const searchStocks = async (query) => {
   };
 };
 
+/**
+ * Make sure a stock exists
+ * @param {string} stockId - Stock ID
+ * @returns {Promise<Object>} - Stock
+ */
+const getStockOrThrow = async (stockId) => {
+  const stock = await prisma.stock.findUnique({
+    where: { id: stockId },
+  });
+
+  if (!stock) {
+    throw new Error('Stock not found');
+  }
+
+  return stock;
+};
+
+/**
+ * List the news-matching aliases of a stock
+ * @param {string} stockId - Stock ID
+ * @returns {Promise<Array>} - Aliases
+ */
+const listAliases = async (stockId) => {
+  await getStockOrThrow(stockId);
+
+  return await prisma.stockAlias.findMany({
+    where: { stockId },
+    orderBy: {
+      alias: 'asc',
+    },
+  });
+};
+
+/**
+ * Add a news-matching alias to a stock
+ * @param {string} stockId - Stock ID
+ * @param {Object} data - Alias data
+ * @param {string} data.alias - Name to match in news
+ * @param {string} data.kind - 'brand', 'former_name', 'product' or 'executive'
+ * @param {number} [data.weight] - Multiplier on the kind's trust (0-1)
+ * @returns {Promise<Object>} - Created alias
+ */
+const addAlias = async (stockId, { alias, kind, weight }) => {
+  await getStockOrThrow(stockId);
+
+  const normalizedAlias = alias.trim();
+
+  const existing = await prisma.stockAlias.findFirst({
+    where: {
+      stockId,
+      alias: { equals: normalizedAlias, mode: 'insensitive' },
+    },
+  });
+
+  if (existing) {
+    throw new Error('Alias already exists');
+  }
+
+  return await prisma.stockAlias.create({
+    data: {
+      stockId,
+      alias: normalizedAlias,
+      kind,
+      ...(weight !== undefined && { weight }),
+    },
+  });
+};
+
+/**
+ * Remove a news-matching alias from a stock
+ * @param {string} stockId - Stock ID
+ * @param {string} aliasId - Alias ID
+ * @returns {Promise<Object>} - Deleted alias
+ */
+const removeAlias = async (stockId, aliasId) => {
+  const alias = await prisma.stockAlias.findFirst({
+    where: {
+      id: aliasId,
+      stockId,
+    },
+  });
+
+  if (!alias) {
+    throw new Error('Alias not found');
+  }
+
+  return await prisma.stockAlias.delete({
+    where: { id: aliasId },
+  });
+};
+
 module.exports = {
   searchStocks,
+  listAliases,
+  addAlias,
+  removeAlias,
 };
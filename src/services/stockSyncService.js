@@ -4,7 +4,7 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const puppeteer = require('puppeteer');
-const config = require('../config');
+const finnhubClient = require('./finnhubClient');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
@@ -17,46 +17,18 @@ const prisma = new PrismaClient();
 const STOCK_LOGOS_DIR = path.join(__dirname, '../assets/stockLogos');
 const LOGO_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.svg', '.gif', '.webp'];
 
+// The full US symbol list is several megabytes, so it gets a longer deadline than news requests
+const SYMBOL_LIST_TIMEOUT_MS = 60 * 1000;
+
 /**
  * Fetch all US common stocks from Finnhub API
  * @returns {Promise<Array>} - Array of stock objects
  */
-const fetchAllUSCommonStocks = () => {
-  return new Promise((resolve, reject) => {
-    const apiKey = config.finnhubApiKey || "cuu5a01r01qv6ijlqqg0cuu5a01r01qv6ijlqqgg";
-    const apiUrl = new URL('https://finnhub.io/api/v1/stock/symbol');
-    apiUrl.searchParams.append('exchange', 'US');
-    apiUrl.searchParams.append('token', apiKey);
+const fetchAllUSCommonStocks = async () => {
+  const stocks = await finnhubClient.get('/stock/symbol', { exchange: 'US' }, { timeoutMs: SYMBOL_LIST_TIMEOUT_MS });
 
-    https.get(apiUrl.toString(), (res) => {
-      let data = '';
-
-      // A chunk of data has been received
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      // The whole response has been received
-      res.on('end', () => {
-        try {
-          if (res.statusCode !== 200) {
-            reject(new Error(`Finnhub API returned status ${res.statusCode}: ${data}`));
-            return;
-          }
-
-          const stocks = JSON.parse(data);
-          
-          // Filter for Common Stock type only
-          const commonStocks = (stocks || []).filter(stock => stock.type === 'Common Stock');
-          resolve(commonStocks);
-        } catch (error) {
-          reject(new Error(`Error parsing Finnhub API response: ${error.message}`));
-        }
-      });
-    }).on('error', (error) => {
-      reject(new Error(`Error fetching from Finnhub API: ${error.message}`));
-    });
-  });
+  // Filter for Common Stock type only
+  return (stocks || []).filter(stock => stock.type === 'Common Stock');
 };
 
 /**
@@ -100,33 +72,6 @@ const upsertStock = async (stockData) => {
   return stock;
 };
 
-/**
- * Retry a function with exponential backoff
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} delay - Initial delay in milliseconds
- * @returns {Promise<any>} - Result of the function
- */
-const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000) => {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      
-      if (attempt < maxRetries) {
-        const backoffDelay = delay * Math.pow(2, attempt);
-        console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${backoffDelay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-      }
-    }
-  }
-  
-  throw lastError;
-};
-
 /**
  * Fetch and upsert all US common stocks
  * @returns {Promise<Object>} - Statistics about the sync operation
@@ -143,12 +88,8 @@ const syncAllUSCommonStocks = async () => {
   };
 
   try {
-    // Fetch all US common stocks with retry logic
-    stocks = await retryWithBackoff(
-      () => fetchAllUSCommonStocks(),
-      3, // max retries
-      2000 // initial delay 2 seconds
-    );
+    // Fetch all US common stocks (the Finnhub client retries transient failures)
+    stocks = await fetchAllUSCommonStocks();
     
     stats.fetched = stocks.length;
     console.log(`Fetched ${stats.fetched} US common stocks from Finnhub`);
@@ -0,0 +1,151 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Trending Service
+ * Ranks stocks by abnormal news volume: the number of stories in a recent window
+ * compared with what each stock's own trailing baseline predicts for that window
+ */
+
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_BASELINE_DAYS = 14;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 50;
+
+// A stock needs at least this many recent stories to trend (one story is never a trend)
+const MIN_RECENT_ARTICLES = 3;
+
+// Articles returned per trending stock
+const TOP_ARTICLES_PER_STOCK = 3;
+
+/**
+ * Count recent and baseline stories per stock
+ * Links are pre-filtered on news_stocks (stockId, createdAt); an article can't be linked
+ * before it was published, so links created before the baseline start can't count
+ * @param {Date} baselineStart - Start of the baseline period
+ * @param {Date} windowStart - Start of the recent window (end of the baseline)
+ * @param {Date} now - End of the recent window
+ * @param {string|null} userId - Only count the user's watched stocks when given
+ * @returns {Promise<Array<Object>>} - { stockId, recent, baseline } rows
+ */
+const countStoriesPerStock = async (baselineStart, windowStart, now, userId) => {
+  const watchlistFilter = userId
+    ? Prisma.sql`AND ns."stockId" IN (SELECT us."stockId" FROM "user_stocks" us WHERE us."userId" = ${userId})`
+    : Prisma.empty;
+
+  return await prisma.$queryRaw`
+    SELECT
+      ns."stockId",
+      COUNT(*) FILTER (WHERE n."datetime" >= ${windowStart})::int AS "recent",
+      COUNT(*) FILTER (WHERE n."datetime" < ${windowStart})::int AS "baseline"
+    FROM "news_stocks" ns
+    JOIN "news" n ON n."id" = ns."newsId"
+    WHERE ns."createdAt" >= ${baselineStart}
+      AND n."datetime" >= ${baselineStart}
+      AND n."datetime" <= ${now}
+      AND n."isDuplicate" = false
+      ${watchlistFilter}
+    GROUP BY ns."stockId"
+  `;
+};
+
+/**
+ * Get the stocks with the most abnormal news volume
+ * @param {Object} options - Trending options
+ * @param {number} [options.hours] - Length of the recent window in hours
+ * @param {number} [options.baselineDays] - Length of the trailing baseline in days
+ * @param {number} [options.limit] - Number of stocks to return
+ * @param {string|null} [options.userId] - Only rank the user's watched stocks when given
+ * @returns {Promise<Object>} - Trending stocks with their scores and top articles
+ */
+const getTrendingStocks = async (options = {}) => {
+  const hours = options.hours || DEFAULT_WINDOW_HOURS;
+  const baselineDays = options.baselineDays || DEFAULT_BASELINE_DAYS;
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_TRENDING_LIMIT, 1), MAX_TRENDING_LIMIT);
+  const userId = options.userId || null;
+
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const baselineStart = new Date(windowStart.getTime() - baselineDays * 24 * 60 * 60 * 1000);
+  const baselineHours = baselineDays * 24;
+
+  const counts = await countStoriesPerStock(baselineStart, windowStart, now, userId);
+
+  // Score how far the recent count is above the baseline rate, in Poisson standard deviations
+  const ranked = counts
+    .filter(row => row.recent >= MIN_RECENT_ARTICLES)
+    .map(row => {
+      const expected = (row.baseline / baselineHours) * hours;
+      return {
+        stockId: row.stockId,
+        recentCount: row.recent,
+        expectedCount: Math.round(expected * 100) / 100,
+        ratio: Math.round((row.recent / Math.max(expected, 1)) * 100) / 100,
+        score: Math.round(((row.recent - expected) / Math.sqrt(expected + 1)) * 100) / 100,
+      };
+    })
+    .filter(row => row.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const stocks = await prisma.stock.findMany({
+    where: { id: { in: ranked.map(row => row.stockId) } },
+  });
+  const stockMap = new Map(stocks.map(stock => [stock.id, stock]));
+
+  // The strongest recent matches are the stories driving each trend
+  const topLinks = await Promise.all(ranked.map(row => prisma.newsStock.findMany({
+    where: {
+      stockId: row.stockId,
+      news: {
+        isDuplicate: false,
+        datetime: { gte: windowStart, lte: now },
+      },
+    },
+    include: {
+      news: {
+        select: {
+          id: true,
+          headline: true,
+          summary: true,
+          url: true,
+          image: true,
+          source: true,
+          datetime: true,
+          sentimentLabel: true,
+        },
+      },
+    },
+    orderBy: [
+      { relevance: 'desc' },
+      { news: { datetime: 'desc' } },
+    ],
+    take: TOP_ARTICLES_PER_STOCK,
+  })));
+
+  return {
+    hours,
+    baselineDays,
+    scope: userId ? 'watchlist' : 'global',
+    stocks: ranked.map(({ stockId, ...scores }, index) => {
+      const stock = stockMap.get(stockId);
+      return {
+        id: stock.id,
+        symbol: stock.symbol,
+        displaySymbol: stock.displaySymbol,
+        description: stock.description,
+        logo: stock.logo,
+        ...scores,
+        articles: topLinks[index].map(link => ({
+          ...link.news,
+          relevance: link.relevance,
+        })),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  getTrendingStocks,
+};
@@ -1,4 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
+const newsBackfillService = require('./newsBackfillService');
+const newsReadService = require('./newsReadService');
 
 const prisma = new PrismaClient();
 
@@ -110,6 +112,11 @@ const addOrRemoveStock = async (userId, stockId) => {
       },
     });
 
+    // Queue a historical news backfill in the background if nothing is stored for this stock yet
+    newsBackfillService.queueBackfillIfEmpty(stock).catch((error) => {
+      console.error(`Error queueing news backfill for stock ${stock.symbol}:`, error.message);
+    });
+
     return {
       action: 'added',
       stock: {
@@ -128,7 +135,7 @@ const addOrRemoveStock = async (userId, stockId) => {
 /**
  * Get user's watchlist with full stock details
  * @param {string} userId - User ID
- * @returns {Promise<Object>} - Watchlist with stock IDs and full stock details
+ * @returns {Promise<Object>} - Watchlist with stock IDs and full stock details (including unread news counts)
  */
 const getUserWatchlist = async (userId) => {
   const watchlistItems = await prisma.userStock.findMany({
@@ -146,6 +153,8 @@ const getUserWatchlist = async (userId) => {
   // Extract stock IDs
   const stockIds = watchlistItems.map(item => item.stockId);
 
+  const unreadCounts = await newsReadService.getUnreadCounts(userId, stockIds);
+
   // Map to response format with full stock details
   const stocks = watchlistItems.map(item => ({
     id: item.stock.id,
@@ -158,6 +167,7 @@ const getUserWatchlist = async (userId) => {
     createdAt: item.stock.createdAt,
     updatedAt: item.stock.updatedAt,
     addedToWatchlistAt: item.createdAt, // When user added this stock
+    unreadCount: unreadCounts.get(item.stockId) || 0, // Unread news articles for this stock
   }));
 
   return {
@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+require('../support/fakePrisma');
+const newsStreamService = require('../../src/services/newsStreamService');
+const newsController = require('../../src/controllers/newsController');
+
+describe('newsController.streamNews', () => {
+  const originalOpenStream = newsStreamService.openStream;
+  let server;
+  let port;
+  let openDelayMs;
+  let closeCalls;
+  let openCalls;
+
+  before(async () => {
+    const app = express();
+    app.get('/stream', (req, res, next) => {
+      req.userId = 'user-1';
+      newsController.streamNews(req, res, next);
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+
+    newsStreamService.openStream = async (userId, { send }) => {
+      openCalls++;
+      await new Promise(resolve => setTimeout(resolve, openDelayMs));
+      send({ id: 'e-1', type: 'news.created', data: { id: 'n1' } });
+      return () => {
+        closeCalls++;
+      };
+    };
+  });
+
+  after(async () => {
+    newsStreamService.openStream = originalOpenStream;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    openDelayMs = 0;
+    closeCalls = 0;
+    openCalls = 0;
+  });
+
+  /**
+   * Wait until a condition holds
+   * @param {Function} condition - Check to poll
+   * @returns {Promise<void>}
+   */
+  const waitFor = async (condition) => {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  it('streams replayed events and closes the stream when the client leaves', async () => {
+    const received = await new Promise((resolve, reject) => {
+      const request = http.get(`http://127.0.0.1:${port}/stream`, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.includes('event: news.created')) {
+            request.destroy();
+            resolve({ status: res.statusCode, type: res.headers['content-type'], body });
+          }
+        });
+      });
+      request.on('error', (error) => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+
+    assert.equal(received.status, 200);
+    assert.match(received.type, /^text\/event-stream/);
+    assert.match(received.body, /id: e-1\nevent: news.created\ndata: {"id":"n1"}/);
+    await waitFor(() => closeCalls === 1);
+  });
+
+  it('closes the stream when the client leaves while it is still opening', async () => {
+    openDelayMs = 200;
+
+    const request = http.get(`http://127.0.0.1:${port}/stream`);
+    request.on('error', () => {});
+    await waitFor(() => openCalls === 1);
+    request.destroy();
+
+    await waitFor(() => closeCalls === 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(closeCalls, 1);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileAlertExpression, evaluateExpression } = require('../../src/helpers/alertExpression');
+
+/**
+ * Compile an expression and drop the compiled patterns, leaving the tree's shape
+ * @param {string} source - Expression
+ * @returns {Object} - Tree of terms (as strings), and/or ({ and|or: [...] }) and not ({ not: ... })
+ */
+const shape = (source) => {
+  const strip = (node) => {
+    switch (node.type) {
+      case 'term':
+        return node.value;
+      case 'not':
+        return { not: strip(node.child) };
+      default:
+        return { [node.type]: node.children.map(strip) };
+    }
+  };
+  return strip(compileAlertExpression(source));
+};
+
+/**
+ * Check an expression against a text
+ * @param {string} source - Expression
+ * @param {string} text - Text to match
+ * @returns {boolean}
+ */
+const matches = (source, text) => evaluateExpression(compileAlertExpression(source), text);
+
+describe('alertExpression parsing', () => {
+  it('binds AND tighter than OR', () => {
+    assert.deepEqual(shape('a OR b c'), { or: ['a', { and: ['b', 'c'] }] });
+    assert.deepEqual(shape('a b OR c'), { or: [{ and: ['a', 'b'] }, 'c'] });
+    assert.deepEqual(shape('a AND b OR c AND d'), { or: [{ and: ['a', 'b'] }, { and: ['c', 'd'] }] });
+    assert.deepEqual(shape('(a OR b) c'), { and: [{ or: ['a', 'b'] }, 'c'] });
+  });
+
+  it('binds NOT to the next term or group', () => {
+    assert.deepEqual(shape('a NOT b c'), { and: ['a', { not: 'b' }, 'c'] });
+    assert.deepEqual(shape('a NOT (b OR c)'), { and: ['a', { not: { or: ['b', 'c'] } }] });
+  });
+
+  it('treats adjacent terms and AND the same', () => {
+    assert.deepEqual(shape('fda approval'), shape('fda AND approval'));
+  });
+
+  it('only treats upper case operators as operators', () => {
+    assert.deepEqual(shape('mergers and acquisitions'), { and: ['mergers', 'and', 'acquisitions'] });
+    assert.deepEqual(shape('a or b'), { and: ['a', 'or', 'b'] });
+  });
+
+  it('reads quoted phrases as one term', () => {
+    assert.deepEqual(shape('"FDA approval" OR "stock split"'), { or: ['FDA approval', 'stock split'] });
+    assert.deepEqual(shape('"a OR b"'), 'a OR b');
+  });
+
+  it('reads a leading dash as NOT', () => {
+    assert.deepEqual(shape('buyback -rumor'), { and: ['buyback', { not: 'rumor' }] });
+    assert.deepEqual(shape('buyback -(rumor OR report)'), { and: ['buyback', { not: { or: ['rumor', 'report'] } }] });
+    assert.deepEqual(shape('(buyback OR repurchase) -rumor'), { and: [{ or: ['buyback', 'repurchase'] }, { not: 'rumor' }] });
+    assert.deepEqual(shape('spin-off'), 'spin-off');
+    assert.throws(() => compileAlertExpression('buyback - report'), { message: 'Invalid expression: "-" has no letters or digits' });
+  });
+});
+
+describe('alertExpression rejection', () => {
+  const rejects = (source, message) => assert.throws(() => compileAlertExpression(source), { message });
+
+  it('rejects expressions that only exclude words', () => {
+    const message = 'Invalid expression: it must require at least one word or phrase';
+    rejects('NOT rumor', message);
+    rejects('-rumor', message);
+    rejects('-(rumor OR report)', message);
+    rejects('NOT (rumor report)', message);
+    rejects('buyback OR -rumor', message);
+  });
+
+  it('accepts negations that still require a word (De Morgan)', () => {
+    assert.deepEqual(shape('NOT (NOT buyback)'), { not: { not: 'buyback' } });
+    assert.deepEqual(shape('-(NOT buyback OR NOT approval)'), { not: { or: [{ not: 'buyback' }, { not: 'approval' }] } });
+    assert.deepEqual(shape('buyback -rumor'), { and: ['buyback', { not: 'rumor' }] });
+  });
+
+  it('limits nesting depth', () => {
+    assert.equal(shape(`${'('.repeat(10)}a${')'.repeat(10)}`), 'a');
+    rejects(`${'('.repeat(11)}a${')'.repeat(11)}`, 'Invalid expression: too deeply nested');
+  });
+
+  it('limits the number of terms', () => {
+    const terms = (count) => Array.from({ length: count }, (_, index) => `w${index}`).join(' OR ');
+    assert.equal(shape(terms(20)).or.length, 20);
+    rejects(terms(21), 'Invalid expression: at most 20 terms are allowed');
+  });
+
+  it('rejects malformed expressions', () => {
+    rejects('"FDA approval', 'Invalid expression: unterminated quote');
+    rejects('buyback ""', 'Invalid expression: empty phrase');
+    rejects('buyback AND', 'Invalid expression: unexpected end');
+    rejects('(buyback', 'Invalid expression: missing closing parenthesis');
+    rejects('buyback)', 'Invalid expression: unexpected )');
+    rejects('OR buyback', 'Invalid expression: unexpected OR');
+    rejects('*', 'Invalid expression: "*" has no letters or digits');
+    rejects('', 'Invalid expression: unexpected end');
+  });
+});
+
+describe('alertExpression matching', () => {
+  it('matches whole words case-insensitively', () => {
+    assert.equal(matches('buyback', 'ACME announces BUYBACK'), true);
+    assert.equal(matches('buyback', 'ACME buybacks continue'), false);
+    assert.equal(matches('fda', 'ACME wins FDA nod'), true);
+  });
+
+  it('matches phrases across any whitespace', () => {
+    assert.equal(matches('"FDA approval"', 'Drug gets FDA\napproval'), true);
+    assert.equal(matches('"FDA approval"', 'FDA approvals slow'), false);
+  });
+
+  it('matches word prefixes', () => {
+    assert.equal(matches('acqui*', 'ACME acquires Bolt'), true);
+    assert.equal(matches('acqui*', 'Acquisition talks'), true);
+    assert.equal(matches('acqui*', 'ACME reacquires rights'), false);
+  });
+
+  it('evaluates boolean structure', () => {
+    const expression = '(buyback OR repurchase) -rumor';
+    assert.equal(matches(expression, 'ACME approves share repurchase'), true);
+    assert.equal(matches(expression, 'Buyback rumor lifts ACME'), false);
+    assert.equal(matches(expression, 'ACME beats estimates'), false);
+  });
+
+  it('escapes regex characters in terms', () => {
+    assert.equal(matches('"S&P 500"', 'Added to the S&P 500 index'), true);
+    assert.equal(matches('c++', 'Hiring c++ engineers'), true);
+    assert.equal(matches('a.b', 'axb'), false);
+  });
+});
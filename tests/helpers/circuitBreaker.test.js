@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../../src/helpers/circuitBreaker');
+const { createClock } = require('../support/fakeClock');
+
+describe('CircuitBreaker', () => {
+  /**
+   * Create a breaker that opens after 3 failures for 10 seconds
+   * @returns {Object} - { breaker, clock }
+   */
+  const setup = () => {
+    const clock = createClock();
+    return { clock, breaker: new CircuitBreaker({ failureThreshold: 3, cooldownMs: 10000, clock }) };
+  };
+
+  it('opens after consecutive failures reach the threshold', () => {
+    const { breaker, clock } = setup();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.getState().state, 'closed');
+
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), false);
+    assert.deepEqual(breaker.getState(), {
+      state: 'open',
+      consecutiveFailures: 3,
+      openedAt: new Date(clock.now()),
+      retryAt: new Date(clock.now() + 10000),
+      openCount: 1,
+    });
+  });
+
+  it('starts counting again after a success', () => {
+    const { breaker } = setup();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.getState().consecutiveFailures, 2);
+  });
+
+  it('lets a single trial call through once the cooldown has passed', () => {
+    const { breaker, clock } = setup();
+    [1, 2, 3].forEach(() => breaker.recordFailure());
+
+    clock.advance(9999);
+    assert.equal(breaker.allowRequest(), false);
+
+    clock.advance(1);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.getState().state, 'half-open');
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  it('reopens for another cooldown when the trial call fails', () => {
+    const { breaker, clock } = setup();
+    [1, 2, 3].forEach(() => breaker.recordFailure());
+
+    clock.advance(10000);
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+
+    assert.equal(breaker.allowRequest(), false);
+    assert.equal(breaker.getState().openCount, 2);
+    assert.deepEqual(breaker.getState().retryAt, new Date(clock.now() + 10000));
+
+    clock.advance(10000);
+    assert.equal(breaker.allowRequest(), true);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractContent } = require('../../src/helpers/contentExtractor');
+
+const PAGE_URL = 'https://news.example.com/markets/story.html';
+
+const paragraph = (index) => `<p>Paragraph ${index} of the story, with enough words, commas and detail to count as article text.</p>`;
+
+/**
+ * Build an article page around some body HTML
+ * @param {string} body - HTML inside the article element
+ * @param {string} head - Extra head HTML
+ * @returns {string}
+ */
+const page = (body, head = '') => `<html><head><title>Fallback title</title>${head}</head><body>
+  <header class="site-header"><a href="/">Home</a></header>
+  <nav><a href="/a">A</a><a href="/b">B</a></nav>
+  <div class="content">
+    <h1>Story headline</h1>
+    <article class="article-body">${[1, 2, 3, 4].map(paragraph).join('')}${body}</article>
+  </div>
+  <div class="sidebar related"><a href="/x">Related story one</a> <a href="/y">Related story two</a></div>
+  <footer>Copyright</footer>
+</body></html>`;
+
+describe('contentExtractor.extractContent', () => {
+  it('reads title, byline and lead image from meta tags', () => {
+    const content = extractContent(page('', `
+      <meta property="og:title" content="OG title">
+      <meta name="author" content="Jane Reporter">
+      <meta property="og:image" content="/images/lead.jpg">`), PAGE_URL);
+
+    assert.equal(content.title, 'OG title');
+    assert.equal(content.byline, 'Jane Reporter');
+    assert.equal(content.leadImage, 'https://news.example.com/images/lead.jpg');
+  });
+
+  it('falls back to the h1 for the title', () => {
+    const content = extractContent(page(''), PAGE_URL);
+
+    assert.equal(content.title, 'Story headline');
+  });
+
+  it('keeps the article body and drops navigation, sidebars and footers', () => {
+    const content = extractContent(page(''), PAGE_URL);
+
+    assert.match(content.text, /Paragraph 1 of the story/);
+    assert.match(content.text, /Paragraph 4 of the story/);
+    assert.doesNotMatch(content.text, /Related story|Copyright|Home/);
+    assert.equal(content.wordCount, content.text.split(/\s+/).length);
+  });
+
+  it('strips scripts, event handlers and unsafe links', () => {
+    const content = extractContent(page(`
+      <script>steal()</script>
+      <p onclick="steal()" style="color:red">A paragraph with <a href="javascript:steal()">a bad link</a> and <a href="/quote/ACME">a good one</a>.</p>
+      <iframe src="https://ads.example.com"></iframe>`), PAGE_URL);
+
+    assert.doesNotMatch(content.html, /script|steal|onclick|style=|iframe/);
+    assert.match(content.html, /<a rel="noopener noreferrer nofollow" target="_blank">a bad link<\/a>/);
+    assert.match(content.html, /<a href="https:\/\/news\.example\.com\/quote\/ACME" rel="noopener noreferrer nofollow" target="_blank">a good one<\/a>/);
+  });
+
+  it('resolves lazy-loaded images and uses the first as the lead image', () => {
+    const content = extractContent(page('<figure><img data-src="/img/chart.png" src="data:image/gif;base64,R0lGOD" alt="Chart"></figure>'), PAGE_URL);
+
+    assert.match(content.html, /<img src="https:\/\/news\.example\.com\/img\/chart\.png" alt="Chart" \/>/);
+    assert.equal(content.leadImage, 'https://news.example.com/img/chart.png');
+  });
+
+  it('demotes headings inside the body below the title', () => {
+    const content = extractContent(page('<h1>Section</h1>'), PAGE_URL);
+
+    assert.doesNotMatch(content.html, /<h1/);
+    assert.match(content.html, /<h2>Section<\/h2>/);
+  });
+
+  it('returns null when the page has no readable body', () => {
+    const content = extractContent('<html><body><nav><a href="/">Home</a></nav><p>Too short.</p></body></html>', PAGE_URL);
+
+    assert.equal(content, null);
+  });
+});
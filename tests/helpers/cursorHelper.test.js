@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesWhere } = require('../support/fakePrisma');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+} = require('../../src/helpers/cursorHelper');
+
+/**
+ * Encode an arbitrary payload the way cursors are encoded
+ * @param {any} payload - JSON payload
+ * @returns {string}
+ */
+const forge = (payload) => Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+
+describe('cursorHelper', () => {
+  it('round-trips a row position', () => {
+    const row = { id: 'n1', datetime: new Date('2026-10-19T09:00:00Z') };
+
+    assert.deepEqual(decodeCursor(encodeCursor(row)), row);
+    assert.match(encodeCursor(row), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects tampered and invalid cursors', () => {
+    const invalid = [
+      'not a cursor',
+      '',
+      forge(null),
+      forge([]),
+      forge({ d: '2026-10-19T09:00:00Z' }),
+      forge({ d: '2026-10-19T09:00:00Z', i: 5 }),
+      forge({ d: '2026-10-19T09:00:00Z', i: '' }),
+      forge({ d: 'yesterday', i: 'n1' }),
+      encodeCursor({ id: 'n1', datetime: new Date() }).slice(0, -6),
+    ];
+
+    invalid.forEach(cursor => assert.throws(() => decodeCursor(cursor), { message: 'Invalid cursor' }, cursor));
+  });
+
+  it('breaks datetime ties by id on both sides of a cursor', () => {
+    const datetime = new Date('2026-10-19T09:00:00Z');
+    const rows = [
+      { id: 'n1', datetime: new Date('2026-10-19T10:00:00Z') },
+      { id: 'n4', datetime },
+      { id: 'n3', datetime },
+      { id: 'n2', datetime },
+      { id: 'n5', datetime: new Date('2026-10-19T08:00:00Z') },
+    ];
+    const position = { id: 'n3', datetime };
+    const ids = (where) => rows.filter(row => matchesWhere(row, where)).map(row => row.id);
+
+    assert.deepEqual(ids(buildCursorWhere(position, 'before')), ['n2', 'n5']);
+    assert.deepEqual(ids(buildCursorWhere(position, 'after')), ['n1', 'n4']);
+  });
+
+  it('orders by another timestamp field when asked', () => {
+    const where = buildCursorWhere({ id: 'b1', datetime: new Date('2026-10-19T09:00:00Z') }, 'before', 'createdAt');
+
+    assert.equal(matchesWhere({ id: 'b0', createdAt: new Date('2026-10-19T09:00:00Z') }, where), true);
+    assert.equal(matchesWhere({ id: 'b2', createdAt: new Date('2026-10-19T09:00:00Z') }, where), false);
+    assert.equal(matchesWhere({ id: 'b2', createdAt: new Date('2026-10-19T08:59:59Z') }, where), true);
+  });
+
+  it('round-trips offsets and rejects invalid ones', () => {
+    assert.equal(decodeOffsetCursor(encodeOffsetCursor(40)), 40);
+
+    [forge({ o: -1 }), forge({ o: 1.5 }), forge({ o: '10' }), forge(null), 'garbage'].forEach((cursor) => {
+      assert.throws(() => decodeOffsetCursor(cursor), { message: 'Invalid cursor' });
+    });
+  });
+});
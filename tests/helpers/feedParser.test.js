@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, stripHtml } = require('../../src/helpers/feedParser');
+
+/**
+ * Parse a feed document from tests/fixtures/feeds
+ * @param {string} name - File name
+ * @returns {Object} - Parsed feed
+ */
+const parseFixture = (name) => parseFeed(fs.readFileSync(path.join(__dirname, '../fixtures/feeds', name), 'utf8'));
+
+describe('feedParser.parseFeed', () => {
+  it('reads RSS 2.0 items', () => {
+    const feed = parseFixture('rss.xml');
+
+    assert.equal(feed.title, 'ACME Investor Relations & News');
+    assert.deepEqual(feed.items, [
+      {
+        id: 'acme-2026-q3',
+        title: 'ACME’s Q3 results beat “street” estimates',
+        summary: 'Revenue rose 12% to $1.2 billion. Margins & guidance improved.',
+        link: 'https://ir.acme.example/news/q3',
+        image: 'https://ir.acme.example/q3.jpg',
+        source: 'ACME IR',
+        publishedAt: new Date('2026-10-19T13:30:00Z'),
+      },
+      {
+        id: 'https://ir.acme.example/news/investor-day',
+        title: 'ACME to present at Investor Day',
+        summary: 'Join us — live webcast',
+        link: 'https://ir.acme.example/news/investor-day',
+        image: 'https://ir.acme.example/investor-day.png',
+        source: null,
+        publishedAt: new Date('2026-10-18T09:00:00Z'),
+      },
+      {
+        id: 'acme-undated',
+        title: 'ACME names new CFO',
+        summary: null,
+        link: 'https://ir.acme.example/news/cfo',
+        image: null,
+        source: null,
+        publishedAt: null,
+      },
+    ]);
+  });
+
+  it('reads Atom entries', () => {
+    const feed = parseFixture('atom.xml');
+
+    assert.equal(feed.title, 'ACME Newsroom');
+    assert.deepEqual(feed.items, [
+      {
+        id: 'urn:acme:news:merger',
+        title: 'ACME & Bolt agree to merge',
+        summary: 'The combined company’s sales top $5B.',
+        link: 'https://news.acme.example/merger',
+        image: null,
+        source: 'ACME Wire',
+        publishedAt: new Date('2026-10-19T11:00:00Z'),
+      },
+      {
+        id: 'urn:acme:news:plant',
+        title: 'Plant expansion update',
+        summary: 'Construction is on schedule for 2027',
+        link: 'https://news.acme.example/plant',
+        image: null,
+        source: null,
+        publishedAt: new Date('2026-10-17T08:00:00Z'),
+      },
+    ]);
+  });
+
+  it('reads RSS 1.0 (RDF) items', () => {
+    const feed = parseFixture('rdf.xml');
+
+    assert.equal(feed.title, 'ACME Filings');
+    assert.deepEqual(feed.items.map(item => [item.id, item.title, item.publishedAt]), [
+      ['https://filings.example/acme/8-k', 'Form 8-K', new Date('2026-10-16T20:05:00Z')],
+    ]);
+  });
+
+  it('rejects documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), { message: 'Unrecognised feed format (expected RSS or Atom)' });
+  });
+});
+
+describe('feedParser.stripHtml', () => {
+  it('decodes decimal, hex and named entities', () => {
+    assert.equal(stripHtml('It&#x2019;s &#8220;big&#8221;'), 'It’s “big”');
+    assert.equal(stripHtml('Stocks &#X1F4C8; &amp; bonds&nbsp;&#39;26'), 'Stocks 📈 & bonds \'26');
+    assert.equal(stripHtml('&quot;AT&amp;T&quot; &lt;T&gt; &apos;26'), '"AT&T" <T> \'26');
+  });
+
+  it('decodes each entity once', () => {
+    assert.equal(stripHtml('&amp;lt;b&amp;gt; &amp;#x2019;'), '&lt;b&gt; &#x2019;');
+  });
+
+  it('leaves unknown and invalid entities as written', () => {
+    assert.equal(stripHtml('&copy; 2026 &#x110000; &#0;'), '&copy; 2026 &#x110000; &#0;');
+  });
+
+  it('drops tags and collapses whitespace', () => {
+    assert.equal(stripHtml('<p>Revenue <b>rose</b>\n\n 12%</p>'), 'Revenue rose 12%');
+    assert.equal(stripHtml('<br/>'), null);
+    assert.equal(stripHtml(null), null);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('crypto');
+const { computeSignature, estimateSimilarity, computeBandKeys } = require('../../src/helpers/minhash');
+
+const STORY = 'Acme Corp agrees to acquire Bolt Industries for $2 billion in cash, creating the largest maker of industrial fasteners in North America';
+
+describe('minhash', () => {
+  it('gives identical texts identical signatures', () => {
+    assert.deepEqual(computeSignature(STORY), computeSignature(STORY.toUpperCase()));
+    assert.equal(estimateSimilarity(computeSignature(STORY), computeSignature(STORY)), 1);
+  });
+
+  it('returns an empty signature for text without words', () => {
+    assert.deepEqual(computeSignature(' -- '), []);
+    assert.deepEqual(computeBandKeys([]), []);
+  });
+
+  it('splits a signature into 16 band keys', () => {
+    const signature = computeSignature(STORY);
+    const keys = computeBandKeys(signature);
+
+    assert.equal(keys.length, 16);
+    keys.forEach((key, band) => assert.match(key, new RegExp(`^${band}:[0-9a-f]{12}$`)));
+  });
+
+  it('computes band keys the way the migration backfill does', () => {
+    const signature = computeSignature(STORY);
+
+    // md5 of the band's four values joined like Postgres array_to_string(minhash[a:b], ',')
+    const expected = `3:${createHash('md5').update(signature.slice(12, 16).join(',')).digest('hex').slice(0, 12)}`;
+
+    assert.equal(computeBandKeys(signature)[3], expected);
+  });
+
+  it('makes near-duplicates share a band and unrelated stories not', () => {
+    const syndicated = computeBandKeys(computeSignature(`${STORY}, according to a statement on Monday`));
+    const original = new Set(computeBandKeys(computeSignature(STORY)));
+    const unrelated = computeBandKeys(computeSignature('Federal Reserve holds interest rates steady as inflation cools and hiring slows across the economy'));
+
+    assert.ok(syndicated.some(key => original.has(key)));
+    assert.ok(!unrelated.some(key => original.has(key)));
+  });
+});
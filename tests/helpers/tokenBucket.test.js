@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TokenBucket = require('../../src/helpers/tokenBucket');
+const { createClock } = require('../support/fakeClock');
+
+/**
+ * Ask a bucket for a token and note when it is handed out
+ * @param {TokenBucket} bucket - Bucket
+ * @param {Array<string>} served - Collects the names of served callers
+ * @param {string} name - Caller name
+ */
+const take = (bucket, served, name) => {
+  bucket.take().then(() => served.push(name));
+};
+
+/**
+ * Let resolved takes run their callbacks
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TokenBucket', () => {
+  it('allows a burst up to its capacity', async () => {
+    const bucket = new TokenBucket(3, 60, createClock());
+    const served = [];
+
+    ['a', 'b', 'c', 'd'].forEach(name => take(bucket, served, name));
+    await settle();
+
+    assert.deepEqual(served, ['a', 'b', 'c']);
+    assert.deepEqual(bucket.getState(), { capacity: 3, tokens: 0, waiting: 1, pausedUntil: null });
+  });
+
+  it('serves waiting callers in order at the refill rate', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket(1, 60, clock);
+    const served = [];
+
+    ['a', 'b', 'c'].forEach(name => take(bucket, served, name));
+    await settle();
+    assert.deepEqual(served, ['a']);
+
+    clock.advance(999);
+    await settle();
+    assert.deepEqual(served, ['a']);
+
+    clock.advance(1);
+    await settle();
+    assert.deepEqual(served, ['a', 'b']);
+
+    clock.advance(1000);
+    await settle();
+    assert.deepEqual(served, ['a', 'b', 'c']);
+  });
+
+  it('refills up to its capacity while idle', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket(5, 60, clock);
+    const served = [];
+
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => take(bucket, served, name));
+    await settle();
+    assert.equal(bucket.getState().tokens, 0);
+
+    clock.advance(2500);
+    assert.equal(bucket.getState().tokens, 2);
+
+    clock.advance(60000);
+    assert.equal(bucket.getState().tokens, 5);
+  });
+
+  it('holds every caller during a pause and then resumes at the sustained rate', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket(5, 60, clock);
+    const served = [];
+
+    bucket.pause(5000);
+    assert.deepEqual(bucket.getState().pausedUntil, new Date(clock.now() + 5000));
+    take(bucket, served, 'a');
+    take(bucket, served, 'b');
+
+    clock.advance(5000);
+    await settle();
+    assert.deepEqual(served, []);
+
+    clock.advance(1000);
+    await settle();
+    assert.deepEqual(served, ['a']);
+
+    clock.advance(1000);
+    await settle();
+    assert.deepEqual(served, ['a', 'b']);
+    assert.equal(bucket.getState().pausedUntil, null);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDomain, matchesDomain, isPrivateAddress } = require('../../src/helpers/urlHelper');
+
+describe('urlHelper.getDomain', () => {
+  it('lower-cases the host and drops a leading www', () => {
+    assert.equal(getDomain('https://WWW.Example.com/path?q=1'), 'example.com');
+  });
+
+  it('accepts bare domains', () => {
+    assert.equal(getDomain('reuters.com/markets'), 'reuters.com');
+  });
+
+  it('returns null for empty or invalid values', () => {
+    assert.equal(getDomain(null), null);
+    assert.equal(getDomain('http://'), null);
+  });
+});
+
+describe('urlHelper.matchesDomain', () => {
+  it('matches a domain and its subdomains only', () => {
+    assert.equal(matchesDomain('wsj.com', ['wsj.com']), true);
+    assert.equal(matchesDomain('blogs.wsj.com', ['wsj.com']), true);
+    assert.equal(matchesDomain('notwsj.com', ['wsj.com']), false);
+    assert.equal(matchesDomain(null, ['wsj.com']), false);
+  });
+});
+
+describe('urlHelper.isPrivateAddress', () => {
+  const privateAddresses = [
+    '0.0.0.0',
+    '10.1.2.3',
+    '100.64.0.1',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '192.0.0.8',
+    '192.168.1.1',
+    '198.18.0.1',
+    '198.19.255.255',
+    '224.0.0.1',
+    '255.255.255.255',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::ffff:a9fe:a9fe',
+    '0:0:0:0:0:ffff:7f00:1',
+    '64:ff9b::7f00:1',
+    '2002:7f00:1::1',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+    'ff02::1',
+  ];
+
+  const publicAddresses = [
+    '1.1.1.1',
+    '8.8.8.8',
+    '100.128.0.1',
+    '172.32.0.1',
+    '198.20.0.1',
+    '2606:4700::1111',
+    '2001:4860:4860::8888',
+  ];
+
+  privateAddresses.forEach((address) => {
+    it(`treats ${address} as private`, () => {
+      assert.equal(isPrivateAddress(address), true);
+    });
+  });
+
+  publicAddresses.forEach((address) => {
+    it(`treats ${address} as public`, () => {
+      assert.equal(isPrivateAddress(address), false);
+    });
+  });
+
+  it('treats values that are not IP addresses as private', () => {
+    assert.equal(isPrivateAddress('localhost'), true);
+    assert.equal(isPrivateAddress(''), true);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const config = require('../../src/config');
+const alertHooks = require('../../src/services/alertHooks');
+const alertMatchService = require('../../src/services/alertMatchService');
+
+const NEWS = {
+  id: 'n1',
+  headline: 'FDA approval for ACME drug',
+  summary: 'ACME also announced a buyback',
+  url: 'https://example.com/fda',
+  source: 'Reuters',
+  datetime: new Date(),
+};
+
+describe('alertMatchService.matchArticle', () => {
+  const originalHooks = config.alertHooks;
+  let delivered;
+  let stored;
+
+  before(() => {
+    alertHooks.registerHook({
+      name: 'test',
+      deliver: async (alert) => {
+        delivered.push(alert);
+      },
+    });
+    config.alertHooks = ['test'];
+  });
+
+  after(() => {
+    config.alertHooks = originalHooks;
+  });
+
+  beforeEach(() => {
+    reset();
+    alertMatchService.invalidateRules();
+    delivered = [];
+    stored = new Map();
+    prisma.alertRule.findMany = async () => [
+      { id: 'r1', userId: 'u1', name: 'FDA', expression: '"FDA approval"', stockIds: [], sources: [] },
+      { id: 'r2', userId: 'u2', name: 'Buybacks', expression: 'buyback', stockIds: ['s1'], sources: [] },
+      { id: 'r3', userId: 'u3', name: 'Mergers', expression: 'merger', stockIds: [], sources: [] },
+    ];
+    // The unique (ruleId, newsId) index: conflicting rows are skipped and not returned
+    prisma.$queryRaw = async (strings, ...values) => {
+      assert.match(strings.join('?'), /ON CONFLICT \("ruleId", "newsId"\) DO NOTHING/);
+      const rows = values[0].values.map(({ values: [id, ruleId, userId, newsId, stockId] }) => ({ id, ruleId, userId, newsId, stockId }));
+      const inserted = rows.filter(row => !stored.has(`${row.ruleId}:${row.newsId}`));
+      inserted.forEach(row => stored.set(`${row.ruleId}:${row.newsId}`, { ...row, matchedAt: new Date() }));
+      return inserted.map(row => stored.get(`${row.ruleId}:${row.newsId}`));
+    };
+  });
+
+  /**
+   * Let background deliveries finish
+   * @returns {Promise<void>}
+   */
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('records and delivers the rules an article matches', async () => {
+    const count = await alertMatchService.matchArticle(NEWS, 's1', { created: true });
+    await settle();
+
+    assert.equal(count, 2);
+    assert.deepEqual(delivered.map(alert => alert.rule.id).sort(), ['r1', 'r2']);
+    assert.equal(delivered[0].article.id, 'n1');
+  });
+
+  it('delivers each alert once when two syncs record the same match', async () => {
+    const counts = await Promise.all([
+      alertMatchService.matchArticle(NEWS, 's1', { created: true }),
+      alertMatchService.matchArticle(NEWS, 's1', { created: false }),
+    ]);
+    await settle();
+
+    assert.equal(counts[0] + counts[1], 2);
+    assert.deepEqual(delivered.map(alert => alert.rule.id).sort(), ['r1', 'r2']);
+  });
+
+  it('records but does not deliver matches on old articles', async () => {
+    const old = { ...NEWS, datetime: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) };
+
+    assert.equal(await alertMatchService.matchArticle(old, 's1', { created: true }), 2);
+    await settle();
+    assert.equal(delivered.length, 0);
+  });
+});
@@ -0,0 +1,245 @@
+process.env.READER_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.READER_TIMEOUT_MS = '500';
+process.env.READER_PAYWALL_DOMAINS = 'paywalled.test';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const { startServer } = require('../support/localServer');
+const config = require('../../src/config');
+const articleContentService = require('../../src/services/articleContentService');
+
+const paragraph = (index) => `<p>Paragraph ${index} of the story, with enough words, commas and detail to count as article text for the extractor.</p>`;
+
+const ARTICLE_HTML = `<!doctype html>
+<html>
+<head>
+  <title>Page title</title>
+  <meta property="og:title" content="Acme beats estimates">
+  <meta name="author" content="Jane Reporter">
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/markets">Markets</a></nav>
+  <article class="story-body">
+    ${[1, 2, 3, 4, 5].map(paragraph).join('\n    ')}
+    <script>alert('tracked')</script>
+  </article>
+</body>
+</html>`;
+
+describe('articleContentService.getArticleContent', () => {
+  let server;
+  let newsRows;
+  let contentRows;
+
+  const addNews = (id, url) => {
+    newsRows.set(id, { id, url, headline: `Headline ${id}`, image: null, domain: null });
+  };
+
+  before(async () => {
+    server = await startServer((req, res) => {
+      const loop = req.url.match(/^\/loop\/(\d+)$/);
+      if (loop) {
+        res.writeHead(302, { Location: `/loop/${parseInt(loop[1], 10) + 1}` });
+        res.end();
+        return;
+      }
+
+      switch (req.url) {
+        case '/article':
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(ARTICLE_HTML);
+          return;
+        case '/redirect-1':
+          res.writeHead(301, { Location: '/redirect-2' });
+          res.end();
+          return;
+        case '/redirect-2':
+          res.writeHead(307, { Location: server.url('/article') });
+          res.end();
+          return;
+        case '/to-paywall':
+          res.writeHead(302, { Location: 'http://www.paywalled.test/story' });
+          res.end();
+          return;
+        case '/slow':
+          // Headers and part of the body, then nothing: the deadline covers the whole download
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.write('<html><body><p>Loading');
+          return;
+        case '/huge': {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          const chunk = `<p>${'x'.repeat(64 * 1024)}</p>`;
+          for (let i = 0; i < 60; i++) {
+            res.write(chunk);
+          }
+          res.end();
+          return;
+        }
+        case '/image':
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.end('not html');
+          return;
+        default:
+          res.writeHead(404);
+          res.end();
+      }
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    reset();
+    newsRows = new Map();
+    contentRows = new Map();
+
+    prisma.news.findUnique = async ({ where }) => {
+      const news = newsRows.get(where.id);
+      return news ? { ...news, content: contentRows.get(where.id) || null } : null;
+    };
+    prisma.articleContent.upsert = async ({ where, create, update }) => {
+      const row = contentRows.has(where.newsId) ? { ...contentRows.get(where.newsId), ...update } : create;
+      contentRows.set(where.newsId, row);
+      return row;
+    };
+  });
+
+  it('extracts the article body and sanitizes it', async () => {
+    addNews('n1', server.url('/article'));
+
+    const content = await articleContentService.getArticleContent('n1');
+
+    assert.equal(content.title, 'Acme beats estimates');
+    assert.equal(content.byline, 'Jane Reporter');
+    assert.equal(content.finalUrl, server.url('/article'));
+    assert.match(content.text, /Paragraph 1 of the story/);
+    assert.match(content.text, /Paragraph 5 of the story/);
+    assert.doesNotMatch(content.html, /<script|alert/);
+    assert.doesNotMatch(content.text, /Markets/);
+    assert.ok(content.wordCount > 50);
+  });
+
+  it('caches extracted content so the page is downloaded once', async () => {
+    addNews('n1', server.url('/article'));
+    const before = server.hits('/article');
+
+    await articleContentService.getArticleContent('n1');
+    await articleContentService.getArticleContent('n1');
+
+    assert.equal(server.hits('/article') - before, 1);
+    assert.equal(contentRows.get('n1').status, 'ok');
+  });
+
+  it('shares one download between concurrent requests', async () => {
+    addNews('n1', server.url('/article'));
+    const before = server.hits('/article');
+
+    const results = await Promise.all([
+      articleContentService.getArticleContent('n1'),
+      articleContentService.getArticleContent('n1'),
+    ]);
+
+    assert.equal(server.hits('/article') - before, 1);
+    assert.equal(results[0].text, results[1].text);
+  });
+
+  it('follows redirects and records the final URL', async () => {
+    addNews('n1', server.url('/redirect-1'));
+
+    const content = await articleContentService.getArticleContent('n1');
+
+    assert.equal(content.url, server.url('/redirect-1'));
+    assert.equal(content.finalUrl, server.url('/article'));
+  });
+
+  it('gives up after too many redirects', async () => {
+    addNews('n1', server.url('/loop/0'));
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article content could not be extracted' });
+
+    assert.equal(contentRows.get('n1').status, 'failed');
+    assert.equal(contentRows.get('n1').error, 'Too many redirects');
+    // The first request plus five redirects
+    assert.equal(server.hits('/loop/5'), 1);
+    assert.equal(server.hits('/loop/6'), 0);
+  });
+
+  it('times out a page that never finishes downloading', async () => {
+    addNews('n1', server.url('/slow'));
+    const startedAt = Date.now();
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article content could not be extracted' });
+
+    assert.match(contentRows.get('n1').error, /Page request timed out/);
+    assert.ok(Date.now() - startedAt < 2000);
+  });
+
+  it('refuses pages over the size limit', async () => {
+    addNews('n1', server.url('/huge'));
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article content could not be extracted' });
+
+    assert.match(contentRows.get('n1').error, /Page exceeds maximum size/);
+  });
+
+  it('refuses pages that are not HTML', async () => {
+    addNews('n1', server.url('/image'));
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article content could not be extracted' });
+
+    assert.equal(contentRows.get('n1').error, 'Unsupported content type image/png');
+  });
+
+  it('skips known paywalled domains without downloading them', async () => {
+    addNews('n1', 'https://www.paywalled.test/story');
+    prisma.articleContent.upsert = async () => {
+      throw new Error('Paywalled articles should not be stored');
+    };
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article is behind a paywall' });
+  });
+
+  it('marks an article paywalled when a redirect lands on a paywalled domain', async () => {
+    addNews('n1', server.url('/to-paywall'));
+
+    await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article is behind a paywall' });
+
+    assert.equal(contentRows.get('n1').status, 'paywalled');
+  });
+
+  it('throws when the article does not exist', async () => {
+    await assert.rejects(articleContentService.getArticleContent('missing'), { message: 'News not found' });
+  });
+
+  describe('with private hosts refused', () => {
+    before(() => {
+      config.readerAllowPrivateHosts = false;
+    });
+
+    after(() => {
+      config.readerAllowPrivateHosts = true;
+    });
+
+    const refusedUrls = [
+      ['a loopback IPv4 literal', (port) => `http://127.0.0.1:${port}/article`],
+      ['an IPv4-mapped IPv6 literal', (port) => `http://[::ffff:127.0.0.1]:${port}/article`],
+      ['a NAT64 IPv6 literal', (port) => `http://[64:ff9b::7f00:1]:${port}/article`],
+      ['a host name that resolves to loopback', (port) => `http://localhost:${port}/article`],
+    ];
+
+    refusedUrls.forEach(([label, buildUrl]) => {
+      it(`refuses ${label}`, async () => {
+        addNews('n1', buildUrl(server.port));
+        const before = server.hits();
+
+        await assert.rejects(articleContentService.getArticleContent('n1'), { message: 'Article content could not be extracted' });
+
+        assert.match(contentRows.get('n1').error, /Refusing to fetch private address/);
+        assert.equal(server.hits(), before);
+      });
+    });
+  });
+});
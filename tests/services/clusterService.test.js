@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const clusterService = require('../../src/services/clusterService');
+
+const STORY = { headline: 'Acme to buy Bolt Industries for $2 billion', summary: 'Acme Corp agreed to acquire fastener maker Bolt Industries in an all-cash deal' };
+
+describe('clusterService.findMatchingCluster', () => {
+  beforeEach(() => {
+    reset();
+  });
+
+  it('only looks up representatives sharing a band, newest first and bounded', async () => {
+    const signature = clusterService.computeArticleSignature(STORY);
+    let query;
+    prisma.news.findMany = async (args) => {
+      query = args;
+      return [];
+    };
+
+    await clusterService.findMatchingCluster(signature, new Date('2026-10-19T12:00:00Z'));
+
+    assert.deepEqual(query.where.minhashBands, { hasSome: clusterService.computeArticleBands(signature) });
+    assert.equal(query.where.isDuplicate, false);
+    assert.deepEqual(query.where.datetime, {
+      gte: new Date('2026-10-16T12:00:00Z'),
+      lte: new Date('2026-10-22T12:00:00Z'),
+    });
+    assert.deepEqual(query.orderBy, { datetime: 'desc' });
+    assert.ok(query.take > 0 && query.take <= 1000);
+  });
+
+  it('picks the most similar candidate above the threshold', async () => {
+    const signature = clusterService.computeArticleSignature(STORY);
+    prisma.news.findMany = async () => [
+      { id: 'unrelated', minhash: clusterService.computeArticleSignature({ headline: 'Fed holds rates steady as inflation cools' }) },
+      { id: 'close', minhash: clusterService.computeArticleSignature({ ...STORY, summary: `${STORY.summary}, the companies said` }) },
+      { id: 'same', minhash: signature },
+    ];
+
+    const match = await clusterService.findMatchingCluster(signature, new Date());
+
+    assert.deepEqual(match, { id: 'same', similarity: 1 });
+  });
+
+  it('does not look anything up for an article without words', async () => {
+    assert.equal(await clusterService.findMatchingCluster([], new Date()), null);
+  });
+});
+
+describe('clusterService.attachRelatedArticles', () => {
+  beforeEach(() => {
+    reset();
+  });
+
+  it('lists a capped number of duplicates with the full count', async () => {
+    let values;
+    prisma.$queryRaw = async (strings, ...queryValues) => {
+      values = queryValues;
+      return [
+        { id: 'd1', clusterId: 'r1', headline: 'Copy 1', url: 'https://a.example/1', source: 'A', datetime: new Date('2026-10-19T10:00:00Z'), clusterSize: 25n },
+        { id: 'd2', clusterId: 'r1', headline: 'Copy 2', url: 'https://b.example/2', source: 'B', datetime: new Date('2026-10-19T11:00:00Z'), clusterSize: 25n },
+      ];
+    };
+
+    const [withCopies, alone] = await clusterService.attachRelatedArticles([{ id: 'r1' }, { id: 'r2' }]);
+
+    assert.equal(withCopies.relatedCount, 25);
+    assert.deepEqual(withCopies.relatedArticles.map(article => article.id), ['d1', 'd2']);
+    assert.equal('clusterSize' in withCopies.relatedArticles[0], false);
+    assert.equal(alone.relatedCount, 0);
+    assert.deepEqual(alone.relatedArticles, []);
+    // The per-cluster cap is passed to the query
+    assert.ok(values.includes(10));
+  });
+
+  it('skips the query for an empty page', async () => {
+    assert.deepEqual(await clusterService.attachRelatedArticles([]), []);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset, matchesWhere } = require('../support/fakePrisma');
+const digestService = require('../../src/services/digestService');
+
+// 12:00 UTC is 08:00 in New York and 21:00 in Tokyo
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('digestService.sendDueDigests', () => {
+  let users;
+  let loadedUserIds;
+
+  beforeEach(() => {
+    reset();
+    loadedUserIds = [];
+    users = [
+      { id: 'ny-due', timezone: 'America/New_York', digestHour: 8 },
+      { id: 'ny-later', timezone: 'America/New_York', digestHour: 9 },
+      // Local midnight was 04:00 UTC
+      { id: 'ny-missed', timezone: 'America/New_York', digestHour: 6, lastDigestSentAt: new Date('2026-10-18T10:00:00Z') },
+      { id: 'ny-sent-today', timezone: 'America/New_York', digestHour: 6, lastDigestSentAt: new Date('2026-10-19T10:00:00Z') },
+      { id: 'tokyo-due', timezone: 'Asia/Tokyo', digestHour: 21 },
+      { id: 'utc-due', timezone: null, digestHour: 12 },
+      { id: 'invalid-due', timezone: 'Mars/Olympus_Mons', digestHour: 12 },
+      { id: 'invalid-later', timezone: 'Mars/Olympus_Mons', digestHour: 13 },
+      { id: 'disabled', timezone: null, digestHour: 12, digestEnabled: false },
+      { id: 'sent-today', timezone: null, digestHour: 12, lastDigestSentAt: new Date('2026-10-19T08:00:00Z') },
+    ].map(user => ({
+      email: `${user.id}@example.com`,
+      digestEnabled: true,
+      lastDigestSentAt: null,
+      watchlist: [{ stockId: 's1' }],
+      ...user,
+    }));
+
+    prisma.user.findMany = async ({ where, distinct }) => {
+      const matched = users.filter(user => matchesWhere(user, where));
+      if (distinct) {
+        const values = [...new Set(matched.map(user => user[distinct[0]]))];
+        return values.map(value => ({ [distinct[0]]: value }));
+      }
+      loadedUserIds = matched.map(user => user.id);
+      return matched;
+    };
+    // Empty watchlists: every loaded user is skipped without news
+    prisma.userStock.findMany = async () => [];
+  });
+
+  it('only loads users whose digest hour has come and who got no digest today', async () => {
+    const stats = await digestService.sendDueDigests(NOW);
+
+    assert.deepEqual(loadedUserIds.sort(), ['invalid-due', 'ny-due', 'ny-missed', 'tokyo-due', 'utc-due']);
+    assert.equal(stats.checked, 5);
+    assert.equal(stats.skippedNoNews, 5);
+  });
+
+  it('catches up a digest hour skipped by the spring DST change', async () => {
+    // 2026-03-08 in New York: 02:00 EST jumps to 03:00 EDT (07:00 UTC); midnight was 05:00 UTC
+    users = [
+      { id: 'skipped-hour', timezone: 'America/New_York', digestHour: 2, lastDigestSentAt: new Date('2026-03-07T07:00:00Z') },
+      { id: 'sent-after-midnight', timezone: 'America/New_York', digestHour: 2, lastDigestSentAt: new Date('2026-03-08T05:30:00Z') },
+      { id: 'sent-before-midnight', timezone: 'America/New_York', digestHour: 2, lastDigestSentAt: new Date('2026-03-08T04:30:00Z') },
+    ].map(user => ({ email: `${user.id}@example.com`, digestEnabled: true, watchlist: [{ stockId: 's1' }], ...user }));
+
+    await digestService.sendDueDigests(new Date('2026-03-08T07:00:00Z'));
+
+    assert.deepEqual(loadedUserIds.sort(), ['sent-before-midnight', 'skipped-hour']);
+  });
+
+  it('sends once in the hour repeated by the autumn DST change', async () => {
+    // 2026-11-01 in New York: 01:00 EDT (05:00 UTC) repeats as 01:00 EST (06:00 UTC)
+    users = [
+      { id: 'sent-first-pass', timezone: 'America/New_York', digestHour: 1, lastDigestSentAt: new Date('2026-11-01T05:00:00Z') },
+    ].map(user => ({ email: `${user.id}@example.com`, digestEnabled: true, watchlist: [{ stockId: 's1' }], ...user }));
+
+    await digestService.sendDueDigests(new Date('2026-11-01T06:00:00Z'));
+
+    assert.deepEqual(loadedUserIds, []);
+  });
+});
+
+describe('digestService.buildDigest', () => {
+  beforeEach(() => {
+    reset();
+    prisma.userStock.findMany = async () => [{ stock: { id: 's1', symbol: 'ACME' } }];
+    prisma.muteRule.findMany = async () => [{ kind: 'regex', value: 'lawsuit' }];
+    prisma.newsStock.findMany = async () => [
+      { news: { id: 'n1', headline: 'ACME beats estimates', sentimentScore: 0.5 } },
+      { news: { id: 'n2', headline: 'ACME hit with lawsuit', sentimentScore: -1 } },
+      { news: { id: 'n3', headline: 'ACME raises guidance', sentimentScore: 0.7 } },
+      { news: { id: 'n4', headline: 'ACME sets date for results', sentimentScore: null } },
+    ];
+  });
+
+  it('leaves regex-muted articles out of the count and the sentiment average', async () => {
+    const digest = await digestService.buildDigest({ id: 'user-1', timezone: null }, NOW);
+
+    const [entry] = digest.stocks;
+    assert.equal(entry.articleCount, 3);
+    assert.equal(entry.sentiment.averageScore, 0.6);
+    assert.deepEqual(entry.articles.map(article => article.id), ['n1', 'n3', 'n4']);
+  });
+});
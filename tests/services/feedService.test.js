@@ -0,0 +1,60 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const { startServer } = require('../support/localServer');
+const newsService = require('../../src/services/newsService');
+const feedService = require('../../src/services/feedService');
+
+/**
+ * Build an RSS document with one item
+ * @param {string} link - Item link
+ * @returns {string}
+ */
+const rssWithItem = (link) => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>IR News</title>
+  <item><guid isPermaLink="false">1</guid><title>Quarterly results</title><link>${link}</link></item>
+</channel></rss>`;
+
+describe('feedService.syncAllFeeds', () => {
+  const originalSave = newsService.saveArticleForStock;
+  let server;
+  let saved;
+
+  before(async () => {
+    server = await startServer((req, res) => {
+      res.setHeader('Content-Type', 'application/rss+xml');
+      res.end(rssWithItem(`https://example.com${req.url}/results`));
+    });
+    newsService.saveArticleForStock = async (article, stock) => {
+      saved.push({ article, stock });
+      return 'new';
+    };
+  });
+
+  after(async () => {
+    newsService.saveArticleForStock = originalSave;
+    await server.close();
+  });
+
+  beforeEach(() => {
+    reset();
+    saved = [];
+    const stock = { id: 's1', symbol: 'ACME', description: 'ACME CORP' };
+    prisma.newsFeed.findMany = async () => [
+      { id: 'feed-a', url: server.url('/a'), title: null, stockId: stock.id, stock },
+      { id: 'feed-b', url: server.url('/b'), title: null, stockId: stock.id, stock },
+    ];
+    prisma.newsFeed.update = async ({ data }) => data;
+    prisma.stockAlias.findMany = async () => [];
+  });
+
+  it('keeps items of different feeds apart when they reuse a guid', async () => {
+    const result = await feedService.syncAllFeeds();
+
+    assert.equal(result.successCount, 2);
+    assert.deepEqual(saved.map(({ article }) => [article.provider, article.externalId, article.feedId]), [
+      ['rss', 'feed-a:1', 'feed-a'],
+      ['rss', 'feed-b:1', 'feed-b'],
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { createClient } = require('../../src/services/finnhubClient');
+const { startServer } = require('../support/localServer');
+const { createClock } = require('../support/fakeClock');
+
+const SETTINGS = [
+  'finnhubApiKey',
+  'finnhubRequestsPerMinute',
+  'finnhubBurst',
+  'finnhubMaxRetries',
+  'finnhubCircuitFailureThreshold',
+  'finnhubCircuitCooldownSeconds',
+];
+
+describe('finnhubClient', () => {
+  const original = Object.fromEntries(SETTINGS.map(key => [key, config[key]]));
+  let server;
+  let responses;
+  let clock;
+  let hitsBefore;
+
+  /**
+   * Create a client against the local server (jitter always takes the full backoff)
+   * @returns {Object} - { get, getUsage }
+   */
+  const client = () => createClient({ baseUrl: server.url('/api/v1'), clock, random: () => 1 });
+
+  before(async () => {
+    server = await startServer((req, res) => {
+      const { status = 200, headers = {}, body = '[]' } = responses.shift() || {};
+      res.writeHead(status, headers);
+      res.end(body);
+    });
+  });
+
+  after(async () => {
+    Object.assign(config, original);
+    await server.close();
+  });
+
+  beforeEach(() => {
+    Object.assign(config, {
+      finnhubApiKey: 'test-key',
+      finnhubRequestsPerMinute: 60,
+      finnhubBurst: 10,
+      finnhubMaxRetries: 3,
+      finnhubCircuitFailureThreshold: 5,
+      finnhubCircuitCooldownSeconds: 30,
+    });
+    responses = [];
+    clock = createClock({ autoAdvance: true });
+    hitsBefore = server.hits();
+  });
+
+  /**
+   * Requests the local server received during the test
+   * @returns {number}
+   */
+  const hits = () => server.hits() - hitsBefore;
+
+  it('holds calls beyond the burst until a token is earned', async () => {
+    config.finnhubBurst = 2;
+    const finnhub = client();
+
+    const results = await Promise.all([1, 2, 3].map(() => finnhub.get('/news', { category: 'general' })));
+
+    assert.deepEqual(results, [[], [], []]);
+    assert.deepEqual(clock.delays, [1000]);
+    assert.equal(finnhub.getUsage().requestsLastMinute, 3);
+    assert.equal(hits(), 3);
+  });
+
+  it('retries server errors with exponential backoff', async () => {
+    responses = [{ status: 500 }, { status: 503 }, { body: '{"ok":true}' }];
+    const finnhub = client();
+
+    assert.deepEqual(await finnhub.get('/news'), { ok: true });
+    assert.deepEqual(clock.delays, [1000, 2000]);
+    assert.deepEqual(finnhub.getUsage().totals, {
+      requests: 3,
+      successes: 1,
+      failures: 0,
+      retries: 2,
+      rateLimited: 0,
+      timeouts: 0,
+      circuitRejections: 0,
+    });
+  });
+
+  it('gives up once the retries are used up', async () => {
+    config.finnhubMaxRetries = 0;
+    responses = [{ status: 500, body: 'boom' }];
+    const finnhub = client();
+
+    await assert.rejects(finnhub.get('/news'), { message: 'Finnhub API returned status 500: boom' });
+    assert.equal(hits(), 1);
+    assert.equal(finnhub.getUsage().byPath['/news'].failures, 1);
+  });
+
+  it('does not retry client errors', async () => {
+    responses = [{ status: 403, body: 'no access' }];
+    const finnhub = client();
+
+    await assert.rejects(finnhub.get('/news'), { message: 'Finnhub API returned status 403: no access' });
+    assert.equal(hits(), 1);
+    assert.deepEqual(clock.delays, []);
+  });
+
+  it('pauses every caller for the Retry-After of a 429', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '3' } }, { body: '{"ok":true}' }];
+    const finnhub = client();
+    const started = clock.now();
+
+    assert.deepEqual(await finnhub.get('/news'), { ok: true });
+    assert.equal(clock.delays[0], 3000);
+    assert.ok(clock.now() - started >= 3000);
+    assert.equal(finnhub.getUsage().totals.rateLimited, 1);
+    assert.equal(finnhub.getUsage().totals.retries, 1);
+  });
+
+  it('fails a call that would have to wait too long after a 429', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '600' }, body: 'slow down' }];
+    const finnhub = client();
+
+    await assert.rejects(finnhub.get('/news'), { message: 'Finnhub API returned status 429: slow down' });
+    assert.deepEqual(finnhub.getUsage().limiter.pausedUntil, new Date(clock.now() + 600 * 1000));
+  });
+
+  it('opens the circuit after repeated failures and closes it after a successful trial', async () => {
+    config.finnhubMaxRetries = 0;
+    config.finnhubCircuitFailureThreshold = 2;
+    clock = createClock();
+    responses = [{ status: 500 }, { status: 502 }];
+    const finnhub = client();
+
+    await assert.rejects(finnhub.get('/news'), { message: /status 500/ });
+    await assert.rejects(finnhub.get('/news'), { message: /status 502/ });
+    await assert.rejects(finnhub.get('/news'), { message: 'Finnhub circuit is open' });
+    assert.equal(hits(), 2);
+    assert.equal(finnhub.getUsage().circuit.state, 'open');
+    assert.equal(finnhub.getUsage().totals.circuitRejections, 1);
+
+    clock.advance(30 * 1000);
+    assert.deepEqual(await finnhub.get('/news'), []);
+    assert.equal(finnhub.getUsage().circuit.state, 'closed');
+    assert.equal(hits(), 3);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset, matchesWhere } = require('../support/fakePrisma');
+const { renderSql } = require('../support/sql');
+const muteRuleService = require('../../src/services/muteRuleService');
+
+/**
+ * Load a mute filter for a set of rules
+ * @param {Array<Object>} rules - Mute rules ({ kind, value })
+ * @returns {Promise<Object>} - Mute filter
+ */
+const filterFor = async (rules) => {
+  prisma.muteRule.findMany = async () => rules;
+  return await muteRuleService.getMuteFilter('user-1');
+};
+
+/**
+ * Evaluate a mute filter's SQL condition against a row, as PostgreSQL would
+ * Handles the constructs source, domain and keyword rules use: columns of n,
+ * lower/right/strpos, IS NULL, = and <> against a value, AND, OR and TRUE.
+ * A comparison with NULL is NULL, which filters the row out like false does
+ * (the conditions never negate it)
+ * @param {Object} fragment - SQL fragment
+ * @param {Object} row - Article row
+ * @returns {boolean}
+ */
+const evaluateSql = (fragment, row) => {
+  const values = [];
+  const comparison = /(\w+\((?:[^()]|\([^()]*\))*\)|n\."\w+") (<>|=) (\$\d+|\d+)/g;
+  const js = renderSql(fragment, values)
+    .replace(comparison, (match, left, operator, right) => `compare(${left}, '${operator}', ${right})`)
+    .replace(/n\."(\w+)" IS NULL/g, (match, column) => `row.${column} == null`)
+    .replace(/n\."(\w+)"/g, (match, column) => `row.${column}`)
+    .replace(/\$(\d+)(?:::int)?/g, (match, index) => `values[${index - 1}]`)
+    .replace(/\bAND\b/g, '&&')
+    .replace(/\bOR\b/g, '||')
+    .replace(/\bTRUE\b/g, 'true');
+
+  const functions = {
+    lower: text => (text == null ? null : text.toLowerCase()),
+    right: (text, length) => (text == null ? null : text.slice(-length)),
+    strpos: (text, part) => (text == null ? null : text.indexOf(part) + 1),
+    compare: (left, operator, right) => (left == null ? null : operator === '=' ? left === right : left !== right),
+  };
+
+  return Boolean(new Function('row', 'values', ...Object.keys(functions), `return ${js};`)(row, values, ...Object.values(functions)));
+};
+
+describe('muteRuleService filter forms', () => {
+  const ROWS = [
+    { id: 'reuters', source: 'Reuters', domain: 'reuters.com', headline: 'ACME beats estimates' },
+    { id: 'reuters-lower', source: 'reuters', domain: 'www.reuters.com', headline: 'ACME raises guidance' },
+    { id: 'reuters-breaking', source: 'Reuters Breaking', domain: 'reuters.com.example.io', headline: 'ACME names CFO' },
+    { id: 'no-source', source: null, domain: null, headline: 'ACME RUMOR mill' },
+    { id: 'acme', source: 'ACME IR', domain: 'acme.com', headline: 'Rumors of a merger' },
+    { id: 'acme-sub', source: 'ACME IR', domain: 'ir.acme.com', headline: 'Quarterly results' },
+    { id: 'acme-lookalike', source: 'Blog', domain: 'notacme.com', headline: 'Hu-rumor-ous take' },
+  ];
+
+  /**
+   * Apply each form of a mute filter to ROWS
+   * @param {Object} filter - Mute filter
+   * @returns {Object} - IDs each form keeps ({ where, sql, accepts })
+   */
+  const kept = (filter) => ({
+    where: ROWS.filter(row => matchesWhere(row, filter.where)).map(row => row.id),
+    sql: ROWS.filter(row => evaluateSql(filter.sql, row)).map(row => row.id),
+    accepts: ROWS.filter(row => filter.accepts(row)).map(row => row.id),
+  });
+
+  /**
+   * Check that every form of a filter keeps the same rows
+   * @param {Object} filter - Mute filter
+   * @param {Array<string>} expected - IDs of the rows that should be kept
+   */
+  const assertKeeps = (filter, expected) => {
+    assert.deepEqual(kept(filter), { where: expected, sql: expected, accepts: expected });
+  };
+
+  beforeEach(() => {
+    reset();
+  });
+
+  it('mutes a source case-insensitively and keeps articles without one', async () => {
+    assertKeeps(await filterFor([{ kind: 'source', value: 'reuters' }]),
+      ['reuters-breaking', 'no-source', 'acme', 'acme-sub', 'acme-lookalike']);
+  });
+
+  it('mutes a domain and its subdomains but not lookalikes', async () => {
+    assertKeeps(await filterFor([{ kind: 'domain', value: 'acme.com' }]),
+      ['reuters', 'reuters-lower', 'reuters-breaking', 'no-source', 'acme-lookalike']);
+    assertKeeps(await filterFor([{ kind: 'domain', value: 'reuters.com' }]),
+      ['reuters-breaking', 'no-source', 'acme', 'acme-sub', 'acme-lookalike']);
+  });
+
+  it('mutes headlines containing a keyword in any case', async () => {
+    assertKeeps(await filterFor([{ kind: 'keyword', value: 'rumor' }]),
+      ['reuters', 'reuters-lower', 'reuters-breaking', 'acme-sub']);
+  });
+
+  it('mutes an article matching any rule', async () => {
+    assertKeeps(await filterFor([
+      { kind: 'source', value: 'reuters' },
+      { kind: 'domain', value: 'acme.com' },
+      { kind: 'keyword', value: 'rumor' },
+    ]), ['reuters-breaking']);
+  });
+
+  it('keeps everything without rules', async () => {
+    assertKeeps(await filterFor([]), ROWS.map(row => row.id));
+    assertKeeps(await muteRuleService.getMuteFilter(null), ROWS.map(row => row.id));
+  });
+});
+
+describe('muteRuleService regex rules', () => {
+  beforeEach(() => {
+    reset();
+    prisma.muteRule.count = async () => 0;
+    prisma.muteRule.findUnique = async () => null;
+    prisma.muteRule.create = async ({ data }) => ({ id: 'rule-1', ...data });
+  });
+
+  it('matches alternation blowups in linear time', async () => {
+    const headline = `${'a'.repeat(5000)}!`;
+    const filter = await filterFor([
+      { kind: 'regex', value: '(a|a)*b$' },
+      { kind: 'regex', value: '(a|aa)+b$' },
+      { kind: 'regex', value: '(\\w|\\d)+b$' },
+    ]);
+
+    const started = Date.now();
+    assert.equal(filter.accepts({ headline }), true);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('mutes headlines case-insensitively', async () => {
+    const filter = await filterFor([{ kind: 'regex', value: '\\bsponsored\\b' }]);
+
+    assert.equal(filter.accepts({ headline: 'SPONSORED: Five stocks to buy' }), false);
+    assert.equal(filter.accepts({ headline: 'Unsponsored research' }), true);
+    assert.equal(filter.test({ headline: 'Sponsored content' }), false);
+  });
+
+  it('accepts patterns RE2 and PostgreSQL read the same way', async () => {
+    const rule = await muteRuleService.createRule('user-1', { kind: 'regex', value: ' (?:price )?target\\s+\\d+ ' });
+
+    assert.equal(rule.value, '(?:price )?target\\s+\\d+');
+  });
+
+  it('rejects invalid and unsupported patterns', async () => {
+    const create = (value) => muteRuleService.createRule('user-1', { kind: 'regex', value });
+
+    await assert.rejects(create('(unclosed'), { message: 'Invalid regular expression' });
+    await assert.rejects(create('(?=lookahead)'), { message: 'Invalid regular expression' });
+    await assert.rejects(create('(a)\\1'), { message: 'Invalid regular expression' });
+    await assert.rejects(create('(?i)flags'), { message: 'Unsupported regular expression syntax' });
+    await assert.rejects(create('(?P<name>x)'), { message: 'Unsupported regular expression syntax' });
+    await assert.rejects(create('\\pL+'), { message: 'Unsupported regular expression syntax' });
+    await assert.rejects(create('a'.repeat(201)), { message: 'Regular expression is too complex' });
+  });
+});
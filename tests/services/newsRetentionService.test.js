@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { prisma, reset, matchesWhere } = require('../support/fakePrisma');
+const { renderSql } = require('../support/sql');
+const config = require('../../src/config');
+const newsRetentionService = require('../../src/services/newsRetentionService');
+
+const OLD = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+
+/**
+ * Build an expired article row
+ * @param {string} id - Article ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} - News row with related lists
+ */
+const article = (id, fields = {}) => ({
+  id,
+  category: null,
+  datetime: OLD,
+  isDuplicate: false,
+  clusterId: null,
+  stocks: [],
+  bookmarks: [],
+  alertMatches: [],
+  ...fields,
+});
+
+describe('newsRetentionService.pruneExpiredNews', () => {
+  const originalArchiveDir = config.newsArchiveDir;
+  const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-archive-'));
+  let rows;
+
+  beforeEach(() => {
+    reset();
+    rows = [];
+    prisma.news.count = async ({ where }) => rows.filter(row => matchesWhere(row, where)).length;
+    prisma.news.findMany = async ({ where, take }) => rows.filter(row => matchesWhere(row, where)).slice(0, take);
+    // DELETE ... RETURNING: removes the listed articles nothing references any more
+    prisma.$queryRaw = async (strings, ...values) => {
+      const text = renderSql({ strings, values });
+      assert.match(text, /^\s*DELETE FROM "news" n/);
+      assert.match(text, /NOT EXISTS \(SELECT 1 FROM "bookmarks" b WHERE b\."newsId" = n\."id"\)/);
+      assert.match(text, /am\."acknowledgedAt" IS NULL/);
+      const ids = values[0].values;
+      const deleted = rows.filter(row => ids.includes(row.id)
+        && row.bookmarks.length === 0
+        && !row.alertMatches.some(match => match.acknowledgedAt === null));
+      rows = rows.filter(row => !deleted.includes(row));
+      return deleted.map(row => ({ id: row.id }));
+    };
+  });
+
+  after(() => {
+    config.newsArchiveDir = originalArchiveDir;
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  it('keeps bookmarked articles and articles with unacknowledged alerts', async () => {
+    rows = [
+      article('plain'),
+      article('bookmarked', { bookmarks: [{ userId: 'u1' }] }),
+      article('unread-alert', { alertMatches: [{ userId: 'u1', acknowledgedAt: null }] }),
+      article('read-alert', { alertMatches: [{ userId: 'u1', acknowledgedAt: OLD }] }),
+      article('recent', { datetime: new Date() }),
+    ];
+
+    const stats = await newsRetentionService.pruneExpiredNews({ archive: false });
+
+    assert.deepEqual(rows.map(row => row.id), ['bookmarked', 'unread-alert', 'recent']);
+    assert.equal(stats.deleted, 2);
+    assert.equal(stats.sparedBookmarked, 1);
+    assert.equal(stats.sparedAlerted, 1);
+  });
+
+  it('keeps an article that gets an alert between the scan and the delete', async () => {
+    rows = [article('plain')];
+    const findMany = prisma.news.findMany;
+    prisma.news.findMany = async (args) => {
+      const found = await findMany(args);
+      rows[0].alertMatches = [{ userId: 'u1', acknowledgedAt: null }];
+      return found;
+    };
+
+    const stats = await newsRetentionService.pruneExpiredNews({ archive: false });
+
+    assert.equal(rows.length, 1);
+    assert.equal(stats.deleted, 0);
+    assert.deepEqual(stats.byCategory, {});
+    assert.equal(stats.oldest, null);
+  });
+
+  it('archives and counts only the articles it deleted', async () => {
+    config.newsArchiveDir = archiveDir;
+    rows = [
+      article('kept', { category: 'company' }),
+      article('pruned', { category: 'company', datetime: new Date(OLD.getTime() + 1000) }),
+      article('general', { category: 'general', datetime: new Date(OLD.getTime() + 2000) }),
+    ];
+    const findMany = prisma.news.findMany;
+    prisma.news.findMany = async (args) => {
+      const found = await findMany(args);
+      rows[0].bookmarks = [{ userId: 'u1' }];
+      return found;
+    };
+
+    const stats = await newsRetentionService.pruneExpiredNews();
+
+    assert.deepEqual(rows.map(row => row.id), ['kept']);
+    assert.equal(stats.deleted, 2);
+    assert.deepEqual(stats.byCategory, { company: 1, general: 1 });
+    assert.deepEqual(stats.oldest, new Date(OLD.getTime() + 1000));
+    const archived = zlib.gunzipSync(fs.readFileSync(stats.archiveFile)).toString().trim().split('\n').map(line => JSON.parse(line).id);
+    assert.deepEqual(archived, ['pruned', 'general']);
+  });
+
+  it('only reports what a dry run would remove', async () => {
+    rows = [article('plain', { category: 'company' })];
+
+    const stats = await newsRetentionService.pruneExpiredNews({ dryRun: true });
+
+    assert.equal(rows.length, 1);
+    assert.equal(stats.deleted, 1);
+    assert.deepEqual(stats.byCategory, { company: 1 });
+  });
+});
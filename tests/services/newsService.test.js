@@ -0,0 +1,265 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const { renderSql } = require('../support/sql');
+const newsService = require('../../src/services/newsService');
+
+/**
+ * Record raw queries (tagged or prebuilt) and answer them with a handler
+ * @param {Function} handler - (text, values) => rows
+ * @returns {Array<Object>} - Recorded queries ({ text, values }), with the statement timeouts set in timeouts
+ */
+const recordQueries = (handler) => {
+  const queries = [];
+  queries.timeouts = [];
+  prisma.$queryRaw = async (query, ...values) => {
+    const recorded = { values: [] };
+    recorded.text = renderSql(query.strings ? query : { strings: query, values }, recorded.values);
+    if (recorded.text.includes('set_config')) {
+      queries.timeouts.push(recorded.values[0]);
+      return [{ set_config: recorded.values[0] }];
+    }
+    queries.push(recorded);
+    return handler(recorded.text, recorded.values);
+  };
+  return queries;
+};
+
+describe('newsService.getNewsForUserStocks facets', () => {
+  let queries;
+
+  beforeEach(() => {
+    reset();
+    prisma.userStock.findMany = async () => [
+      { stockId: 's1', stock: { symbol: 'AAPL' } },
+      { stockId: 's2', stock: { symbol: 'MSFT' } },
+    ];
+    prisma.muteRule.findMany = async () => [{ kind: 'keyword', value: 'rumor' }];
+    queries = recordQueries((text) => {
+      if (text.includes('date_trunc')) {
+        return [
+          { date: '2026-10-19', count: 3n },
+          { date: '2026-10-18', count: 1n },
+        ];
+      }
+      if (text.includes('GROUP BY n."source"')) {
+        return [{ source: 'Reuters', count: 4n }];
+      }
+      if (text.includes('GROUP BY ns."stockId"')) {
+        return [{ stockId: 's2', count: 1n }, { stockId: 's1', count: 4n }];
+      }
+      return [];
+    });
+  });
+
+  const dayQuery = () => queries.find(query => query.text.includes('date_trunc'));
+
+  it('counts sources, stocks and days in the database', async () => {
+    const result = await newsService.getNewsForUserStocks('user-1', { facets: true });
+
+    assert.deepEqual(result.facets, {
+      sources: [{ source: 'Reuters', count: 4 }],
+      stocks: [
+        { stockId: 's1', symbol: 'AAPL', count: 4 },
+        { stockId: 's2', symbol: 'MSFT', count: 1 },
+      ],
+      days: [
+        { date: '2026-10-19', count: 3 },
+        { date: '2026-10-18', count: 1 },
+      ],
+    });
+  });
+
+  it('counts days with the feed conditions', async () => {
+    await newsService.getNewsForUserStocks('user-1', {
+      facets: true,
+      stockIds: ['s1'],
+      category: ['company'],
+      hasImage: true,
+      to: new Date('2026-10-19T23:59:59Z'),
+    });
+
+    const { text, values } = dayQuery();
+    assert.match(text, /date_trunc\('day', n\."datetime"\)/);
+    assert.match(text, /COUNT\(\*\)/);
+    assert.match(text, /GROUP BY/);
+    assert.match(text, /ns\."stockId" IN \(\$\d+\)/);
+    assert.match(text, /n\."isDuplicate" = false/);
+    assert.match(text, /strpos\(lower\(n\."headline"\), \$\d+\) = 0/);
+    assert.match(text, /n\."category" IN \(\$\d+\)/);
+    assert.match(text, /n\."image" IS NOT NULL/);
+    assert.deepEqual(values.filter(value => typeof value === 'string'), ['s1', 'rumor', 'company']);
+    assert.deepEqual(values.filter(value => value instanceof Date), [
+      new Date('2026-09-19T23:59:59Z'),
+      new Date('2026-10-19T23:59:59Z'),
+    ]);
+  });
+
+  it('leaves a facet\'s own filter out of its counts', async () => {
+    await newsService.getNewsForUserStocks('user-1', { facets: true, source: ['Reuters'] });
+
+    const sourceQuery = queries.find(query => query.text.includes('GROUP BY n."source"'));
+    const stockQuery = queries.find(query => query.text.includes('GROUP BY ns."stockId"'));
+    assert.doesNotMatch(sourceQuery.text, /lower\(n\."source"\) IN/);
+    assert.match(stockQuery.text, /lower\(n\."source"\) IN/);
+    assert.match(dayQuery().text, /lower\(n\."source"\) IN/);
+  });
+
+  it('includes duplicates in the day counts when they are expanded', async () => {
+    await newsService.getNewsForUserStocks('user-1', { facets: true, expand: 'duplicates' });
+
+    assert.doesNotMatch(dayQuery().text, /isDuplicate/);
+    assert.match(dayQuery().text, /ns\."stockId" IN \(\$\d+, \$\d+\)/);
+  });
+});
+
+describe('newsService feed pagination', () => {
+  // Newest first: n1, then n4, n3 and n2 published at the same time (ties broken by id), then n5
+  const TIED = new Date('2026-10-19T09:00:00Z');
+  const ARTICLES = [
+    { id: 'n2', datetime: TIED },
+    { id: 'n5', datetime: new Date('2026-10-19T08:00:00Z') },
+    { id: 'n1', datetime: new Date('2026-10-19T10:00:00Z') },
+    { id: 'n4', datetime: TIED },
+    { id: 'n3', datetime: TIED },
+  ];
+
+  /**
+   * Compare two articles by (datetime, id), like a PostgreSQL row comparison
+   * @param {Object} a - Article
+   * @param {Object} b - Article
+   * @returns {number}
+   */
+  const compare = (a, b) => (a.datetime - b.datetime) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+  beforeEach(() => {
+    reset();
+    prisma.stock.findUnique = async () => ({ id: 's1', symbol: 'ACME' });
+    prisma.news.findMany = async ({ where }) => ARTICLES.filter(article => where.id.in.includes(article.id));
+    // Answer the page query from ARTICLES: cursor row comparison, order and limit
+    recordQueries((text, values) => {
+      if (text.includes('"clusterId"')) {
+        return [];
+      }
+      const cursor = text.match(/\(n\."datetime", n\."id"\) ([<>])/);
+      const position = values.findIndex(value => value instanceof Date);
+      const rows = ARTICLES
+        .filter(article => !cursor || (cursor[1] === '<' ? -1 : 1) * compare(article, { datetime: values[position], id: values[position + 1] }) > 0)
+        .sort((a, b) => (text.includes('ASC') ? compare(a, b) : compare(b, a)));
+      return rows.slice(0, values[values.length - 1]);
+    });
+  });
+
+  const page = (options) => newsService.getNewsForStock('s1', { limit: 2, ...options });
+  const ids = ({ articles }) => articles.map(article => article.id);
+
+  it('pages through articles with the same datetime without gaps or repeats', async () => {
+    const first = await page();
+    const second = await page({ before: first.nextCursor });
+    const third = await page({ before: second.nextCursor });
+
+    assert.deepEqual([ids(first), ids(second), ids(third)], [['n1', 'n4'], ['n3', 'n2'], ['n5']]);
+    assert.equal(third.nextCursor, null);
+  });
+
+  it('pages back towards newer articles from prevCursor', async () => {
+    const first = await page();
+    const second = await page({ before: first.nextCursor });
+
+    const newer = await page({ after: second.prevCursor });
+    assert.deepEqual(ids(newer), ['n1', 'n4']);
+    assert.equal(newer.prevCursor, first.prevCursor);
+    assert.equal(newer.nextCursor, first.nextCursor);
+  });
+
+  it('keeps the prevCursor when nothing newer has arrived', async () => {
+    const first = await page();
+    const newer = await page({ after: first.prevCursor });
+
+    assert.deepEqual(newer, { articles: [], nextCursor: null, prevCursor: first.prevCursor });
+  });
+
+  it('rejects tampered cursors and conflicting directions', async () => {
+    const first = await page();
+    const forged = Buffer.from(JSON.stringify({ d: 'soon', i: 'n1' })).toString('base64url');
+
+    await assert.rejects(page({ before: 'garbage' }), { message: 'Invalid cursor' });
+    await assert.rejects(page({ after: forged }), { message: 'Invalid cursor' });
+    await assert.rejects(page({ before: first.nextCursor, after: first.prevCursor }), { message: 'Only one of before or after may be provided' });
+  });
+});
+
+describe('newsService feed mute rules', () => {
+  let queries;
+
+  beforeEach(() => {
+    reset();
+    prisma.stock.findUnique = async () => ({ id: 's1', symbol: 'AAPL' });
+    prisma.muteRule.findMany = async () => [{ kind: 'regex', value: '\\bsponsored\\b' }];
+    queries = recordQueries(() => []);
+  });
+
+  it('applies regex mutes in the page query under the statement timeout', async () => {
+    const page = await newsService.getNewsForStock('s1', { limit: 5 }, 'user-1');
+
+    const [pageQuery] = queries;
+    assert.match(pageQuery.text, /n\."headline" !~\* \$\d+/);
+    assert.ok(pageQuery.values.includes('\\ysponsored\\y'));
+    assert.match(pageQuery.text, /LIMIT \$\d+/);
+    assert.equal(pageQuery.values[pageQuery.values.length - 1], 6);
+    assert.deepEqual(page, { articles: [], nextCursor: null, prevCursor: null });
+    assert.deepEqual(queries.timeouts, ['5000']);
+  });
+});
+
+describe('newsService.saveArticleForStock', () => {
+  let rows;
+  let updates;
+
+  beforeEach(() => {
+    reset();
+    rows = [];
+    updates = 0;
+    prisma.news.findMany = async ({ where }) => (where.minhashBands ? [] : rows);
+    prisma.news.create = async ({ data }) => {
+      const row = { ...data, stocks: [] };
+      rows.push(row);
+      return row;
+    };
+    prisma.news.update = async ({ data }) => {
+      updates++;
+      return Object.assign(rows[0], data);
+    };
+    prisma.news.findUnique = async () => rows[0];
+    prisma.newsStock.findMany = async () => [];
+    prisma.newsStock.create = async ({ data }) => ({ id: 'link-1', ...data });
+    prisma.alertRule.findMany = async () => [];
+  });
+
+  it('keeps the first-seen time of undated articles', async () => {
+    const stock = { id: 's1', symbol: 'ACME' };
+    const article = {
+      provider: 'rss',
+      externalId: 'feed-a:1',
+      feedId: 'feed-a',
+      category: 'company',
+      headline: 'Quarterly results',
+      summary: null,
+      url: 'https://example.com/results',
+      image: null,
+      source: 'IR News',
+      datetime: null,
+    };
+
+    assert.equal(await newsService.saveArticleForStock(article, stock, 1), 'new');
+    const firstSeen = rows[0].datetime;
+    assert.ok(firstSeen instanceof Date);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    prisma.newsStock.findMany = async () => [{ id: 'link-1', newsId: rows[0].id, stockId: 's1', relevance: 1 }];
+
+    assert.equal(await newsService.saveArticleForStock(article, stock, 1), 'unchanged');
+    assert.equal(updates, 0);
+    assert.equal(rows[0].datetime, firstSeen);
+  });
+});
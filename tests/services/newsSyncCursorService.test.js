@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const newsSyncCursorService = require('../../src/services/newsSyncCursorService');
+
+const NOW = new Date('2026-10-19T00:30:00Z');
+const HOUR = 60 * 60 * 1000;
+
+describe('newsSyncCursorService.getFetchRange', () => {
+  const rangeAfter = (lastFetchedAt) => newsSyncCursorService.getFetchRange({ lastFetchedAt }, NOW);
+
+  it('fetches only today for a stock that was never synced', () => {
+    assert.deepEqual(newsSyncCursorService.getFetchRange(undefined, NOW), { from: '2026-10-19', to: '2026-10-19' });
+    assert.deepEqual(rangeAfter(null), { from: '2026-10-19', to: '2026-10-19' });
+  });
+
+  it('re-reads an hour before the last fetch', () => {
+    assert.deepEqual(rangeAfter(new Date(NOW.getTime() - 10 * 60 * 1000)), { from: '2026-10-18', to: '2026-10-19' });
+    assert.deepEqual(rangeAfter(new Date('2026-10-18T12:00:00Z')), { from: '2026-10-18', to: '2026-10-19' });
+  });
+
+  it('catches up at most three days', () => {
+    assert.deepEqual(rangeAfter(new Date('2026-10-17T00:00:00Z')), { from: '2026-10-16', to: '2026-10-19' });
+    assert.deepEqual(rangeAfter(new Date('2026-09-01T00:00:00Z')), { from: '2026-10-16', to: '2026-10-19' });
+  });
+
+  it('never starts after now when the last fetch is in the future', () => {
+    assert.deepEqual(rangeAfter(new Date(NOW.getTime() + 48 * HOUR)), { from: '2026-10-19', to: '2026-10-19' });
+  });
+});
+
+describe('newsSyncCursorService cursors', () => {
+  let upserts;
+
+  beforeEach(() => {
+    reset();
+    upserts = [];
+    prisma.newsSyncCursor.upsert = async (args) => {
+      upserts.push(args);
+      return { ...args.create };
+    };
+  });
+
+  it('keys a stock\'s cursors by provider', async () => {
+    prisma.newsSyncCursor.findMany = async ({ where }) => [
+      { stockId: where.stockId, provider: 'finnhub', lastFetchedAt: NOW },
+      { stockId: where.stockId, provider: 'file', lastFetchedAt: null },
+    ];
+
+    const cursors = await newsSyncCursorService.getCursors('s1');
+
+    assert.deepEqual([...cursors.keys()], ['finnhub', 'file']);
+    assert.equal(cursors.get('finnhub').lastFetchedAt, NOW);
+  });
+
+  it('advances the cursor and clears the last error after a fetch', async () => {
+    await newsSyncCursorService.recordFetch('s1', 'finnhub', NOW);
+
+    const [{ where, create, update }] = upserts;
+    assert.deepEqual(where, { stockId_provider: { stockId: 's1', provider: 'finnhub' } });
+    assert.deepEqual(update, { lastFetchedAt: NOW, lastError: null });
+    assert.deepEqual(create, { stockId: 's1', provider: 'finnhub', lastFetchedAt: NOW, lastError: null });
+  });
+
+  it('keeps the cursor position after a failed fetch', async () => {
+    await newsSyncCursorService.recordError('s1', 'finnhub', 'Finnhub circuit is open');
+
+    const [{ update }] = upserts;
+    assert.equal(update.lastError, 'Finnhub circuit is open');
+    assert.ok(update.lastErrorAt instanceof Date);
+    assert.equal('lastFetchedAt' in update, false);
+  });
+
+  it('lists cursors least recently fetched first with their symbols', async () => {
+    let query;
+    prisma.newsSyncCursor.findMany = async (args) => {
+      query = args;
+      return [{ id: 'c1', stockId: 's1', provider: 'finnhub', lastError: 'timeout', stock: { symbol: 'ACME' } }];
+    };
+
+    const cursors = await newsSyncCursorService.listCursors({ stockId: 's1', failing: true, limit: '5000' });
+
+    assert.deepEqual(cursors, [{ id: 'c1', stockId: 's1', provider: 'finnhub', lastError: 'timeout', symbol: 'ACME' }]);
+    assert.deepEqual(query.where, { stockId: 's1', lastError: { not: null } });
+    assert.deepEqual(query.orderBy, [{ lastFetchedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }]);
+    assert.equal(query.take, 1000);
+
+    await newsSyncCursorService.listCursors();
+    assert.deepEqual(query.where, {});
+    assert.equal(query.take, 100);
+  });
+});
@@ -0,0 +1,66 @@
+const os = require('os');
+const path = require('path');
+
+process.env.NEWS_PROVIDERS = 'file,finnhub';
+process.env.NEWS_FIXTURES_DIR = path.join(os.tmpdir(), 'news-sync-scheduler-test-no-fixtures');
+process.env.FINNHUB_API_KEY = '';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset } = require('../support/fakePrisma');
+const config = require('../../src/config');
+const newsSyncScheduler = require('../../src/services/newsSyncScheduler');
+
+describe('newsSyncScheduler', () => {
+  let watched;
+  let cursorWrites;
+
+  beforeEach(() => {
+    reset();
+    cursorWrites = [];
+
+    prisma.userStock.findMany = async () => watched.map(stock => ({ stockId: stock.id }));
+    prisma.stock.findMany = async () => watched;
+    prisma.userStock.groupBy = async () => [];
+    prisma.newsStock.groupBy = async () => [];
+    prisma.stockAlias.findMany = async () => [];
+    prisma.newsSyncCursor.findMany = async () => [];
+    prisma.newsSyncCursor.upsert = async ({ create }) => {
+      cursorWrites.push(create);
+      return create;
+    };
+  });
+
+  it('reports provider failures in the tick summary and per-stock status', async () => {
+    config.newsProviders = ['file', 'finnhub'];
+    watched = [{ id: 'stock-acme', symbol: 'ACME', description: 'ACME CORP' }];
+
+    const tick = await newsSyncScheduler.runTick();
+    const status = await newsSyncScheduler.getStatus();
+
+    assert.equal(tick.success, true);
+    assert.equal(tick.polled, 1);
+    assert.equal(tick.errorCount, 1);
+    assert.equal(status.summary.failingStocks, 1);
+    assert.equal(status.stocks[0].lastError, 'finnhub: Finnhub API key is not configured');
+    assert.deepEqual(status.stocks[0].lastResult, { new: 0, updated: 0, unchanged: 0 });
+
+    // The cursors record which provider failed, so the next poll retries its range
+    const finnhubCursor = cursorWrites.find(cursor => cursor.provider === 'finnhub');
+    assert.equal(finnhubCursor.lastError, 'Finnhub API key is not configured');
+    assert.equal(cursorWrites.find(cursor => cursor.provider === 'file').lastError, null);
+  });
+
+  it('clears the error once a poll succeeds', async () => {
+    config.newsProviders = ['file'];
+    watched = [{ id: 'stock-bolt', symbol: 'BOLT', description: 'BOLT INC' }];
+
+    const tick = await newsSyncScheduler.runTick();
+    const status = await newsSyncScheduler.getStatus();
+
+    assert.equal(tick.errorCount, 0);
+    assert.equal(status.summary.failingStocks, 0);
+    assert.equal(status.stocks[0].symbol, 'BOLT');
+    assert.equal(status.stocks[0].lastError, null);
+  });
+});
@@ -0,0 +1,200 @@
+process.env.PUSH_CLIENT = 'memory';
+process.env.PUSH_MIN_INTERVAL_MINUTES = '15';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, reset, matchesWhere } = require('../support/fakePrisma');
+const memoryClient = require('../../src/services/pushClients/memoryClient');
+const notificationService = require('../../src/services/notificationService');
+
+const MINUTE = 60 * 1000;
+
+describe('notificationService.notifyNewArticles', () => {
+  const acme = { id: 'stock-acme', symbol: 'ACME' };
+  const bolt = { id: 'stock-bolt', symbol: 'BOLT' };
+
+  let news;
+  let users;
+  let muteRules;
+
+  const addArticle = (id, fields = {}) => {
+    const article = {
+      id,
+      url: `https://news.example.com/${id}`,
+      headline: `Headline ${id}`,
+      source: 'Reuters',
+      domain: 'news.example.com',
+      isDuplicate: false,
+      datetime: new Date(Date.now() - 10 * MINUTE),
+      ...fields,
+    };
+    news.push(article);
+    return article;
+  };
+
+  const addUser = (id, { stockIds = [acme.id], tokens = [`${id}-phone`], lastPushAt = null } = {}) => {
+    users.set(id, {
+      id,
+      lastPushAt,
+      watchlist: stockIds.map(stockId => ({ stockId })),
+      deviceTokens: tokens.map(token => ({ id: `device-${token}`, userId: id, token, environment: 'production' })),
+    });
+  };
+
+  const pushedTokens = () => memoryClient.sent.map(push => push.device.token).sort();
+
+  beforeEach(() => {
+    reset();
+    memoryClient.reset();
+    news = [];
+    users = new Map();
+    muteRules = [];
+
+    prisma.news.findMany = async ({ where }) => news
+      .filter(row => matchesWhere(row, where))
+      .sort((a, b) => b.datetime - a.datetime);
+    prisma.user.findMany = async ({ where }) => [...users.values()].filter(user => matchesWhere(user, where));
+    prisma.user.updateMany = async ({ where, data }) => {
+      const matched = [...users.values()].filter(user => matchesWhere(user, where));
+      matched.forEach(user => Object.assign(user, data));
+      return { count: matched.length };
+    };
+    prisma.muteRule.findMany = async ({ where }) => muteRules.filter(rule => rule.userId === where.userId);
+    prisma.deviceToken.findMany = async ({ where }) => users.get(where.userId).deviceTokens;
+    prisma.deviceToken.deleteMany = async ({ where }) => {
+      let count = 0;
+      users.forEach((user) => {
+        const kept = user.deviceTokens.filter(device => !where.token.in.includes(device.token));
+        count += user.deviceTokens.length - kept.length;
+        user.deviceTokens = kept;
+      });
+      return { count };
+    };
+  });
+
+  it('pushes to every device of every watcher', async () => {
+    const article = addArticle('n1');
+    addUser('alice', { tokens: ['alice-phone', 'alice-tablet'] });
+    addUser('bob');
+    addUser('carol', { stockIds: [bolt.id] });
+
+    const stats = await notificationService.notifyNewArticles(acme, [article]);
+
+    assert.deepEqual(stats, { users: 2, throttled: 0, sent: 3, failed: 0, removed: 0 });
+    assert.deepEqual(pushedTokens(), ['alice-phone', 'alice-tablet', 'bob-phone']);
+    assert.equal(memoryClient.sent[0].notification.payload.aps.alert.body, 'Headline n1');
+    assert.equal(memoryClient.sent[0].notification.payload.newsId, 'n1');
+  });
+
+  it('summarizes several articles in one push led by the newest', async () => {
+    const older = addArticle('n1', { datetime: new Date(Date.now() - 30 * MINUTE) });
+    const newer = addArticle('n2', { datetime: new Date(Date.now() - 5 * MINUTE) });
+    addUser('alice');
+
+    await notificationService.notifyNewArticles(acme, [older, newer]);
+
+    assert.equal(memoryClient.sent.length, 1);
+    assert.equal(memoryClient.sent[0].notification.payload.aps.alert.body, 'Headline n2 (and 1 more)');
+  });
+
+  it('collapses pushes per stock', async () => {
+    const acmeArticle = addArticle('n1');
+    const boltArticle = addArticle('n2');
+    addUser('alice', { stockIds: [acme.id] });
+    addUser('bob', { stockIds: [bolt.id] });
+
+    await notificationService.notifyNewArticles(acme, [acmeArticle]);
+    await notificationService.notifyNewArticles(bolt, [boltArticle]);
+
+    const byToken = Object.fromEntries(memoryClient.sent.map(push => [push.device.token, push.notification]));
+    assert.equal(byToken['alice-phone'].collapseId, 'news-ACME');
+    assert.equal(byToken['alice-phone'].payload.aps['thread-id'], 'stock-stock-acme');
+    assert.equal(byToken['bob-phone'].collapseId, 'news-BOLT');
+    assert.ok(byToken['bob-phone'].expiresAt > new Date());
+  });
+
+  it('skips duplicates and articles that are no longer breaking', async () => {
+    const duplicate = addArticle('n1', { isDuplicate: true });
+    const stale = addArticle('n2', { datetime: new Date(Date.now() - 3 * 60 * MINUTE) });
+    addUser('alice');
+
+    const stats = await notificationService.notifyNewArticles(acme, [duplicate, stale]);
+
+    assert.equal(stats.users, 0);
+    assert.equal(memoryClient.sent.length, 0);
+  });
+
+  it("applies each watcher's mute rules", async () => {
+    const article = addArticle('n1', { headline: 'ACME shares rumored to jump', source: 'Benzinga' });
+    addUser('alice');
+    addUser('bob');
+    addUser('carol');
+    addUser('dave');
+    muteRules.push(
+      { userId: 'alice', kind: 'keyword', value: 'rumor' },
+      { userId: 'bob', kind: 'source', value: 'benzinga' },
+      { userId: 'carol', kind: 'regex', value: '^acme\\b' },
+      { userId: 'dave', kind: 'keyword', value: 'lawsuit' },
+    );
+
+    const stats = await notificationService.notifyNewArticles(acme, [article]);
+
+    assert.equal(stats.users, 1);
+    assert.deepEqual(pushedTokens(), ['dave-phone']);
+  });
+
+  it('pushes to a watcher at most once per interval', async () => {
+    addUser('alice');
+    addUser('bob', { lastPushAt: new Date(Date.now() - 5 * MINUTE) });
+    addUser('carol', { lastPushAt: new Date(Date.now() - 20 * MINUTE) });
+
+    const first = await notificationService.notifyNewArticles(acme, [addArticle('n1')]);
+    const second = await notificationService.notifyNewArticles(acme, [addArticle('n2')]);
+
+    assert.deepEqual({ users: first.users, throttled: first.throttled }, { users: 2, throttled: 1 });
+    assert.deepEqual({ users: second.users, throttled: second.throttled }, { users: 0, throttled: 3 });
+    assert.deepEqual(pushedTokens(), ['alice-phone', 'carol-phone']);
+    assert.ok(users.get('alice').lastPushAt > new Date(Date.now() - MINUTE));
+  });
+
+  it('removes device tokens APNs rejects for good', async () => {
+    const article = addArticle('n1');
+    addUser('alice', { tokens: ['alice-phone', 'alice-old-phone', 'alice-bad-token', 'alice-flaky'] });
+    memoryClient.invalidTokens.add('alice-old-phone');
+    memoryClient.rejections.set('alice-bad-token', { status: 400, reason: 'BadDeviceToken' });
+    memoryClient.rejections.set('alice-flaky', { status: 500, reason: 'InternalServerError' });
+
+    const stats = await notificationService.notifyNewArticles(acme, [article]);
+
+    assert.deepEqual(stats, { users: 1, throttled: 0, sent: 1, failed: 1, removed: 2 });
+    assert.deepEqual(users.get('alice').deviceTokens.map(device => device.token), ['alice-phone', 'alice-flaky']);
+  });
+
+  it('does nothing without new articles', async () => {
+    addUser('alice');
+
+    const stats = await notificationService.notifyNewArticles(acme, []);
+
+    assert.deepEqual(stats, { users: 0, throttled: 0, sent: 0, failed: 0, removed: 0 });
+  });
+});
+
+describe('notificationService.sendToUser', () => {
+  beforeEach(() => {
+    reset();
+    memoryClient.reset();
+  });
+
+  it("sends to all of a user's devices without throttling", async () => {
+    prisma.deviceToken.findMany = async () => [
+      { id: 'd1', token: 'phone', environment: 'production' },
+      { id: 'd2', token: 'tablet', environment: 'sandbox' },
+    ];
+    const notification = { payload: { aps: { alert: { title: 'Alert', body: 'Rule matched' } } }, collapseId: 'alert-r1', expiresAt: new Date() };
+
+    const stats = await notificationService.sendToUser('alice', notification);
+
+    assert.deepEqual(stats, { sent: 2, failed: 0, removed: 0 });
+    assert.deepEqual(memoryClient.sent.map(push => push.notification), [notification, notification]);
+  });
+});
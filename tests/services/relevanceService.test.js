@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('../support/fakePrisma');
+const { scoreArticleRelevance } = require('../../src/services/relevanceService');
+
+describe('relevanceService.scoreArticleRelevance', () => {
+  const apple = { symbol: 'AAPL', description: 'APPLE INC' };
+  const gm = { symbol: 'GM', description: 'GENERAL MOTORS CO' };
+  const bac = { symbol: 'BAC', description: 'BANK OF AMERICA CORP' };
+  const agilent = { symbol: 'A', description: 'AGILENT TECHNOLOGIES INC' };
+
+  it('scores cashtags as certain matches', () => {
+    assert.equal(scoreArticleRelevance({ headline: 'Why $AAPL is rallying' }, apple), 1);
+    assert.equal(scoreArticleRelevance({ headline: 'Results due', summary: 'Apple (NASDAQ: AAPL) reports today' }, apple), 1);
+  });
+
+  it('only matches short tickers as cashtags', () => {
+    assert.equal(scoreArticleRelevance({ headline: 'A quiet day for markets' }, agilent), 0);
+    assert.equal(scoreArticleRelevance({ headline: 'Buying GM ahead of earnings' }, gm), 0);
+  });
+
+  it('matches company names made only of generic words by the full name', () => {
+    assert.equal(scoreArticleRelevance({ headline: 'General Motors recalls 1 million trucks' }, gm), 0.8);
+    assert.equal(scoreArticleRelevance({ headline: 'Lenders rally', summary: 'Bank of America beat estimates' }, bac), 0.5);
+  });
+
+  it('does not match generic names word by word', () => {
+    assert.equal(scoreArticleRelevance({ headline: 'General strike hits motors plant' }, gm), 0);
+  });
+
+  it('matches the distinctive words of a name', () => {
+    assert.equal(scoreArticleRelevance({ headline: 'Agilent raises guidance' }, agilent), 0.64);
+  });
+
+  it('adds up independent signals', () => {
+    const score = scoreArticleRelevance({ headline: 'Apple unveils new iPhone', summary: 'AAPL shares rose' }, apple, [
+      { alias: 'iPhone', kind: 'product', weight: 1 },
+    ]);
+    assert.ok(score > 0.9 && score < 1);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Fake Clock
+ * Stand-in for the system clock in tests: time only moves when the test
+ * advances it, and timers fire as their due time is passed. With autoAdvance
+ * every timer fires on the next turn of the event loop and moves the clock to
+ * its due time, so code that waits can run to completion without real delays
+ */
+
+/**
+ * Create a clock
+ * @param {Object} [options] - Clock options
+ * @param {number} [options.start] - Starting time (ms since the epoch)
+ * @param {boolean} [options.autoAdvance] - Fire timers right away, jumping to their due time
+ * @returns {Object} - { now, setTimeout, clearTimeout, advance, delays } where delays lists every timer's delay
+ */
+const createClock = ({ start = Date.parse('2026-10-19T12:00:00Z'), autoAdvance = false } = {}) => {
+  let now = start;
+  let pending = [];
+  const delays = [];
+
+  const fire = (timer) => {
+    pending = pending.filter(other => other !== timer);
+    now = Math.max(now, timer.at);
+    timer.callback();
+  };
+
+  return {
+    delays,
+    now: () => now,
+    setTimeout: (callback, ms) => {
+      const timer = { at: now + ms, callback };
+      delays.push(ms);
+      pending.push(timer);
+      if (autoAdvance) {
+        setImmediate(() => pending.includes(timer) && fire(timer));
+      }
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      pending = pending.filter(other => other !== timer);
+    },
+    advance: (ms) => {
+      const until = now + ms;
+      let due;
+      while ((due = pending.filter(timer => timer.at <= until).sort((a, b) => a.at - b.at)[0])) {
+        fire(due);
+      }
+      now = until;
+    },
+  };
+};
+
+module.exports = {
+  createClock,
+};
@@ -0,0 +1,173 @@
+/**
+ * Fake Prisma Client
+ * Services create their own PrismaClient when they are required, so tests
+ * replace the @prisma/client module before requiring them. Every client shares
+ * one object whose model methods the test assigns, e.g.
+ *
+ *   const { prisma } = require('../support/fakePrisma');
+ *   prisma.news.findUnique = async () => ({ id: 'n1' });
+ *   prisma.$queryRaw = async (strings, ...values) => [];
+ *
+ * Calling a method the test hasn't assigned fails loudly
+ */
+const models = new Map();
+
+// Client-level methods ($queryRaw, $executeRaw, ...) assigned by the test
+const clientMethods = new Map();
+
+const prisma = new Proxy({}, {
+  get: (target, name) => {
+    if (name === '$transaction') {
+      return async (operations) => (Array.isArray(operations) ? Promise.all(operations) : operations(prisma));
+    }
+    if (typeof name !== 'string' || name === 'then') {
+      return undefined;
+    }
+    if (name.startsWith('$')) {
+      return clientMethods.get(name) || (() => {
+        throw new Error(`Unexpected prisma.${name} call`);
+      });
+    }
+    if (!models.has(name)) {
+      models.set(name, new Proxy({}, {
+        get: (model, operation) => {
+          if (operation in model || typeof operation !== 'string' || operation === 'then') {
+            return model[operation];
+          }
+          return () => {
+            throw new Error(`Unexpected prisma.${name}.${operation} call`);
+          };
+        },
+      }));
+    }
+    return models.get(name);
+  },
+  set: (target, name, value) => {
+    if (typeof name !== 'string' || !name.startsWith('$')) {
+      throw new Error(`Assign model methods (prisma.${String(name)}.findMany = ...), not prisma.${String(name)}`);
+    }
+    clientMethods.set(name, value);
+    return true;
+  },
+});
+
+/**
+ * Compare two field values the way the database would (dates by time, undefined as null)
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+/**
+ * Test a field value against a Prisma field filter
+ * @param {any} value - Field value
+ * @param {any} filter - Plain value or filter object ({ in, contains, gte, some, ... })
+ * @returns {boolean}
+ */
+const matchesFilter = (value, filter) => {
+  if (filter === null || typeof filter !== 'object' || filter instanceof Date) {
+    return sameValue(value, filter);
+  }
+
+  const fold = (text) => (filter.mode === 'insensitive' && typeof text === 'string' ? text.toLowerCase() : text);
+
+  return Object.entries(filter).every(([operator, operand]) => {
+    switch (operator) {
+      case 'mode':
+        return true;
+      case 'equals':
+        return sameValue(fold(value), fold(operand));
+      case 'not':
+        return !matchesFilter(value, operand);
+      case 'in':
+        return operand.some(entry => sameValue(value, entry));
+      case 'notIn':
+        return !operand.some(entry => sameValue(value, entry));
+      case 'contains':
+        return typeof value === 'string' && fold(value).includes(fold(operand));
+      case 'startsWith':
+        return typeof value === 'string' && fold(value).startsWith(fold(operand));
+      case 'endsWith':
+        return typeof value === 'string' && fold(value).endsWith(fold(operand));
+      case 'lt':
+        return value !== null && value !== undefined && value < operand;
+      case 'lte':
+        return value !== null && value !== undefined && value <= operand;
+      case 'gt':
+        return value !== null && value !== undefined && value > operand;
+      case 'gte':
+        return value !== null && value !== undefined && value >= operand;
+      case 'some':
+        return Array.isArray(value) && value.some(item => matchesWhere(item, operand));
+      case 'none':
+        return !Array.isArray(value) || !value.some(item => matchesWhere(item, operand));
+      case 'every':
+        return !Array.isArray(value) || value.every(item => matchesWhere(item, operand));
+      default:
+        throw new Error(`Unsupported filter in fake Prisma: ${operator}`);
+    }
+  });
+};
+
+/**
+ * Test a row against a Prisma where clause, for fakes that keep rows in memory
+ * Supports AND/OR/NOT, the common scalar filters and some/none/every on related lists
+ * @param {Object} row - Row (related lists as arrays of rows)
+ * @param {Object} where - Prisma where clause
+ * @returns {boolean}
+ */
+const matchesWhere = (row, where = {}) => {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'AND') {
+      return [].concat(condition).every(part => matchesWhere(row, part));
+    }
+    if (key === 'OR') {
+      return condition.some(part => matchesWhere(row, part));
+    }
+    if (key === 'NOT') {
+      return ![].concat(condition).some(part => matchesWhere(row, part));
+    }
+    return matchesFilter(row[key], condition);
+  });
+};
+
+/**
+ * Forget every assigned model method
+ */
+const reset = () => {
+  models.clear();
+  clientMethods.clear();
+};
+
+const Prisma = {
+  sql: (strings, ...values) => ({ strings, values }),
+  join: (values, separator = ', ') => ({ values, separator }),
+  empty: { strings: [''], values: [] },
+};
+
+const modulePath = require.resolve('@prisma/client');
+require.cache[modulePath] = {
+  id: modulePath,
+  filename: modulePath,
+  loaded: true,
+  exports: {
+    PrismaClient: class PrismaClient {
+      constructor() {
+        return prisma;
+      }
+    },
+    Prisma,
+  },
+};
+
+module.exports = {
+  prisma,
+  reset,
+  matchesWhere,
+};
@@ -0,0 +1,39 @@
+const http = require('http');
+
+/**
+ * Local HTTP Server
+ * Stand-in for the outside web in tests: serves whatever the handler writes on
+ * a random loopback port and counts the requests each path received
+ */
+
+/**
+ * Start a server
+ * @param {Function} handler - (req, res) request handler
+ * @returns {Promise<Object>} - { url, hits, close } where url(path) builds a URL on the server
+ */
+const startServer = (handler) => {
+  const hits = new Map();
+  const server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+    handler(req, res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        port,
+        url: (path = '/') => `http://127.0.0.1:${port}${path}`,
+        hits: (path) => (path ? hits.get(path) || 0 : [...hits.values()].reduce((sum, count) => sum + count, 0)),
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+};
+
+module.exports = {
+  startServer,
+};
@@ -0,0 +1,30 @@
+/**
+ * SQL Fragments
+ * Reads the fragments the fake Prisma.sql and Prisma.join build, so tests can
+ * check the raw queries services send
+ */
+
+/**
+ * Flatten a fake Prisma SQL fragment into text with $n placeholders
+ * @param {Object} fragment - Fragment from Prisma.sql or Prisma.join
+ * @param {Array} values - Collects the bound values
+ * @returns {string}
+ */
+const renderSql = (fragment, values = []) => {
+  const render = (value) => {
+    if (value && (value.strings || value.separator)) {
+      return renderSql(value, values);
+    }
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (fragment.separator) {
+    return fragment.values.map(render).join(fragment.separator);
+  }
+  return fragment.strings.reduce((text, part, index) => text + render(fragment.values[index - 1]) + part);
+};
+
+module.exports = {
+  renderSql,
+};